@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+
+// Lightweight player accounts with per-player and per-partnership stats and Elo-style ratings.
+//
+// An account is a username plus a secret: either a password the player chose, or a random
+// login key handed out at registration (for players who'd rather not pick a password).
+// Logging in returns a signed auth token that the client sends when it joins a room.
+//
+// Account record (one per player, id = lower-cased username):
+//   { id, username, secret: { salt, hash }, secretType: 'password' | 'key',
+//     rating, stats, createdAt, lastPlayedAt }
+// Partnership record (one per pair of accounts that played on the same team):
+//   { id: 'alice+bob', players: ['alice', 'bob'], rating, stats, lastPlayedAt }
+// stats = { matches, wins, handsPlayed, handsWon, sweeps, trumpCalls, trumpCallsWon }
+//
+// Every change (a new account, a finished match) goes through one copy of the records, so two
+// processes can never hand out the same username or save stats over each other's. A single
+// server keeps that copy itself. Under cluster.js it lives in the primary: workers send their
+// changes there (serveClusterAccounts) and keep a read-only copy that the primary updates after
+// every change, which answers logins, token checks, name checks and leaderboards.
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,15}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // Auth tokens last 30 days, then the player logs in again
+
+function emptyStats() {
+    return { matches: 0, wins: 0, handsPlayed: 0, handsWon: 0, sweeps: 0, trumpCalls: 0, trumpCallsWon: 0 };
+}
+
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(secret, salt, 32).toString('hex');
+    return { salt, hash };
+}
+
+function verifySecret(stored, secret) {
+    if (typeof secret !== 'string' || !secret) return false;
+    const expected = Buffer.from(stored.hash, 'hex');
+    return crypto.timingSafeEqual(crypto.scryptSync(secret, stored.salt, 32), expected);
+}
+
+// Chance that a side rated `rating` beats one rated `opponentRating`
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Rates derived from raw stats, for leaderboards and profiles
+function describeStats(stats) {
+    return {
+        ...stats,
+        winRate: stats.matches ? stats.wins / stats.matches : 0,
+        handWinRate: stats.handsPlayed ? stats.handsWon / stats.handsPlayed : 0,
+        trumpCallSuccessRate: stats.trumpCalls ? stats.trumpCallsWon / stats.trumpCalls : 0
+    };
+}
+
+// Add one finished match to a stats object, from the point of view of `seats` (one seat for
+// a player, both seats for a partnership). `hands` are the room's matchHistory records.
+function addMatchToStats(stats, seats, team, hands, winningTeam) {
+    stats.matches++;
+    if (winningTeam === team) stats.wins++;
+
+    hands.forEach(hand => {
+        const result = hand.result || {};
+        stats.handsPlayed++;
+        if (result.winningTeam === team) {
+            stats.handsWon++;
+            if (result.isSweep) stats.sweeps++;
+        }
+        if (seats.includes(hand.trumpCaller)) {
+            stats.trumpCalls++;
+            if (result.winningTeam === team) stats.trumpCallsWon++;
+        }
+    });
+}
+
+// Options:
+//   accountStore, partnershipStore   where records are saved (see storage.js); not used with `primary`
+//   secret                           signs auth tokens (the same in every process)
+//   logger                           hears about records that could not be saved (see logger.js)
+//   primary                          a cluster worker's channel to the primary (process); changes are made there
+//   onChange(kind, record)           called with each changed record ('account' or 'partnership')
+function createAccounts({ accountStore, partnershipStore, secret, logger, tokenTtl = TOKEN_TTL, primary, onChange }) {
+    const accounts = new Map(); // id -> account record
+    const partnerships = new Map(); // id -> partnership record
+    const pending = new Map(); // request id -> { resolve, reject } (cluster workers)
+    let nextRequestId = 1;
+    let loaded = null;
+
+    const accountId = username => String(username).toLowerCase();
+    const partnershipId = (a, b) => [a, b].sort().join('+');
+
+    // Written in the background; the cached record stays current if a write fails
+    function save(kind, record) {
+        const store = kind === 'account' ? accountStore : partnershipStore;
+        store.save(record).catch(err => {
+            if (logger) logger.error('Failed to save account record', { id: record.id, err });
+        });
+        if (onChange) onChange(kind, record);
+    }
+
+    function signToken(account) {
+        const payload = Buffer.from(JSON.stringify({ user: account.id, iat: Date.now() })).toString('base64url');
+        const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+        return `${payload}.${signature}`;
+    }
+
+    function publicAccount(account) {
+        return {
+            username: account.username,
+            rating: account.rating,
+            stats: describeStats(account.stats),
+            createdAt: account.createdAt,
+            lastPlayedAt: account.lastPlayedAt
+        };
+    }
+
+    function publicPartnership(partnership) {
+        return {
+            players: partnership.players.map(id => accounts.has(id) ? accounts.get(id).username : id),
+            rating: partnership.rating,
+            stats: describeStats(partnership.stats),
+            lastPlayedAt: partnership.lastPlayedAt
+        };
+    }
+
+    function getPartnership(a, b) {
+        const id = partnershipId(a, b);
+        if (!partnerships.has(id)) {
+            partnerships.set(id, {
+                id,
+                players: [a, b].sort(),
+                rating: DEFAULT_RATING,
+                stats: emptyStats(),
+                lastPlayedAt: null
+            });
+        }
+        return partnerships.get(id);
+    }
+
+    // The changes, made only where the records are kept (see the note at the top)
+    const operations = {
+        // false if the username was taken meanwhile
+        addAccount(account) {
+            if (accounts.has(account.id)) return false;
+            accounts.set(account.id, account);
+            save('account', account);
+            return true;
+        },
+
+        // Update stats and ratings after a finished match (see recordMatch below)
+        recordMatch(seats, hands, winningTeam) {
+            const now = Date.now();
+            const teams = { A: [0, 2], B: [1, 3] };
+            const rated = seats.every(seat => seat && !seat.isBot);
+            const ratingOf = seat => (seat.accountId && accounts.has(seat.accountId)) ?
+                accounts.get(seat.accountId).rating : DEFAULT_RATING;
+            const teamRating = team => teams[team].reduce((sum, index) => sum + ratingOf(seats[index]), 0) / 2;
+            const changes = [];
+
+            // Work out every change from the ratings before the match
+            const ratingsBefore = { A: teamRating('A'), B: teamRating('B') };
+            const teamPartnership = {};
+            Object.keys(teams).forEach(team => {
+                const [first, second] = teams[team].map(index => seats[index] && seats[index].accountId);
+                if (first && second && accounts.has(first) && accounts.has(second)) {
+                    teamPartnership[team] = getPartnership(first, second);
+                }
+            });
+            const partnershipRatingsBefore = {
+                A: teamPartnership.A ? teamPartnership.A.rating : ratingsBefore.A,
+                B: teamPartnership.B ? teamPartnership.B.rating : ratingsBefore.B
+            };
+
+            seats.forEach((seat, index) => {
+                const account = seat && seat.accountId && accounts.get(seat.accountId);
+                if (!account) return;
+
+                const team = teams.A.includes(index) ? 'A' : 'B';
+                const opponents = team === 'A' ? 'B' : 'A';
+                addMatchToStats(account.stats, [index], team, hands, winningTeam);
+                account.lastPlayedAt = now;
+
+                let change = 0;
+                if (rated) {
+                    const expected = expectedScore(ratingsBefore[team], ratingsBefore[opponents]);
+                    change = Math.round(K_FACTOR * ((winningTeam === team ? 1 : 0) - expected));
+                    account.rating += change;
+                }
+                changes.push({ username: account.username, rating: account.rating, change });
+                save('account', account);
+            });
+
+            Object.keys(teamPartnership).forEach(team => {
+                const partnership = teamPartnership[team];
+                const opponents = team === 'A' ? 'B' : 'A';
+                addMatchToStats(partnership.stats, teams[team], team, hands, winningTeam);
+                partnership.lastPlayedAt = now;
+
+                if (rated) {
+                    const expected = expectedScore(partnershipRatingsBefore[team], partnershipRatingsBefore[opponents]);
+                    partnership.rating += Math.round(K_FACTOR * ((winningTeam === team ? 1 : 0) - expected));
+                }
+                save('partnership', partnership);
+            });
+
+            return changes;
+        },
+
+        // Every record, for a worker starting up
+        snapshot() {
+            return { accounts: Array.from(accounts.values()), partnerships: Array.from(partnerships.values()) };
+        }
+    };
+
+    // Make a change here, or on the primary when this is a cluster worker
+    function run(op, ...args) {
+        if (!primary) return Promise.resolve(operations[op](...args));
+
+        return new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pending.set(id, { resolve, reject });
+            primary.send({ type: 'omi:accounts', id, op, args });
+        });
+    }
+
+    if (primary) {
+        primary.on('message', message => {
+            if (!message) return;
+            if (message.type === 'omi:accounts:changed') {
+                (message.kind === 'account' ? accounts : partnerships).set(message.record.id, message.record);
+            } else if (message.type === 'omi:accounts:reply' && pending.has(message.id)) {
+                const { resolve, reject } = pending.get(message.id);
+                pending.delete(message.id);
+                if (message.error) {
+                    reject(new Error(message.error));
+                } else {
+                    resolve(message.result);
+                }
+            }
+        });
+    }
+
+    return {
+        load() {
+            const saved = primary ? run('snapshot') :
+                Promise.all([accountStore.loadAll(), partnershipStore.loadAll()]).then(([savedAccounts, savedPartnerships]) => ({
+                    accounts: savedAccounts,
+                    partnerships: savedPartnerships
+                }));
+            loaded = saved.then(records => {
+                records.accounts.forEach(account => accounts.set(account.id, account));
+                records.partnerships.forEach(partnership => partnerships.set(partnership.id, partnership));
+                return accounts.size;
+            });
+            return loaded;
+        },
+
+        flush() {
+            return primary ? Promise.resolve() : Promise.all([accountStore.flush(), partnershipStore.flush()]);
+        },
+
+        // A change sent by a cluster worker (primary only), once the saved records are loaded
+        apply(op, args) {
+            if (!Object.prototype.hasOwnProperty.call(operations, op)) {
+                return Promise.reject(new Error(`Unknown account operation: ${op}`));
+            }
+            return Promise.resolve(loaded).then(() => operations[op](...args));
+        },
+
+        // New account. Without a password a login key is generated and returned (only this once).
+        // Resolves with { success, account, authToken, loginKey } or { success: false, message }.
+        register(username, password) {
+            const taken = { success: false, message: 'That username is taken' };
+            if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+                return Promise.resolve({ success: false, message: 'Usernames are 3-15 letters, numbers, - or _' });
+            }
+            if (accounts.has(accountId(username))) {
+                return Promise.resolve(taken);
+            }
+            if (password && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+                return Promise.resolve({ success: false, message: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+            }
+
+            const loginKey = password ? null : crypto.randomBytes(18).toString('base64url');
+            const account = {
+                id: accountId(username),
+                username,
+                secret: hashSecret(password || loginKey),
+                secretType: password ? 'password' : 'key',
+                rating: DEFAULT_RATING,
+                stats: emptyStats(),
+                createdAt: Date.now(),
+                lastPlayedAt: null
+            };
+            return run('addAccount', account).then(added => added ?
+                { success: true, account: publicAccount(account), authToken: signToken(account), loginKey } :
+                taken);
+        },
+
+        // Password or login key, whichever the account was set up with
+        login(username, loginSecret) {
+            const account = accounts.get(accountId(username));
+            if (!account || !verifySecret(account.secret, loginSecret)) {
+                return { success: false, message: 'Wrong username or password' };
+            }
+            return { success: true, account: publicAccount(account), authToken: signToken(account) };
+        },
+
+        // Account behind an auth token, or null if the token is invalid or has expired
+        verifyToken(token) {
+            if (typeof token !== 'string') return null;
+
+            const [payload, signature] = token.split('.');
+            if (!payload || !signature) return null;
+
+            const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+            const given = Buffer.from(signature, 'base64url');
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+            try {
+                const { user, iat } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+                if (!Number.isInteger(iat) || Date.now() - iat > tokenTtl) return null;
+                const account = accounts.get(user);
+                return account ? { id: account.id, username: account.username } : null;
+            } catch (err) {
+                return null;
+            }
+        },
+
+        isRegistered(username) {
+            return typeof username === 'string' && accounts.has(accountId(username));
+        },
+
+        getRating(id) {
+            const account = accounts.get(id);
+            return account ? account.rating : null;
+        },
+
+        // Update stats and ratings after a finished match.
+        // seats: four entries of { accountId, isBot } (accountId null for guests and bots)
+        // hands: the match's completed hand records; winningTeam: 'A' or 'B'.
+        // Ratings only move when every seat was a human. Resolves with the rating changes per account.
+        recordMatch(seats, hands, winningTeam) {
+            return run('recordMatch', seats, hands, winningTeam);
+        },
+
+        // type 'players' or 'partnerships'; only entries with at least one finished match
+        getLeaderboard(type, limit = 20) {
+            if (type === 'partnerships') {
+                return Array.from(partnerships.values())
+                    .filter(partnership => partnership.stats.matches > 0)
+                    .sort((a, b) => b.rating - a.rating || b.stats.wins - a.stats.wins)
+                    .slice(0, limit)
+                    .map(publicPartnership);
+            }
+
+            return Array.from(accounts.values())
+                .filter(account => account.stats.matches > 0)
+                .sort((a, b) => b.rating - a.rating || b.stats.wins - a.stats.wins)
+                .slice(0, limit)
+                .map(publicAccount);
+        },
+
+        // A player's public profile with their partnerships, or null
+        getProfile(username) {
+            const account = accounts.get(accountId(username));
+            if (!account) return null;
+
+            return {
+                ...publicAccount(account),
+                partnerships: Array.from(partnerships.values())
+                    .filter(partnership => partnership.players.includes(account.id))
+                    .sort((a, b) => b.stats.matches - a.stats.matches)
+                    .map(publicPartnership)
+            };
+        }
+    };
+}
+
+// Primary side: make one worker's changes to the primary's copy, answered with the same id.
+// Pass the primary's createAccounts an onChange that sends each record to every worker.
+function serveClusterAccounts(accounts, worker) {
+    worker.on('message', message => {
+        if (!message || message.type !== 'omi:accounts') return;
+
+        accounts.apply(message.op, message.args || []).then(result => ({ result }), err => ({ error: err.message })).then(reply => {
+            if (worker.isConnected()) worker.send({ type: 'omi:accounts:reply', id: message.id, ...reply });
+        });
+    });
+}
+
+module.exports = { createAccounts, serveClusterAccounts, expectedScore, DEFAULT_RATING, K_FACTOR, TOKEN_TTL };
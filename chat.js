@@ -0,0 +1,37 @@
+// Table chat helpers: message cleanup, profanity filter and quick reactions (rate limits are in rateLimiter.js)
+
+const MAX_MESSAGE_LENGTH = 200;
+
+// Canned reactions shown as bubbles by the seat (i18n.js translates them as reaction.<id>)
+const QUICK_REACTIONS = {
+    niceCut: 'Nice cut!',
+    wellPlayed: 'Well played',
+    goodLuck: 'Good luck!',
+    oops: 'Oops!',
+    thanks: 'Thanks partner',
+    hurry: 'Your move!'
+};
+
+// Word stems that get masked; matching is case-insensitive and covers endings like -ing/-er
+const BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'cunt', 'dick', 'prick', 'wanker', 'slut', 'whore'];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\w*`, 'gi');
+
+function filterProfanity(text) {
+    return text.replace(BLOCKED_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+// Tidy a message for the table: strip control characters, collapse whitespace, cap the length
+// and mask blocked words. Returns '' if nothing is left to send.
+function cleanMessage(text) {
+    if (typeof text !== 'string') return '';
+
+    const tidy = text
+        .replace(/[\u0000-\u001f\u007f]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_MESSAGE_LENGTH);
+
+    return filterProfanity(tidy);
+}
+
+module.exports = { MAX_MESSAGE_LENGTH, QUICK_REACTIONS, cleanMessage, filterProfanity };
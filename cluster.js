@@ -0,0 +1,205 @@
+const cluster = require('cluster');
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createAdapter, setupPrimary } = require('@socket.io/cluster-adapter');
+const { createAccounts, serveClusterAccounts } = require('./accounts');
+const { createLogger } = require('./logger');
+const { createStateTable, serveClusterState } = require('./sharedState');
+const { createStore } = require('./storage');
+
+// Several game server processes on one machine: `npm run cluster` (CLUSTER_WORKERS=4 PORT=3000).
+//
+// The primary owns the port and hands each incoming connection to a worker running index.js:
+//   - Socket.IO requests with a known session id go back to the worker that issued it
+//   - requests naming a room (?room=ABC on Socket.IO, /api/rooms/ABC/... and /api/admin/rooms/ABC/...)
+//     go to the worker that owns the room, so all of a room's players share one process
+//   - anything else is shared out in turn
+// Workers answer every HTTP request with "Connection: close" so a kept-alive connection can't carry
+// a request for one worker to another.
+//
+// The primary also holds the room ownership table (sharedState.js) and relays broadcasts between
+// workers (@socket.io/cluster-adapter). When a worker dies its rooms are released and a replacement
+// starts; saved rooms are picked up again by whichever worker is asked for them first, or by the
+// periodic orphan sweep. Keep STORAGE=file (the default) so every worker sees the saved rooms.
+// Accounts are kept by the primary too: workers send it registrations and finished matches, and it
+// passes every changed record back to all of them (see accounts.js).
+
+const ROOM_PATH = /^\/api\/(?:admin\/)?rooms\/([^/?]+)/;
+
+function startPrimary() {
+    const logger = createLogger({ level: process.env.LOG_LEVEL || 'info', context: { node: 'primary' } });
+    const port = process.env.PORT || 3000;
+    const workerCount = parseInt(process.env.CLUSTER_WORKERS, 10) || os.cpus().length;
+
+    // Every worker has to sign seat and login tokens with the same secret
+    if (!process.env.SESSION_SECRET) {
+        process.env.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+        logger.warn('SESSION_SECRET not set - reconnect tokens will not survive a restart');
+    }
+
+    const table = createStateTable();
+    const workers = new Map(); // nodeId -> worker
+
+    // The one copy of the accounts that changes are made to (same STORAGE and DATA_DIR as index.js)
+    const storageType = process.env.STORAGE || 'file';
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '.data');
+    const accounts = createAccounts({
+        accountStore: createStore(storageType, { dir: path.join(dataDir, 'accounts'), logger }),
+        partnershipStore: createStore(storageType, { dir: path.join(dataDir, 'partnerships'), logger }),
+        secret: process.env.SESSION_SECRET,
+        logger,
+        onChange: (kind, record) => {
+            for (const worker of workers.values()) {
+                if (worker.isConnected()) worker.send({ type: 'omi:accounts:changed', kind, record });
+            }
+        }
+    });
+    accounts.load().catch(err => {
+        logger.error('Failed to load accounts', { err });
+    });
+    const sessions = new Map(); // Engine.IO session id -> nodeId
+    let turn = 0;
+    let isShuttingDown = false;
+
+    cluster.setupPrimary({ exec: path.join(__dirname, 'index.js') });
+    setupPrimary();
+
+    function startWorker() {
+        const worker = cluster.fork();
+        const nodeId = `worker-${worker.id}`;
+        workers.set(nodeId, worker);
+        serveClusterState(table, worker, nodeId);
+        serveClusterAccounts(accounts, worker);
+
+        worker.on('message', message => {
+            if (!message) return;
+            if (message.type === 'omi:session') sessions.set(message.sid, nodeId);
+            if (message.type === 'omi:sessionClosed') sessions.delete(message.sid);
+        });
+
+        worker.on('exit', (code, signal) => {
+            workers.delete(nodeId);
+            for (const [sid, owner] of sessions) {
+                if (owner === nodeId) sessions.delete(sid);
+            }
+            const released = table.releaseNode(nodeId);
+
+            if (isShuttingDown) {
+                if (workers.size === 0) {
+                    logger.info('All workers stopped');
+                    accounts.flush().then(() => process.exit(0));
+                }
+                return;
+            }
+            logger.error('Worker exited - starting a replacement', { worker: nodeId, code, signal, releasedRooms: released.length });
+            startWorker();
+        });
+    }
+
+    // The worker a connection belongs to, from its first request line (null = any worker)
+    function routeRequest(firstChunk) {
+        const requestLine = firstChunk.toString('latin1', 0, Math.min(firstChunk.length, 2048)).split('\r\n')[0];
+        const target = requestLine.split(' ')[1];
+        if (!target) return null;
+
+        try {
+            const url = new URL(target, 'http://localhost');
+            const sid = url.searchParams.get('sid');
+            if (sid && workers.has(sessions.get(sid))) return workers.get(sessions.get(sid));
+
+            const match = url.pathname.match(ROOM_PATH);
+            const roomId = url.searchParams.get('room') || (match && decodeURIComponent(match[1]));
+            const owner = roomId && table.getRoomOwner('primary', roomId);
+            return workers.get(owner) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    const server = net.createServer({ pauseOnConnect: true }, connection => {
+        connection.once('data', chunk => {
+            // pause() alone leaves libuv reading, and bytes the client sends before the handle
+            // reaches the worker (e.g. the first WebSocket frame) would be lost here
+            connection.pause();
+            connection._handle.readStop();
+
+            const available = Array.from(workers.values());
+            const worker = routeRequest(chunk) || available[turn++ % available.length];
+            if (!worker) {
+                connection.destroy();
+                return;
+            }
+            worker.send({ type: 'omi:connection', data: chunk.toString('base64') }, connection, err => {
+                if (err) connection.destroy();
+            });
+        });
+        connection.on('error', () => connection.destroy());
+        connection.resume();
+    });
+
+    for (let i = 0; i < workerCount; i++) {
+        startWorker();
+    }
+
+    server.listen(port, () => {
+        logger.info('Omi Card Game cluster running', { port, url: `http://localhost:${port}`, workers: workerCount });
+    });
+
+    // Workers save their rooms and stop; the primary exits once the last one has
+    process.on('SIGINT', () => {
+        if (isShuttingDown) {
+            logger.warn('Force closing');
+            process.exit(1);
+        }
+
+        isShuttingDown = true;
+        logger.info('Shutting down cluster', { workers: workers.size });
+        server.close();
+        for (const worker of workers.values()) {
+            if (worker.isConnected()) worker.send({ type: 'omi:shutdown' });
+        }
+        if (workers.size === 0) accounts.flush().then(() => process.exit(0));
+    });
+}
+
+// Worker side (called from index.js): take connections from the primary instead of listening,
+// share broadcasts through the cluster adapter and report session ids for routing
+function setupClusterWorker({ server, io, onShutdown }) {
+    io.adapter(createAdapter());
+
+    const tellPrimary = message => {
+        if (process.connected) process.send(message);
+    };
+
+    // The primary has gone - don't carry on as an orphan
+    process.on('disconnect', onShutdown);
+
+    process.on('message', (message, handle) => {
+        if (!message) return;
+        if (message.type === 'omi:shutdown') {
+            onShutdown();
+        } else if (message.type === 'omi:connection' && handle) {
+            server.emit('connection', handle);
+            handle.unshift(Buffer.from(message.data, 'base64'));
+            handle.resume();
+        }
+    });
+
+    // Runs ahead of Socket.IO and Express: one request per connection (see routeRequest)
+    server.prependListener('request', (req, res) => {
+        res.setHeader('Connection', 'close');
+    });
+
+    io.engine.on('connection', rawSocket => {
+        tellPrimary({ type: 'omi:session', sid: rawSocket.id });
+        rawSocket.once('close', () => tellPrimary({ type: 'omi:sessionClosed', sid: rawSocket.id }));
+    });
+}
+
+module.exports = { startPrimary, setupClusterWorker };
+
+if (require.main === module) {
+    startPrimary();
+}
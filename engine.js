@@ -0,0 +1,474 @@
+// Omi rules engine: card rules, scoring and a small state machine for one match.
+//
+// Everything here is pure - no sockets, timers or logging - so the server, bots and tools
+// can all share it. The state machine takes a state and an action and returns a new state
+// plus the events that happened; the state passed in is never modified.
+//
+// Loaded with require() on the server and as a plain <script> in the browser (window.OmiEngine),
+// where solo.js plays whole matches against bots without a server.
+//
+// Phases: waiting -> trump_selection -> playing -> hand_complete -> trump_selection ... -> completed
+//
+// Actions:
+//   { type: 'deal', deck }                 32 shuffled cards (see shuffle.js); from waiting or hand_complete
+//   { type: 'selectTrump', seat, suit }    the trump caller picks trump after seeing 4 cards
+//   { type: 'playCard', seat, cardIndex }  index into the seat's hand (played cards become null)
+//
+// Events: handDealt, trumpSelected, cardPlayed, trickComplete, handComplete, matchComplete
+
+(function (root) {
+    const SUITS = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
+    const RANKS = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+    const TRICKS_PER_HAND = 8;
+
+    // Seats 0 and 2 play seats 1 and 3
+    const TEAM_SEATS = {
+        A: [0, 2],
+        B: [1, 3]
+    };
+
+    // House-rule presets for scoring and match length
+    const RULE_PRESETS = {
+        standard: {
+            label: 'Standard',
+            targetScore: 10,
+            winPoints: 1, // Trump-calling team takes the majority
+            callerLossPoints: 1, // Defending team takes the majority
+            sweepPoints: 2, // Kapothi - one team takes all 8 tricks
+            sweepScoring: 'defenders', // 'defenders' or 'any' team may score the kapothi bonus
+            carryDrawPoints: true, // A drawn (4-4) hand carries a point to the next hand
+            drawTrumpCaller: 'next' // 'next' or 'same' caller after a drawn hand
+        },
+        kapothi: {
+            label: 'Kapothi 3',
+            targetScore: 10,
+            winPoints: 1,
+            callerLossPoints: 1,
+            sweepPoints: 3,
+            sweepScoring: 'any',
+            carryDrawPoints: true,
+            drawTrumpCaller: 'next'
+        },
+        callerPenalty: {
+            label: 'Caller pays double',
+            targetScore: 10,
+            winPoints: 1,
+            callerLossPoints: 2,
+            sweepPoints: 3,
+            sweepScoring: 'any',
+            carryDrawPoints: true,
+            drawTrumpCaller: 'same'
+        },
+        quick: {
+            label: 'Quick (first to 5)',
+            targetScore: 5,
+            winPoints: 1,
+            callerLossPoints: 1,
+            sweepPoints: 2,
+            sweepScoring: 'defenders',
+            carryDrawPoints: true,
+            drawTrumpCaller: 'next'
+        },
+        long: {
+            label: 'Long (first to 13)',
+            targetScore: 13,
+            winPoints: 1,
+            callerLossPoints: 1,
+            sweepPoints: 2,
+            sweepScoring: 'defenders',
+            carryDrawPoints: true,
+            drawTrumpCaller: 'next'
+        }
+    };
+
+    // Rules for a new match from a preset name, or from custom values (clamped to sensible ranges,
+    // falling back to the preset they were based on for anything missing or invalid)
+    function resolveRules(requested) {
+        const clamp = (value, min, max, fallback) => {
+            const number = parseInt(value, 10);
+            return isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+        };
+
+        if (typeof requested === 'string' || !requested) {
+            const preset = RULE_PRESETS[requested] ? requested : 'standard';
+            return { preset, ...RULE_PRESETS[preset] };
+        }
+
+        const base = RULE_PRESETS[requested.preset] || RULE_PRESETS.standard;
+        return {
+            preset: 'custom',
+            label: 'Custom',
+            targetScore: clamp(requested.targetScore, 1, 50, base.targetScore),
+            winPoints: clamp(requested.winPoints, 1, 10, base.winPoints),
+            callerLossPoints: clamp(requested.callerLossPoints, 1, 10, base.callerLossPoints),
+            sweepPoints: clamp(requested.sweepPoints, 1, 10, base.sweepPoints),
+            sweepScoring: ['defenders', 'any'].includes(requested.sweepScoring) ? requested.sweepScoring : base.sweepScoring,
+            carryDrawPoints: typeof requested.carryDrawPoints === 'boolean' ? requested.carryDrawPoints : base.carryDrawPoints,
+            drawTrumpCaller: ['next', 'same'].includes(requested.drawTrumpCaller) ? requested.drawTrumpCaller : base.drawTrumpCaller
+        };
+    }
+
+    // Unshuffled deck: suits in SUITS order, each from 7 up to A
+    function createDeck() {
+        const deck = [];
+        SUITS.forEach(suit => {
+            RANKS.forEach(rank => {
+                deck.push({ suit, rank });
+            });
+        });
+        return deck;
+    }
+
+    // Card strength for comparison; trumps rank above every other suit
+    function getCardValue(card, trump) {
+        const value = RANKS.indexOf(card.rank) + 1;
+        return card.suit === trump ? value + 10 : value;
+    }
+
+    function getTeamForSeat(seat) {
+        return TEAM_SEATS.A.includes(seat) ? 'A' : 'B';
+    }
+
+    // The player on the dealer's right calls trump and leads the first trick. Play runs to the
+    // right, which is the next seat index, so this is also the first seat dealt to.
+    function getTrumpCallerForDealer(dealer) {
+        return (dealer + 1) % 4;
+    }
+
+    // Seats in dealing order: starting from the dealer's right, ending with the dealer
+    function getDealingOrder(dealer) {
+        const firstSeat = getTrumpCallerForDealer(dealer);
+        return [0, 1, 2, 3].map(offset => (firstSeat + offset) % 4);
+    }
+
+    // A card may be played if it follows the lead suit, or if the player has none of that suit.
+    // `hand` may contain nulls for cards already played. `trump` is accepted for symmetry but
+    // trumping is never forced in Omi.
+    function isValidPlay(card, hand, currentTrick, trump) {
+        if (currentTrick.length === 0) return true;
+
+        const leadSuit = currentTrick[0].card.suit;
+        const canFollow = hand.some(c => c && c.suit === leadSuit);
+        return !canFollow || card.suit === leadSuit;
+    }
+
+    // Indexes of the cards in `hand` that may be played now
+    function getPlayableCards(hand, currentTrick, trump) {
+        const playable = [];
+        hand.forEach((card, index) => {
+            if (card && isValidPlay(card, hand, currentTrick, trump)) playable.push(index);
+        });
+        return playable;
+    }
+
+    // The winning entry of a trick ({ playerIndex, card, ... }): the highest trump if any was
+    // played, otherwise the highest card of the suit that was led
+    function getTrickWinner(trick, trump) {
+        const leadSuit = trick[0].card.suit;
+        const trumps = trick.filter(t => t.card.suit === trump);
+        const contenders = trumps.length > 0 ? trumps : trick.filter(t => t.card.suit === leadSuit);
+
+        return contenders.reduce((highest, current) =>
+            getCardValue(current.card, trump) > getCardValue(highest.card, trump) ? current : highest);
+    }
+
+    // Score a finished hand under the given house rules.
+    // Returns the hand's result plus the match scores, carried points and dealer that follow it.
+    function scoreHand({ tricksWon, trumpCaller, dealer, scores, carriedPoints, rules }) {
+        const teamATricks = tricksWon[0] + tricksWon[2];
+        const teamBTricks = tricksWon[1] + tricksWon[3];
+        const trumpTeam = getTeamForSeat(trumpCaller);
+        const defendingTeam = trumpTeam === 'A' ? 'B' : 'A';
+        const newScores = { ...scores };
+
+        let winningTeam = null;
+        let pointsAwarded = 0;
+        let isSweep = false;
+
+        if (teamATricks !== teamBTricks) {
+            winningTeam = teamATricks > teamBTricks ? 'A' : 'B';
+            isSweep = Math.max(teamATricks, teamBTricks) === TRICKS_PER_HAND;
+
+            if (isSweep && (rules.sweepScoring === 'any' || winningTeam === defendingTeam)) {
+                pointsAwarded = rules.sweepPoints; // Kapothi
+            } else if (winningTeam === defendingTeam) {
+                pointsAwarded = rules.callerLossPoints;
+            } else {
+                pointsAwarded = rules.winPoints;
+            }
+            newScores[`team${winningTeam}`] += pointsAwarded;
+        }
+
+        // Drawn hand (4-4): nobody scores now, the point carries over to the next hand
+        const isDraw = winningTeam === null;
+        let carriedPointsWon = 0;
+        let newCarriedPoints = carriedPoints;
+        if (isDraw && rules.carryDrawPoints) {
+            newCarriedPoints += 1;
+        } else if (!isDraw && carriedPoints > 0) {
+            carriedPointsWon = carriedPoints;
+            pointsAwarded += carriedPointsWon;
+            newScores[`team${winningTeam}`] += carriedPointsWon;
+            newCarriedPoints = 0;
+        }
+
+        return {
+            result: {
+                winningTeam,
+                pointsAwarded,
+                teamATricks,
+                teamBTricks,
+                trumpTeam,
+                defendingTeam,
+                isSweep,
+                isDraw,
+                carriedPointsWon,
+                carriedPoints: newCarriedPoints
+            },
+            scores: newScores,
+            carriedPoints: newCarriedPoints,
+            matchComplete: newScores.teamA >= rules.targetScore || newScores.teamB >= rules.targetScore,
+            // The deal passes one seat; house rule may redeal from the same seat after a draw
+            nextDealer: isDraw && rules.drawTrumpCaller === 'same' ? dealer : (dealer + 1) % 4
+        };
+    }
+
+    // Bot trump choice: longest suit among the 4 dealt cards, ties broken by card strength
+    function chooseBotTrump(hand) {
+        const suitTotals = {};
+        hand.forEach(card => {
+            if (!card) return;
+            if (!suitTotals[card.suit]) suitTotals[card.suit] = { count: 0, strength: 0 };
+            suitTotals[card.suit].count++;
+            suitTotals[card.suit].strength += getCardValue(card, null);
+        });
+
+        let bestSuit = null;
+        Object.keys(suitTotals).forEach(suit => {
+            const current = suitTotals[suit];
+            const best = bestSuit && suitTotals[bestSuit];
+            if (!best || current.count > best.count ||
+                (current.count === best.count && current.strength > best.strength)) {
+                bestSuit = suit;
+            }
+        });
+
+        return bestSuit || SUITS[0];
+    }
+
+    // Bot card choice for `seat` (an index into `hand`): follow partner, cut with low trump, hold high cards
+    function chooseBotCard(hand, currentTrick, trump, seat) {
+        const playableCards = getPlayableCards(hand, currentTrick, trump);
+
+        if (playableCards.length <= 1) return playableCards[0];
+
+        const lowest = indices => indices.slice().sort((a, b) =>
+            getCardValue(hand[a], trump) - getCardValue(hand[b], trump)
+        )[0];
+        const nonTrumpCards = playableCards.filter(i => hand[i].suit !== trump);
+        const cheapestDiscard = () => lowest(nonTrumpCards.length > 0 ? nonTrumpCards : playableCards);
+
+        // Leading: cash a side-suit ace, otherwise lead low from the longest side suit
+        if (currentTrick.length === 0) {
+            const ace = nonTrumpCards.find(i => hand[i].rank === 'A');
+            if (ace !== undefined) return ace;
+            if (nonTrumpCards.length === 0) return lowest(playableCards);
+
+            const suitCounts = {};
+            nonTrumpCards.forEach(i => {
+                suitCounts[hand[i].suit] = (suitCounts[hand[i].suit] || 0) + 1;
+            });
+            const longestSuit = Object.keys(suitCounts).reduce((a, b) => suitCounts[b] > suitCounts[a] ? b : a);
+            return lowest(nonTrumpCards.filter(i => hand[i].suit === longestSuit));
+        }
+
+        // Partner is already winning the trick - keep high cards back
+        const currentWinner = getTrickWinner(currentTrick, trump);
+        if (currentWinner.playerIndex === (seat + 2) % 4) {
+            return cheapestDiscard();
+        }
+
+        // Take the trick as cheaply as possible (lowest winning card, or lowest trump when cutting)
+        const winningCards = playableCards.filter(i => {
+            const attempt = [...currentTrick, { playerIndex: seat, card: hand[i] }];
+            return getTrickWinner(attempt, trump).playerIndex === seat;
+        });
+        if (winningCards.length > 0) {
+            return lowest(winningCards);
+        }
+
+        return cheapestDiscard();
+    }
+
+    // A fresh match waiting for its first deal. `rules` is a preset name or a full rules object.
+    function createGame({ rules = 'standard', dealer = 3 } = {}) {
+        const resolvedRules = typeof rules === 'string' ? { preset: rules, ...RULE_PRESETS[rules] } : { ...rules };
+        if (!resolvedRules.targetScore) throw new Error(`Unknown rules preset "${rules}"`);
+
+        return {
+            phase: 'waiting',
+            rules: resolvedRules,
+            round: 0,
+            dealer,
+            trumpCaller: getTrumpCallerForDealer(dealer),
+            currentPlayer: getTrumpCallerForDealer(dealer),
+            trump: null,
+            hands: [[], [], [], []],
+            deck: [], // Cards still to be dealt this hand
+            currentTrick: [], // { playerIndex, card } in play order
+            lastTrick: [],
+            tricksWon: [0, 0, 0, 0],
+            scores: { teamA: 0, teamB: 0 },
+            carriedPoints: 0,
+            lastResult: null
+        };
+    }
+
+    function isCompleteDeck(deck) {
+        if (!Array.isArray(deck) || deck.length !== SUITS.length * RANKS.length) return false;
+        const seen = new Set(deck.map(card => card && `${card.rank}${card.suit}`));
+        return seen.size === deck.length && createDeck().every(card => seen.has(`${card.rank}${card.suit}`));
+    }
+
+    // Deal 4 cards to each seat, around from the dealer's right
+    function dealPacket(state) {
+        getDealingOrder(state.dealer).forEach(seat => {
+            state.hands[seat].push(...state.deck.splice(0, 4));
+        });
+    }
+
+    // Action handlers change the (already copied) state and return an error message or nothing
+    const ACTIONS = {
+        deal(state, { deck }, events) {
+            if (state.phase !== 'waiting' && state.phase !== 'hand_complete') return `Cannot deal during ${state.phase}`;
+            if (!isCompleteDeck(deck)) return 'The deck must hold each of the 32 cards once';
+
+            state.round += 1;
+            state.trumpCaller = getTrumpCallerForDealer(state.dealer);
+            state.currentPlayer = state.trumpCaller;
+            state.trump = null;
+            state.hands = [[], [], [], []];
+            state.deck = deck.map(card => ({ suit: card.suit, rank: card.rank }));
+            state.currentTrick = [];
+            state.lastTrick = [];
+            state.tricksWon = [0, 0, 0, 0];
+            state.phase = 'trump_selection';
+            dealPacket(state);
+
+            events.push({ type: 'handDealt', round: state.round, dealer: state.dealer, trumpCaller: state.trumpCaller });
+        },
+
+        selectTrump(state, { seat, suit }, events) {
+            if (state.phase !== 'trump_selection') return 'Trump can only be chosen before play starts';
+            if (seat !== state.trumpCaller) return 'It is not your turn to choose trump';
+            if (!SUITS.includes(suit)) return 'Invalid trump suit';
+
+            state.trump = suit;
+            state.phase = 'playing';
+            state.currentPlayer = state.trumpCaller; // The caller leads the first trick
+            dealPacket(state);
+
+            events.push({ type: 'trumpSelected', seat, suit });
+        },
+
+        playCard(state, { seat, cardIndex }, events) {
+            if (state.phase !== 'playing') return 'Cards can only be played during a hand';
+            if (seat !== state.currentPlayer) return 'It is not your turn';
+
+            const hand = state.hands[seat];
+            const card = hand[cardIndex];
+            if (!card) return 'Invalid card';
+            if (!isValidPlay(card, hand, state.currentTrick, state.trump)) return 'You must follow suit';
+
+            hand[cardIndex] = null;
+            state.currentTrick.push({ playerIndex: seat, card });
+            events.push({ type: 'cardPlayed', seat, card });
+
+            if (state.currentTrick.length < 4) {
+                state.currentPlayer = (seat + 1) % 4;
+                return;
+            }
+
+            const winner = getTrickWinner(state.currentTrick, state.trump).playerIndex;
+            state.tricksWon[winner] += 1;
+            state.lastTrick = state.currentTrick;
+            state.currentTrick = [];
+            state.currentPlayer = winner;
+            events.push({ type: 'trickComplete', winner, cards: state.lastTrick });
+
+            if (state.tricksWon.reduce((a, b) => a + b, 0) < TRICKS_PER_HAND) return;
+
+            const outcome = scoreHand({
+                tricksWon: state.tricksWon,
+                trumpCaller: state.trumpCaller,
+                dealer: state.dealer,
+                scores: state.scores,
+                carriedPoints: state.carriedPoints,
+                rules: state.rules
+            });
+            state.scores = outcome.scores;
+            state.carriedPoints = outcome.carriedPoints;
+            state.lastResult = outcome.result;
+            events.push({ type: 'handComplete', result: outcome.result, scores: outcome.scores });
+
+            if (outcome.matchComplete) {
+                state.phase = 'completed';
+                events.push({
+                    type: 'matchComplete',
+                    winningTeam: state.scores.teamA > state.scores.teamB ? 'A' : 'B',
+                    scores: state.scores
+                });
+            } else {
+                state.phase = 'hand_complete';
+                state.dealer = outcome.nextDealer;
+                state.trumpCaller = getTrumpCallerForDealer(state.dealer);
+                state.currentPlayer = state.trumpCaller;
+            }
+        }
+    };
+
+    // Apply one action. Returns { success: true, state, events } with a new state,
+    // or { success: false, message, state } with the original state unchanged.
+    function applyAction(state, action) {
+        const handler = action && Object.prototype.hasOwnProperty.call(ACTIONS, action.type) ? ACTIONS[action.type] : null;
+        if (!handler) {
+            return { success: false, message: `Unknown action "${action && action.type}"`, state };
+        }
+
+        const next = JSON.parse(JSON.stringify(state));
+        const events = [];
+        const error = handler(next, action, events);
+        if (error) {
+            return { success: false, message: error, state };
+        }
+        return { success: true, state: next, events };
+    }
+
+    const api = {
+        SUITS,
+        RANKS,
+        TRICKS_PER_HAND,
+        TEAM_SEATS,
+        RULE_PRESETS,
+        resolveRules,
+        createDeck,
+        getCardValue,
+        getTeamForSeat,
+        getTrumpCallerForDealer,
+        getDealingOrder,
+        isValidPlay,
+        getPlayableCards,
+        getTrickWinner,
+        scoreHand,
+        chooseBotTrump,
+        chooseBotCard,
+        createGame,
+        applyAction
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.OmiEngine = api;
+    }
+})(this);
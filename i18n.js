@@ -0,0 +1,1017 @@
+// Translations for the browser client and for the server's messages: English, Sinhala and Tamil.
+//
+// The server sends messages as a key plus parameters, never as a finished sentence:
+//   { key: 'trump.selected', params: { player: 'Nimal', suit: 'Hearts' }, message: 'Nimal selected Hearts as trump' }
+// and the client shows translate(language, key, params) in the player's language. `message` is the
+// English text, kept for logs, the admin tools and older clients.
+//
+// Loaded with require() on the server and as a plain <script> in the browser (window.OmiI18n).
+// A key missing from a catalogue falls back to English, then to the key itself.
+// Parameters named `suit` are shown as that language's suit name.
+
+(function (root) {
+    const LANGUAGES = {
+        en: 'English',
+        si: 'සිංහල',
+        ta: 'தமிழ்'
+    };
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    const CATALOGUES = {
+        en: {
+            // Suits
+            'suit.Hearts': 'Hearts',
+            'suit.Diamonds': 'Diamonds',
+            'suit.Clubs': 'Clubs',
+            'suit.Spades': 'Spades',
+            'card.name': '{rank} of {suit}',
+
+            // Server errors (see ERROR_CODES in validation.js)
+            'error.rateLimited': 'Too many requests - slow down',
+            'error.unknownEvent': 'Unknown event: {event}',
+            'error.invalidPayload': 'Invalid {field}: {reason}',
+            'error.wrongNode': 'That room is on another server - reconnecting',
+            'error.openRoomFailed': 'Could not open that room - please try again',
+            'error.createRoomFailed': 'Could not create the room - please try again',
+            'error.roomLimit': 'You already have {count} open rooms - close one before creating another',
+            'error.roomRateLimited': 'You are creating rooms too quickly - try again later',
+            'error.serverFull': 'Server is full. Please try again later.',
+            'error.badRoomCode': 'Room codes are 1-10 letters, numbers, - or _',
+            'error.roomExists': 'A room with that code already exists',
+            'error.roomNotFound': 'Room not found - check the code or create a new room',
+            'error.readOnly': 'This room is a read-only match review',
+            'error.seatTaken': 'This seat is already connected',
+            'error.wrongPassword': 'Wrong room password',
+            'error.roomLocked': 'The host has locked this room',
+            'error.nameReserved': 'That name belongs to a registered player - log in to use it',
+            'error.roomFull': 'Room is full',
+            'error.nameTaken': 'Name already taken',
+            'error.spectatorCannotSit': 'Spectators cannot take a seat - rejoin as a player',
+            'error.loginExpired': 'Your login has expired - please log in again',
+            'error.alreadyInRoom': 'You are already in a room',
+            'error.hostOnlyAddBots': 'Only the host can add bots',
+            'error.hostOnlyRemoveBots': 'Only the host can remove bots',
+            'error.hostOnlyRemovePlayers': 'Only the host can remove players',
+            'error.hostOnlyMovePlayers': 'Only the host can move players',
+            'error.hostOnlyLock': 'Only the host can lock the room',
+            'error.hostOnlyRematch': 'Only the host can start a rematch',
+            'error.botsBeforeStart': 'Bots can only be added before the game starts',
+            'error.removeBotsBeforeStart': 'Bots can only be removed before the game starts',
+            'error.noBotInSeat': 'No bot in that seat',
+            'error.noPlayerInSeat': 'No player in that seat',
+            'error.cannotRemoveSelf': "You can't remove yourself",
+            'error.seatsBeforeStart': 'Seats can only be changed before the game starts',
+            'error.pickTwoSeats': 'Pick two different seats to swap',
+            'error.rematchAfterGame': 'A rematch can only start after the game is over',
+            'error.notSeated': 'You are not seated in this room',
+            'error.alreadyStarted': 'The game has already started',
+            'error.chatNotSeated': 'Only seated players can chat',
+            'error.chatTooFast': 'You are sending messages too quickly - wait a few seconds',
+            'error.historyNotSeated': 'Hand history is only available to players in the room',
+            'error.cannotSelectTrump': 'Cannot select trump now',
+            'error.notYourTrumpTurn': 'Not your turn to select trump',
+            'error.notPlaying': 'Game not in playing state',
+            'error.playerNotFound': 'Player not found',
+            'error.notYourTurn': 'Not your turn',
+            'error.cardNotFound': 'Invalid card - card not found',
+            'error.invalidCard': 'Invalid card!',
+            'error.mustFollowSuit': 'Must follow suit! You have {suit} cards.',
+            'error.adminDenied': 'Admin access denied',
+
+            // Server game messages
+            'room.closedInactive': 'Room has been closed due to inactivity',
+            'room.closedByAdmin': 'Room was closed by the server admin',
+            'kick.byHost': 'The host removed you from the room',
+            'kick.byAdmin': 'The server admin removed you from the room',
+            'players.removedByHost': '{player} was removed by the host',
+            'players.removedByHostBot': '{player} was removed by the host - a bot will finish their cards',
+            'players.removedByAdmin': '{player} was removed by the server admin',
+            'players.removedByAdminBot': '{player} was removed by the server admin - a bot will finish their cards',
+            'players.seatsRearranged': 'The host rearranged the seats',
+            'players.roomLocked': 'The host locked the room',
+            'players.roomUnlocked': 'The host unlocked the room',
+            'game.resumedAfterRemoval': '{player} was removed. Game resumed!',
+            'game.resumedWithBot': 'A bot is standing in for {player}. Game resumed!',
+            'game.resumedAfterReconnect': '{player} reconnected. Game resumed!',
+            'game.paused': 'Game paused - {player} disconnected',
+            'game.standIn': "{player} hasn't returned - a bot is playing their hand until they reconnect",
+            'game.rematch': '{player} started a rematch - press Ready to play',
+            'game.soloRematch': 'New match against the computer',
+            'game.over': 'Game complete! Team {team} wins with {points} points!',
+            'game.serverRestarting': 'Server is restarting. Your game has been saved - reconnect to continue.',
+            'trump.select': 'Select trump suit from your 4 cards',
+            'trump.selectNewGame': 'New game - Select trump suit from your 4 cards',
+            'trump.selectResumed': 'Game resumed - Select trump suit from your 4 cards',
+            'trump.selectWelcomeBack': 'Welcome back - Select trump suit from your 4 cards',
+            'trump.waiting': 'Waiting for {player} to select trump',
+            'trump.waitingNewGame': 'New game - Waiting for {player} to select trump',
+            'trump.waitingResumed': 'Game resumed - Waiting for {player} to select trump',
+            'trump.selected': '{player} selected {suit} as trump',
+            'turn.yours': 'Your turn!',
+            'turn.lead': 'Your turn to lead!',
+            'turn.leadFirst': 'Your turn! You lead the first trick.',
+            'turn.resumed': 'Your turn! (Game resumed)',
+            'turn.timedOut': '{player} ran out of time',
+            'round.won': 'Round complete! Team {team} scored {points} point(s)',
+            'round.wonWithCarried': 'Round complete! Team {team} scored {points} point(s) (including {carried} carried over)',
+            'round.drawn': 'Round drawn {teamA}-{teamB}! No points awarded',
+            'round.drawnCarried': 'Round drawn {teamA}-{teamB}! {points} point(s) carried over to the next hand',
+
+            // Quick reactions (ids from QUICK_REACTIONS in chat.js)
+            'reaction.niceCut': 'Nice cut!',
+            'reaction.wellPlayed': 'Well played',
+            'reaction.goodLuck': 'Good luck!',
+            'reaction.oops': 'Oops!',
+            'reaction.thanks': 'Thanks partner',
+            'reaction.hurry': 'Your move!',
+
+            // Join screen
+            'join.title': '🎮 Omi Card Game',
+            'join.language': 'Language:',
+            'join.highContrast': 'High-contrast suit colours',
+            'join.name': 'Your Name:',
+            'join.namePlaceholder': 'Enter your name',
+            'join.team': 'Preferred Team:',
+            'join.teamA': 'Team A (Green)',
+            'join.teamB': 'Team B (Blue)',
+            'join.roomCode': 'Room Code:',
+            'join.roomCodePlaceholder': 'Enter room code',
+            'join.roomPassword': 'Room Password (if it has one):',
+            'join.roomPasswordPlaceholder': 'Leave empty for open rooms',
+            'join.join': 'Join Game',
+            'join.reconnect': 'Reconnect',
+            'join.watch': '👁 Watch Game',
+            'join.solo': '🤖 Play Solo vs Computer',
+            'join.soloName': 'You',
+            'join.importMatch': '📂 Review a Saved Match',
+            'join.leaderboards': '🏆 Leaderboards',
+            'account.signOut': 'Sign Out',
+            'account.summary': '👤 Sign in to track your stats and rating',
+            'account.username': 'Username:',
+            'account.usernamePlaceholder': '3-15 letters or numbers',
+            'account.password': 'Password or login key:',
+            'account.passwordPlaceholder': 'Leave empty to get a login key',
+            'account.logIn': 'Log In',
+            'account.register': 'Register',
+            'account.signedInAs': 'Signed in as {user} ({rating})',
+            'account.signedIn': 'Signed in as {user}',
+            'account.enterUsername': 'Please enter a username',
+            'account.enterPassword': 'Please enter your password or login key',
+            'account.failed': 'Something went wrong',
+            'account.saveLoginKey': 'Save your login key - you need it to sign in on another device:',
+            'create.summary': '➕ Create a New Room',
+            'create.visibility': 'Visibility:',
+            'create.public': 'Public - listed in the lobby',
+            'create.private': 'Private - join by code only',
+            'create.password': 'Password (optional):',
+            'create.passwordPlaceholder': 'No password',
+            'create.turnTimer': 'Turn Timer:',
+            'create.noLimit': 'No limit',
+            'create.seconds': '{seconds} seconds',
+            'create.rules': 'House Rules:',
+            'create.spectators': 'Spectators see:',
+            'create.create': 'Create Room',
+            'preset.standard': 'Standard - first to 10, kapothi 2',
+            'preset.kapothi': 'Kapothi 3 - sweep scores 3 for either team',
+            'preset.callerPenalty': 'Caller pays double - 2 when trump team loses',
+            'preset.quick': 'Quick - first to 5',
+            'preset.long': 'Long - first to 13',
+            'preset.custom': 'Custom...',
+            'rules.playTo': 'Play to',
+            'rules.winPoints': 'Trump team wins',
+            'rules.callerLossPoints': 'Trump team loses',
+            'rules.sweepPoints': 'Kapothi (8 tricks)',
+            'rules.sweepFor': 'Kapothi for',
+            'rules.defendersOnly': 'Defenders only',
+            'rules.eitherTeam': 'Either team',
+            'rules.afterDraw': 'After a 4-4 draw',
+            'rules.nextCaller': 'Next player calls',
+            'rules.sameCaller': 'Same caller again',
+            'spectatorMode.live': 'Table only - no hands',
+            'spectatorMode.openAfterTrick': 'Open hands after each trick',
+            'spectatorMode.delayed': 'Everything, on a delay',
+            'lobby.title': 'Open Rooms',
+            'lobby.refresh': 'Refresh the room list',
+            'lobby.loading': 'Loading rooms...',
+            'lobby.empty': 'No open rooms yet - create one!',
+            'lobby.locked': 'Locked',
+            'lobby.waiting': 'Waiting',
+            'lobby.inPlay': 'In play',
+            'lobby.free': 'Free: A {a}, B {b}',
+            'lobby.join': 'Join {team}',
+            'lobby.watch': 'Watch this game',
+            'lobby.passwordPrompt': 'Password for room {room}:',
+
+            // Table
+            'status.connected': 'Connected',
+            'status.disconnected': 'Disconnected',
+            'status.solo': 'Solo - no server needed',
+            'status.waitingForPlayers': 'Waiting for players...',
+            'status.waitingForTrump': 'Waiting for trump selection...',
+            'status.waitingForOthers': 'Waiting for other players...',
+            'status.yourTurn': 'Your turn',
+            'status.playersTurn': "{player}'s turn",
+            'status.gameComplete': 'Game Complete',
+            'status.gamePaused': 'Game Paused',
+            'status.gameResumed': 'Game Resumed',
+            'table.trump': 'Trump:',
+            'table.scores': 'Scores',
+            'table.teamA': 'Team A:',
+            'table.teamB': 'Team B:',
+            'table.carried': 'Carried over:',
+            'table.carriedTitle': 'Points from drawn hands, won by the next decisive hand',
+            'table.emptySeats': 'Empty seats:',
+            'table.addBotA': '🤖 Add Bot (Team A)',
+            'table.addBotB': '🤖 Add Bot (Team B)',
+            'table.botSpeed': 'Bot speed:',
+            'table.botFast': 'Fast',
+            'table.botNormal': 'Normal',
+            'table.botSlow': 'Slow',
+            'table.ready': '✋ Ready',
+            'table.readyCancel': '✅ Ready (click to cancel)',
+            'table.readyCount': '{count}/4 ready',
+            'table.lock': '🔒 Lock Room',
+            'table.unlock': '🔓 Unlock Room',
+            'table.rematch': '🔁 Rematch',
+            'table.tricks': 'Tricks: {count}',
+            'table.showPreviousTrick': 'Show Previous Trick',
+            'table.hidePreviousTrick': 'Hide Previous Trick',
+            'table.handHistory': '📜 Hand History',
+            'table.yourCards': 'Your Cards',
+            'table.watching': '👁 {count} watching',
+            'table.spectating': 'Spectating',
+            'table.spectatingDelayed': 'Spectating - hands shown on a delay',
+            'table.spectatingOpen': 'Spectating - hands open after each trick',
+            'table.playerNumber': 'Player {number}',
+            'seat.bot': '{player} (bot)',
+            'seat.standInTitle': '{player} is disconnected - a bot is standing in',
+            'seat.ratingTitle': '{player} - rating {rating}',
+            'seat.swap': 'Swap seats',
+            'seat.remove': 'Remove {player} from the room',
+            'seat.removeConfirm': 'Remove {player} from the room?',
+            'seat.pickSwap': 'Now pick the seat to swap with',
+            'seat.removeBot': 'Remove bot',
+            'seat.dealer': '🂠 Dealer',
+            'seat.caller': '★ Calls trump',
+            'seat.label': '{player}, Team {team}',
+            'a11y.handHint': 'Arrow keys choose a card, Enter plays it',
+            'a11y.yourTurn': 'Your turn - {count} playable cards',
+            'a11y.scores': 'Scores: Team A {teamA}, Team B {teamB}',
+            'rulesLabel.standard': 'Standard',
+            'rulesLabel.kapothi': 'Kapothi 3',
+            'rulesLabel.callerPenalty': 'Caller pays double',
+            'rulesLabel.quick': 'Quick (first to 5)',
+            'rulesLabel.long': 'Long (first to 13)',
+            'rulesLabel.custom': 'Custom',
+            'rulesSummary.target': 'First to {points}',
+            'rulesSummary.points': 'Win {win} / Caller loses {loss}',
+            'rulesSummary.sweepAny': 'Kapothi {points} (either team)',
+            'rulesSummary.sweepDefenders': 'Kapothi {points} (defenders)',
+            'rulesSummary.drawsCarry': 'Draws carry over',
+            'rulesSummary.drawsNothing': 'Draws score nothing',
+            'rulesSummary.turnTime': '{seconds}s turns',
+            'rulesSummary.noTurnLimit': 'No turn limit',
+            'chat.toggle': '💬 Chat',
+            'chat.channel': 'Who sees your message',
+            'chat.table': 'Table',
+            'chat.team': 'Team',
+            'chat.placeholder': 'Say something...',
+            'chat.send': 'Send',
+            'chat.teamPrefix': '[Team] ',
+            'trumpModal.title': 'Select Trump Suit',
+            'trumpModal.prompt': 'Choose from your 4 cards:',
+            'trumpModal.keys': 'Or press 1-4 to pick the suits in the order shown',
+            'history.title': '📜 Hand History',
+            'history.back': '◀ Back',
+            'history.forward': 'Forward ▶',
+            'history.exportJson': '⬇ Match (JSON)',
+            'history.exportText': '⬇ Match (Text)',
+            'history.close': 'Close',
+            'history.hand': 'Hand {number}',
+            'history.drawn': 'Drawn {teamA}-{teamB}',
+            'history.won': 'Team {team} +{points} ({teamA}-{teamB})',
+            'history.info': 'Dealer: {dealer} · Trump: {trumpSymbol} called by {caller} · Result: {result}',
+            'history.deal': 'The deal',
+            'history.trick': 'Trick {number} / {total} - won by {player}',
+            'history.none': 'No finished hands yet in this match',
+            'gameOver.title': '🎉 Team {team} wins!',
+            'gameOver.finalScores': 'Final Scores:',
+            'gameOver.ratings': 'Ratings:',
+            'shuffle.verified': '🔒 Hand {number} verified',
+            'shuffle.verifiedTitle': 'Seed {seed} matches its commitment {commitment}',
+            'shuffle.notVerified': '⚠️ Hand {number} not verified',
+            'shuffle.failed': '⚠️ Shuffle check failed for hand {number}: {reason}',
+            'shuffle.seedMismatch': 'the seed does not match the commitment published before the deal',
+            'shuffle.cardsMismatch': 'the cards you were dealt do not match the revealed deck',
+            'shuffle.noCommitment': 'the commitment for this hand did not arrive before the deal',
+
+            // Client messages
+            'msg.formError': 'Form error. Please refresh the page.',
+            'msg.enterNameAndRoom': 'Please enter both name and room code',
+            'msg.nameTooLong': 'Name must be 15 characters or less',
+            'msg.enterName': 'Please enter your name',
+            'msg.enterRoomToWatch': 'Please enter the room code to watch',
+            'msg.connectionError': 'Connection error. Please refresh the page.',
+            'msg.connected': 'Connected to server',
+            'msg.disconnected': 'Disconnected from server',
+            'msg.connectFailed': 'Connection failed: {reason}',
+            'msg.connectFailedGeneric': 'Failed to connect to server',
+            'msg.roomCreated': 'Room {room} created',
+            'msg.roomCreatedPrivate': 'Room {room} created - share the code to invite friends',
+            'msg.playerJoined': '{player} joined ({count}/4 players)',
+            'msg.reconnected': 'Reconnected successfully!',
+            'msg.watching': 'You are watching room {room}',
+            'msg.botLeft': '{player} left the table',
+            'msg.cardPlayed': '{player} played {card}',
+            'msg.trickWon': '{player} won the trick!',
+            'msg.playerLeft': '{player} left the game',
+            'msg.playerRejoined': '{player} rejoined the game',
+            'msg.canSpectate': '{message} - press Watch Game to spectate',
+            'msg.youSelectedTrump': 'You selected {suit} as trump',
+            'msg.notYourTurn': "It's not your turn!",
+            'msg.invalidSelection': 'Invalid card selection!',
+            'msg.cannotPlayCard': "You can't play that card!",
+            'msg.mustFollowSuit': 'Must follow suit! You have {suit} cards to play.',
+            'msg.notConnected': 'Not connected to server',
+            'msg.scriptError': 'An error occurred. Please refresh the page.',
+            'msg.offline': 'You are offline. Please check your connection.',
+            'msg.connectionRestored': 'Connection restored!',
+            'msg.connectionLost': 'Connection lost!',
+            'msg.importFailed': 'Import failed',
+            'msg.exportFailed': 'Export failed',
+            'msg.matchLoaded': 'Loaded match with {count} hand(s) for review'
+        },
+
+        si: {
+            'suit.Hearts': 'හාට්',
+            'suit.Diamonds': 'දියමන්ති',
+            'suit.Clubs': 'කලාවර්',
+            'suit.Spades': 'ඉස්පේඩ්',
+            'card.name': '{suit} {rank}',
+
+            'error.rateLimited': 'ඉල්ලීම් වැඩියි - ටිකක් හෙමින්',
+            'error.unknownEvent': 'නොදන්නා සිදුවීමක්: {event}',
+            'error.invalidPayload': 'වලංගු නොවන {field}: {reason}',
+            'error.wrongNode': 'එම කාමරය වෙනත් සේවාදායකයක ඇත - නැවත සම්බන්ධ වෙමින්',
+            'error.openRoomFailed': 'එම කාමරය විවෘත කළ නොහැකි විය - කරුණාකර නැවත උත්සාහ කරන්න',
+            'error.createRoomFailed': 'කාමරය සෑදිය නොහැකි විය - කරුණාකර නැවත උත්සාහ කරන්න',
+            'error.roomLimit': 'ඔබට දැනටමත් විවෘත කාමර {count} ක් ඇත - අලුත් එකක් සෑදීමට පෙර එකක් වසන්න',
+            'error.roomRateLimited': 'ඔබ ඉතා ඉක්මනින් කාමර සාදයි - පසුව නැවත උත්සාහ කරන්න',
+            'error.serverFull': 'සේවාදායකය පිරී ඇත. කරුණාකර පසුව නැවත උත්සාහ කරන්න.',
+            'error.badRoomCode': 'කාමර කේතයක් අකුරු, ඉලක්කම්, - හෝ _ 1-10 කින් සමන්විත විය යුතුය',
+            'error.roomExists': 'එම කේතය සහිත කාමරයක් දැනටමත් ඇත',
+            'error.roomNotFound': 'කාමරය හමු නොවීය - කේතය පරීක්ෂා කරන්න හෝ නව කාමරයක් සාදන්න',
+            'error.readOnly': 'මෙය කියවීමට පමණක් ඇති තරඟ සමාලෝචනයකි',
+            'error.seatTaken': 'මෙම ආසනය දැනටමත් සම්බන්ධයි',
+            'error.wrongPassword': 'කාමර මුරපදය වැරදියි',
+            'error.roomLocked': 'සත්කාරකයා මෙම කාමරය අගුළු දමා ඇත',
+            'error.nameReserved': 'එම නම ලියාපදිංචි ක්‍රීඩකයෙකුට අයත්ය - එය භාවිතා කිරීමට පුරනය වන්න',
+            'error.roomFull': 'කාමරය පිරී ඇත',
+            'error.nameTaken': 'එම නම දැනටමත් භාවිතයේ ඇත',
+            'error.spectatorCannotSit': 'නරඹන්නන්ට ආසනයක් ගත නොහැක - ක්‍රීඩකයෙකු ලෙස නැවත එක්වන්න',
+            'error.loginExpired': 'ඔබේ පිවිසුම කල් ඉකුත් වී ඇත - කරුණාකර නැවත පුරනය වන්න',
+            'error.alreadyInRoom': 'ඔබ දැනටමත් කාමරයක සිටී',
+            'error.hostOnlyAddBots': 'බොට් එකතු කළ හැක්කේ සත්කාරකයාට පමණි',
+            'error.hostOnlyRemoveBots': 'බොට් ඉවත් කළ හැක්කේ සත්කාරකයාට පමණි',
+            'error.hostOnlyRemovePlayers': 'ක්‍රීඩකයින් ඉවත් කළ හැක්කේ සත්කාරකයාට පමණි',
+            'error.hostOnlyMovePlayers': 'ක්‍රීඩකයින් මාරු කළ හැක්කේ සත්කාරකයාට පමණි',
+            'error.hostOnlyLock': 'කාමරය අගුළු දැමිය හැක්කේ සත්කාරකයාට පමණි',
+            'error.hostOnlyRematch': 'නැවත තරඟයක් ආරම්භ කළ හැක්කේ සත්කාරකයාට පමණි',
+            'error.botsBeforeStart': 'බොට් එකතු කළ හැක්කේ ක්‍රීඩාව ආරම්භ වීමට පෙර පමණි',
+            'error.removeBotsBeforeStart': 'බොට් ඉවත් කළ හැක්කේ ක්‍රීඩාව ආරම්භ වීමට පෙර පමණි',
+            'error.noBotInSeat': 'එම ආසනයේ බොට් කෙනෙක් නැත',
+            'error.noPlayerInSeat': 'එම ආසනයේ ක්‍රීඩකයෙක් නැත',
+            'error.cannotRemoveSelf': 'ඔබට ඔබවම ඉවත් කළ නොහැක',
+            'error.seatsBeforeStart': 'ආසන වෙනස් කළ හැක්කේ ක්‍රීඩාව ආරම්භ වීමට පෙර පමණි',
+            'error.pickTwoSeats': 'මාරු කිරීමට වෙනස් ආසන දෙකක් තෝරන්න',
+            'error.rematchAfterGame': 'නැවත තරඟයක් ආරම්භ කළ හැක්කේ ක්‍රීඩාව අවසන් වූ පසුව පමණි',
+            'error.notSeated': 'ඔබ මෙම කාමරයේ ආසනයක නැත',
+            'error.alreadyStarted': 'ක්‍රීඩාව දැනටමත් ආරම්භ වී ඇත',
+            'error.chatNotSeated': 'කතාබස් කළ හැක්කේ ආසනගත ක්‍රීඩකයින්ට පමණි',
+            'error.chatTooFast': 'ඔබ ඉතා ඉක්මනින් පණිවිඩ යවයි - තත්පර කිහිපයක් රැඳී සිටින්න',
+            'error.historyNotSeated': 'අත් ඉතිහාසය ලබා ගත හැක්කේ කාමරයේ ක්‍රීඩකයින්ට පමණි',
+            'error.cannotSelectTrump': 'දැන් තුරුම්පුව තෝරා ගත නොහැක',
+            'error.notYourTrumpTurn': 'තුරුම්පුව තෝරන්නේ ඔබ නොවේ',
+            'error.notPlaying': 'ක්‍රීඩාව දැන් ක්‍රීඩා කරන තත්ත්වයේ නැත',
+            'error.playerNotFound': 'ක්‍රීඩකයා හමු නොවීය',
+            'error.notYourTurn': 'ඔබේ වාරය නොවේ',
+            'error.cardNotFound': 'වලංගු නොවන කාඩ්පතක් - කාඩ්පත හමු නොවීය',
+            'error.invalidCard': 'වලංගු නොවන කාඩ්පතක්!',
+            'error.mustFollowSuit': 'එකම වර්ගය දැමිය යුතුය! ඔබ අත {suit} කාඩ් ඇත.',
+            'error.adminDenied': 'පරිපාලක ප්‍රවේශය ප්‍රතික්ෂේප විය',
+
+            'room.closedInactive': 'අක්‍රියතාව නිසා කාමරය වසා ඇත',
+            'room.closedByAdmin': 'සේවාදායක පරිපාලක විසින් කාමරය වසා ඇත',
+            'kick.byHost': 'සත්කාරකයා ඔබව කාමරයෙන් ඉවත් කළා',
+            'kick.byAdmin': 'සේවාදායක පරිපාලක ඔබව කාමරයෙන් ඉවත් කළා',
+            'players.removedByHost': 'සත්කාරකයා {player} ඉවත් කළා',
+            'players.removedByHostBot': 'සත්කාරකයා {player} ඉවත් කළා - ඔවුන්ගේ කාඩ් බොට් කෙනෙක් අවසන් කරයි',
+            'players.removedByAdmin': 'සේවාදායක පරිපාලක {player} ඉවත් කළා',
+            'players.removedByAdminBot': 'සේවාදායක පරිපාලක {player} ඉවත් කළා - ඔවුන්ගේ කාඩ් බොට් කෙනෙක් අවසන් කරයි',
+            'players.seatsRearranged': 'සත්කාරකයා ආසන නැවත සකස් කළා',
+            'players.roomLocked': 'සත්කාරකයා කාමරය අගුළු දැම්මා',
+            'players.roomUnlocked': 'සත්කාරකයා කාමරය විවෘත කළා',
+            'game.resumedAfterRemoval': '{player} ඉවත් කළා. ක්‍රීඩාව නැවත ආරම්භ විය!',
+            'game.resumedWithBot': '{player} වෙනුවට බොට් කෙනෙක් ක්‍රීඩා කරයි. ක්‍රීඩාව නැවත ආරම්භ විය!',
+            'game.resumedAfterReconnect': '{player} නැවත සම්බන්ධ විය. ක්‍රීඩාව නැවත ආරම්භ විය!',
+            'game.paused': 'ක්‍රීඩාව නවතා ඇත - {player} විසන්ධි විය',
+            'game.standIn': '{player} ආපසු පැමිණ නැත - ඔවුන් නැවත සම්බන්ධ වන තුරු බොට් කෙනෙක් ක්‍රීඩා කරයි',
+            'game.rematch': '{player} නැවත තරඟයක් ආරම්භ කළා - ක්‍රීඩා කිරීමට සූදානම් ඔබන්න',
+            'game.soloRematch': 'පරිගණකයට එරෙහිව නව තරඟයක්',
+            'game.over': 'ක්‍රීඩාව අවසන්! ලකුණු {points} කින් කණ්ඩායම {team} ජයග්‍රහණය කළා!',
+            'game.serverRestarting': 'සේවාදායකය නැවත ආරම්භ වෙමින් පවතී. ඔබේ ක්‍රීඩාව සුරකින ලදී - දිගටම කරගෙන යාමට නැවත සම්බන්ධ වන්න.',
+            'trump.select': 'ඔබේ කාඩ් 4 න් තුරුම්පුව තෝරන්න',
+            'trump.selectNewGame': 'නව ක්‍රීඩාව - ඔබේ කාඩ් 4 න් තුරුම්පුව තෝරන්න',
+            'trump.selectResumed': 'ක්‍රීඩාව නැවත ආරම්භ විය - ඔබේ කාඩ් 4 න් තුරුම්පුව තෝරන්න',
+            'trump.selectWelcomeBack': 'නැවත සාදරයෙන් පිළිගනිමු - ඔබේ කාඩ් 4 න් තුරුම්පුව තෝරන්න',
+            'trump.waiting': '{player} තුරුම්පුව තෝරන තුරු රැඳී සිටිමින්',
+            'trump.waitingNewGame': 'නව ක්‍රීඩාව - {player} තුරුම්පුව තෝරන තුරු රැඳී සිටිමින්',
+            'trump.waitingResumed': 'ක්‍රීඩාව නැවත ආරම්භ විය - {player} තුරුම්පුව තෝරන තුරු රැඳී සිටිමින්',
+            'trump.selected': '{player} තුරුම්පුව ලෙස {suit} තෝරා ගත්තා',
+            'turn.yours': 'ඔබේ වාරය!',
+            'turn.lead': 'පළමු කාඩ්පත දැමීම ඔබේ වාරය!',
+            'turn.leadFirst': 'ඔබේ වාරය! පළමු අත ආරම්භ කරන්නේ ඔබයි.',
+            'turn.resumed': 'ඔබේ වාරය! (ක්‍රීඩාව නැවත ආරම්භ විය)',
+            'turn.timedOut': '{player} ගේ කාලය අවසන් විය',
+            'round.won': 'වටය අවසන්! කණ්ඩායම {team} ලකුණු {points} ක් ලබා ගත්තා',
+            'round.wonWithCarried': 'වටය අවසන්! කණ්ඩායම {team} ලකුණු {points} ක් ලබා ගත්තා (ඉදිරියට ගෙන ආ {carried} ද ඇතුළුව)',
+            'round.drawn': 'වටය සමබලයි {teamA}-{teamB}! ලකුණු නැත',
+            'round.drawnCarried': 'වටය සමබලයි {teamA}-{teamB}! ලකුණු {points} ක් ඊළඟ වටයට ගෙන යයි',
+
+            'reaction.niceCut': 'හොඳ කැපීමක්!',
+            'reaction.wellPlayed': 'හොඳට ක්‍රීඩා කළා',
+            'reaction.goodLuck': 'සුබ පැතුම්!',
+            'reaction.oops': 'අයියෝ!',
+            'reaction.thanks': 'ස්තූතියි යාළුවා',
+            'reaction.hurry': 'ඔබේ වාරය!',
+
+            'join.title': '🎮 ඔමි කාඩ් ක්‍රීඩාව',
+            'join.language': 'භාෂාව:',
+            'join.highContrast': 'ඉහළ වෙනස්කම් සහිත කාඩ් වර්ණ',
+            'join.name': 'ඔබේ නම:',
+            'join.namePlaceholder': 'ඔබේ නම ඇතුළත් කරන්න',
+            'join.team': 'කැමති කණ්ඩායම:',
+            'join.teamA': 'කණ්ඩායම A (කොළ)',
+            'join.teamB': 'කණ්ඩායම B (නිල්)',
+            'join.roomCode': 'කාමර කේතය:',
+            'join.roomCodePlaceholder': 'කාමර කේතය ඇතුළත් කරන්න',
+            'join.roomPassword': 'කාමර මුරපදය (තිබේ නම්):',
+            'join.roomPasswordPlaceholder': 'විවෘත කාමර සඳහා හිස්ව තබන්න',
+            'join.join': 'ක්‍රීඩාවට එක්වන්න',
+            'join.reconnect': 'නැවත සම්බන්ධ වන්න',
+            'join.watch': '👁 ක්‍රීඩාව නරඹන්න',
+            'join.solo': '🤖 පරිගණකයට එරෙහිව තනිව ක්‍රීඩා කරන්න',
+            'join.soloName': 'ඔබ',
+            'join.importMatch': '📂 සුරකින ලද තරඟයක් සමාලෝචනය කරන්න',
+            'join.leaderboards': '🏆 ප්‍රමුඛ ලැයිස්තු',
+            'account.signOut': 'ඉවත් වන්න',
+            'account.summary': '👤 ඔබේ සංඛ්‍යාලේඛන සහ ශ්‍රේණිය සටහන් කර ගැනීමට පුරනය වන්න',
+            'account.username': 'පරිශීලක නාමය:',
+            'account.usernamePlaceholder': 'අකුරු හෝ ඉලක්කම් 3-15',
+            'account.password': 'මුරපදය හෝ පිවිසුම් යතුර:',
+            'account.passwordPlaceholder': 'පිවිසුම් යතුරක් ලබා ගැනීමට හිස්ව තබන්න',
+            'account.logIn': 'පුරනය වන්න',
+            'account.register': 'ලියාපදිංචි වන්න',
+            'account.signedInAs': '{user} ලෙස පුරනය වී ඇත ({rating})',
+            'account.signedIn': '{user} ලෙස පුරනය විය',
+            'account.enterUsername': 'කරුණාකර පරිශීලක නාමයක් ඇතුළත් කරන්න',
+            'account.enterPassword': 'කරුණාකර මුරපදය හෝ පිවිසුම් යතුර ඇතුළත් කරන්න',
+            'account.failed': 'යමක් වැරදී ගියා',
+            'account.saveLoginKey': 'ඔබේ පිවිසුම් යතුර සුරකින්න - වෙනත් උපාංගයකින් පුරනය වීමට එය අවශ්‍යයි:',
+            'create.summary': '➕ නව කාමරයක් සාදන්න',
+            'create.visibility': 'දෘශ්‍යතාව:',
+            'create.public': 'පොදු - ලොබියේ පෙන්වයි',
+            'create.private': 'පෞද්ගලික - කේතයෙන් පමණක් එක්විය හැක',
+            'create.password': 'මුරපදය (අත්‍යවශ්‍ය නොවේ):',
+            'create.passwordPlaceholder': 'මුරපදයක් නැත',
+            'create.turnTimer': 'වාර කාල සීමාව:',
+            'create.noLimit': 'සීමාවක් නැත',
+            'create.seconds': 'තත්පර {seconds}',
+            'create.rules': 'ක්‍රීඩා නීති:',
+            'create.spectators': 'නරඹන්නන්ට පෙනෙන්නේ:',
+            'create.create': 'කාමරය සාදන්න',
+            'preset.standard': 'සම්මත - ලකුණු 10 ට, කපෝති 2',
+            'preset.kapothi': 'කපෝති 3 - අත් 8ම ගන්නා ඕනෑම කණ්ඩායමකට ලකුණු 3',
+            'preset.callerPenalty': 'කතා කළ අයට දෙගුණයක් - තුරුම්පු කණ්ඩායම පැරදුණොත් ලකුණු 2',
+            'preset.quick': 'ඉක්මන් - ලකුණු 5 ට',
+            'preset.long': 'දිගු - ලකුණු 13 ට',
+            'preset.custom': 'අභිරුචි...',
+            'rules.playTo': 'ලකුණු ඉලක්කය',
+            'rules.winPoints': 'තුරුම්පු කණ්ඩායම දිනුවොත්',
+            'rules.callerLossPoints': 'තුරුම්පු කණ්ඩායම පැරදුණොත්',
+            'rules.sweepPoints': 'කපෝති (අත් 8)',
+            'rules.sweepFor': 'කපෝති කාටද',
+            'rules.defendersOnly': 'ආරක්ෂක කණ්ඩායමට පමණයි',
+            'rules.eitherTeam': 'ඕනෑම කණ්ඩායමකට',
+            'rules.afterDraw': '4-4 සමබල වූ පසු',
+            'rules.nextCaller': 'ඊළඟ ක්‍රීඩකයා කතා කරයි',
+            'rules.sameCaller': 'එම ක්‍රීඩකයාම නැවත',
+            'spectatorMode.live': 'මේසය පමණයි - අත් නැත',
+            'spectatorMode.openAfterTrick': 'සෑම අතකටම පසු කාඩ් විවෘතයි',
+            'spectatorMode.delayed': 'සියල්ල, ප්‍රමාදයකින්',
+            'lobby.title': 'විවෘත කාමර',
+            'lobby.refresh': 'කාමර ලැයිස්තුව යාවත්කාලීන කරන්න',
+            'lobby.loading': 'කාමර පූරණය වෙමින්...',
+            'lobby.empty': 'තවම විවෘත කාමර නැත - එකක් සාදන්න!',
+            'lobby.locked': 'අගුළු දමා ඇත',
+            'lobby.waiting': 'රැඳී සිටියි',
+            'lobby.inPlay': 'ක්‍රීඩා කරමින්',
+            'lobby.free': 'හිස් ආසන: A {a}, B {b}',
+            'lobby.join': '{team} ට එක්වන්න',
+            'lobby.watch': 'මෙම ක්‍රීඩාව නරඹන්න',
+            'lobby.passwordPrompt': 'කාමරය {room} සඳහා මුරපදය:',
+
+            'status.connected': 'සම්බන්ධයි',
+            'status.disconnected': 'විසන්ධියි',
+            'status.solo': 'තනි ක්‍රීඩාව - සේවාදායකයක් අවශ්‍ය නැත',
+            'status.waitingForPlayers': 'ක්‍රීඩකයින් එනතුරු රැඳී සිටිමින්...',
+            'status.waitingForTrump': 'තුරුම්පුව තෝරන තුරු රැඳී සිටිමින්...',
+            'status.waitingForOthers': 'අනෙක් ක්‍රීඩකයින් එනතුරු රැඳී සිටිමින්...',
+            'status.yourTurn': 'ඔබේ වාරය',
+            'status.playersTurn': '{player} ගේ වාරය',
+            'status.gameComplete': 'ක්‍රීඩාව අවසන්',
+            'status.gamePaused': 'ක්‍රීඩාව නවතා ඇත',
+            'status.gameResumed': 'ක්‍රීඩාව නැවත ආරම්භ විය',
+            'table.trump': 'තුරුම්පුව:',
+            'table.scores': 'ලකුණු',
+            'table.teamA': 'කණ්ඩායම A:',
+            'table.teamB': 'කණ්ඩායම B:',
+            'table.carried': 'ඉදිරියට ගෙන ආ:',
+            'table.carriedTitle': 'සමබල වූ වටවල ලකුණු, ඊළඟ තීරණාත්මක වටය දිනන අයට',
+            'table.emptySeats': 'හිස් ආසන:',
+            'table.addBotA': '🤖 බොට් එකතු කරන්න (කණ්ඩායම A)',
+            'table.addBotB': '🤖 බොට් එකතු කරන්න (කණ්ඩායම B)',
+            'table.botSpeed': 'බොට් වේගය:',
+            'table.botFast': 'වේගවත්',
+            'table.botNormal': 'සාමාන්‍ය',
+            'table.botSlow': 'සෙමින්',
+            'table.ready': '✋ සූදානම්',
+            'table.readyCancel': '✅ සූදානම් (අවලංගු කිරීමට ඔබන්න)',
+            'table.readyCount': '{count}/4 සූදානම්',
+            'table.lock': '🔒 කාමරය අගුළු දමන්න',
+            'table.unlock': '🔓 කාමරය විවෘත කරන්න',
+            'table.rematch': '🔁 නැවත තරඟය',
+            'table.tricks': 'අත්: {count}',
+            'table.showPreviousTrick': 'පෙර අත පෙන්වන්න',
+            'table.hidePreviousTrick': 'පෙර අත සඟවන්න',
+            'table.handHistory': '📜 වට ඉතිහාසය',
+            'table.yourCards': 'ඔබේ කාඩ්',
+            'table.watching': '👁 {count} ක් නරඹයි',
+            'table.spectating': 'නරඹමින්',
+            'table.spectatingDelayed': 'නරඹමින් - කාඩ් ප්‍රමාදයකින් පෙන්වයි',
+            'table.spectatingOpen': 'නරඹමින් - සෑම අතකටම පසු කාඩ් විවෘතයි',
+            'table.playerNumber': 'ක්‍රීඩක {number}',
+            'seat.bot': '{player} (බොට්)',
+            'seat.standInTitle': '{player} විසන්ධි වී ඇත - බොට් කෙනෙක් ක්‍රීඩා කරයි',
+            'seat.ratingTitle': '{player} - ශ්‍රේණිය {rating}',
+            'seat.swap': 'ආසන මාරු කරන්න',
+            'seat.remove': '{player} කාමරයෙන් ඉවත් කරන්න',
+            'seat.removeConfirm': '{player} කාමරයෙන් ඉවත් කරන්නද?',
+            'seat.pickSwap': 'දැන් මාරු කළ යුතු අනෙක් ආසනය තෝරන්න',
+            'seat.removeBot': 'බොට් ඉවත් කරන්න',
+            'seat.dealer': '🂠 බෙදන්නා',
+            'seat.caller': '★ තුරුම්පු කියන්නා',
+            'seat.label': '{player}, කණ්ඩායම {team}',
+            'a11y.handHint': 'ඊතල යතුරු මගින් කාඩ්පතක් තෝරා Enter ඔබා දමන්න',
+            'a11y.yourTurn': 'ඔබේ වාරය - දැමිය හැකි කාඩ් {count}',
+            'a11y.scores': 'ලකුණු: කණ්ඩායම A {teamA}, කණ්ඩායම B {teamB}',
+            'rulesLabel.standard': 'සම්මත',
+            'rulesLabel.kapothi': 'කපෝති 3',
+            'rulesLabel.callerPenalty': 'කතා කළ අයට දෙගුණයක්',
+            'rulesLabel.quick': 'ඉක්මන් (ලකුණු 5 ට)',
+            'rulesLabel.long': 'දිගු (ලකුණු 13 ට)',
+            'rulesLabel.custom': 'අභිරුචි',
+            'rulesSummary.target': 'ලකුණු {points} ට',
+            'rulesSummary.points': 'ජය {win} / කතා කළ අය පැරදුණොත් {loss}',
+            'rulesSummary.sweepAny': 'කපෝති {points} (ඕනෑම කණ්ඩායමකට)',
+            'rulesSummary.sweepDefenders': 'කපෝති {points} (ආරක්ෂකයින්ට)',
+            'rulesSummary.drawsCarry': 'සමබල ලකුණු ඉදිරියට',
+            'rulesSummary.drawsNothing': 'සමබලයට ලකුණු නැත',
+            'rulesSummary.turnTime': 'වාරයකට තත්පර {seconds}',
+            'rulesSummary.noTurnLimit': 'වාර කාල සීමාවක් නැත',
+            'chat.toggle': '💬 කතාබස්',
+            'chat.channel': 'ඔබේ පණිවිඩය දකින්නේ කවුද',
+            'chat.table': 'මේසය',
+            'chat.team': 'කණ්ඩායම',
+            'chat.placeholder': 'යමක් කියන්න...',
+            'chat.send': 'යවන්න',
+            'chat.teamPrefix': '[කණ්ඩායම] ',
+            'trumpModal.title': 'තුරුම්පුව තෝරන්න',
+            'trumpModal.prompt': 'ඔබේ කාඩ් 4 බලා තෝරන්න:',
+            'trumpModal.keys': 'නැතහොත් පෙන්වා ඇති පිළිවෙළට 1-4 යතුරු ඔබන්න',
+            'history.title': '📜 වට ඉතිහාසය',
+            'history.back': '◀ ආපසු',
+            'history.forward': 'ඉදිරියට ▶',
+            'history.exportJson': '⬇ තරඟය (JSON)',
+            'history.exportText': '⬇ තරඟය (පෙළ)',
+            'history.close': 'වසන්න',
+            'history.hand': 'වටය {number}',
+            'history.drawn': 'සමබලයි {teamA}-{teamB}',
+            'history.won': 'කණ්ඩායම {team} +{points} ({teamA}-{teamB})',
+            'history.info': 'බෙදන්නා: {dealer} · තුරුම්පුව: {trumpSymbol} ({caller} කතා කළා) · ප්‍රතිඵලය: {result}',
+            'history.deal': 'බෙදීම',
+            'history.trick': 'අත {number} / {total} - {player} දිනුවා',
+            'history.none': 'මෙම තරඟයේ තවම අවසන් වූ වට නැත',
+            'gameOver.title': '🎉 කණ්ඩායම {team} ජයග්‍රහණය කළා!',
+            'gameOver.finalScores': 'අවසන් ලකුණු:',
+            'gameOver.ratings': 'ශ්‍රේණි:',
+            'shuffle.verified': '🔒 වටය {number} තහවුරු කළා',
+            'shuffle.verifiedTitle': 'බීජය {seed} එහි බැඳීම {commitment} සමඟ ගැළපේ',
+            'shuffle.notVerified': '⚠️ වටය {number} තහවුරු නොවීය',
+            'shuffle.failed': '⚠️ වටය {number} හි කලවම් කිරීම පරීක්ෂා කිරීම අසාර්ථකයි: {reason}',
+            'shuffle.seedMismatch': 'බෙදීමට පෙර ප්‍රකාශ කළ බැඳීමට බීජය නොගැළපේ',
+            'shuffle.cardsMismatch': 'ඔබට ලැබුණු කාඩ් හෙළි කළ කට්ටලයට නොගැළපේ',
+            'shuffle.noCommitment': 'මෙම වටයේ බැඳීම බෙදීමට පෙර ලැබුණේ නැත',
+
+            'msg.formError': 'පෝරම දෝෂයකි. කරුණාකර පිටුව නැවුම් කරන්න.',
+            'msg.enterNameAndRoom': 'කරුණාකර නම සහ කාමර කේතය දෙකම ඇතුළත් කරන්න',
+            'msg.nameTooLong': 'නම අකුරු 15 කට වඩා අඩු විය යුතුය',
+            'msg.enterName': 'කරුණාකර ඔබේ නම ඇතුළත් කරන්න',
+            'msg.enterRoomToWatch': 'නැරඹීමට කාමර කේතය ඇතුළත් කරන්න',
+            'msg.connectionError': 'සම්බන්ධතා දෝෂයකි. කරුණාකර පිටුව නැවුම් කරන්න.',
+            'msg.connected': 'සේවාදායකයට සම්බන්ධ විය',
+            'msg.disconnected': 'සේවාදායකයෙන් විසන්ධි විය',
+            'msg.connectFailed': 'සම්බන්ධ වීම අසාර්ථකයි: {reason}',
+            'msg.connectFailedGeneric': 'සේවාදායකයට සම්බන්ධ වීමට නොහැකි විය',
+            'msg.roomCreated': 'කාමරය {room} සාදන ලදී',
+            'msg.roomCreatedPrivate': 'කාමරය {room} සාදන ලදී - මිතුරන්ට ආරාධනා කිරීමට කේතය බෙදාගන්න',
+            'msg.playerJoined': '{player} එක් විය (ක්‍රීඩකයින් {count}/4)',
+            'msg.reconnected': 'සාර්ථකව නැවත සම්බන්ධ විය!',
+            'msg.watching': 'ඔබ කාමරය {room} නරඹමින් සිටී',
+            'msg.botLeft': '{player} මේසයෙන් ඉවත් විය',
+            'msg.cardPlayed': '{player} {card} දැම්මා',
+            'msg.trickWon': '{player} අත දිනුවා!',
+            'msg.playerLeft': '{player} ක්‍රීඩාවෙන් ඉවත් විය',
+            'msg.playerRejoined': '{player} නැවත ක්‍රීඩාවට එක් විය',
+            'msg.canSpectate': '{message} - නැරඹීමට "ක්‍රීඩාව නරඹන්න" ඔබන්න',
+            'msg.youSelectedTrump': 'ඔබ තුරුම්පුව ලෙස {suit} තෝරා ගත්තා',
+            'msg.notYourTurn': 'මෙය ඔබේ වාරය නොවේ!',
+            'msg.invalidSelection': 'වලංගු නොවන කාඩ් තේරීමක්!',
+            'msg.cannotPlayCard': 'ඔබට එම කාඩ්පත දැමිය නොහැක!',
+            'msg.mustFollowSuit': 'එකම වර්ගය දැමිය යුතුය! ඔබ අත දැමීමට {suit} කාඩ් ඇත.',
+            'msg.notConnected': 'සේවාදායකයට සම්බන්ධ වී නැත',
+            'msg.scriptError': 'දෝෂයක් සිදු විය. කරුණාකර පිටුව නැවුම් කරන්න.',
+            'msg.offline': 'ඔබ නොබැඳි තත්ත්වයේ සිටී. කරුණාකර සම්බන්ධතාවය පරීක්ෂා කරන්න.',
+            'msg.connectionRestored': 'සම්බන්ධතාවය යළි ලැබුණා!',
+            'msg.connectionLost': 'සම්බන්ධතාවය නැති විය!',
+            'msg.importFailed': 'ආයාත කිරීම අසාර්ථකයි',
+            'msg.exportFailed': 'අපනයනය කිරීම අසාර්ථකයි',
+            'msg.matchLoaded': 'සමාලෝචනය සඳහා වට {count} ක තරඟයක් පූරණය විය'
+        },
+
+        ta: {
+            'suit.Hearts': 'ஆட்டின்',
+            'suit.Diamonds': 'டைமன்',
+            'suit.Clubs': 'கிளாவர்',
+            'suit.Spades': 'இஸ்பேட்',
+            'card.name': '{suit} {rank}',
+
+            'error.rateLimited': 'அதிகமான கோரிக்கைகள் - சற்று மெதுவாக',
+            'error.unknownEvent': 'தெரியாத நிகழ்வு: {event}',
+            'error.invalidPayload': 'தவறான {field}: {reason}',
+            'error.wrongNode': 'அந்த அறை வேறு சேவையகத்தில் உள்ளது - மீண்டும் இணைக்கிறது',
+            'error.openRoomFailed': 'அந்த அறையைத் திறக்க முடியவில்லை - மீண்டும் முயற்சிக்கவும்',
+            'error.createRoomFailed': 'அறையை உருவாக்க முடியவில்லை - மீண்டும் முயற்சிக்கவும்',
+            'error.roomLimit': 'உங்களிடம் ஏற்கனவே {count} திறந்த அறைகள் உள்ளன - புதியதை உருவாக்கும் முன் ஒன்றை மூடவும்',
+            'error.roomRateLimited': 'நீங்கள் மிக வேகமாக அறைகளை உருவாக்குகிறீர்கள் - பின்னர் முயற்சிக்கவும்',
+            'error.serverFull': 'சேவையகம் நிரம்பியுள்ளது. பின்னர் மீண்டும் முயற்சிக்கவும்.',
+            'error.badRoomCode': 'அறை குறியீடு 1-10 எழுத்துகள், எண்கள், - அல்லது _ ஆக இருக்க வேண்டும்',
+            'error.roomExists': 'அந்தக் குறியீட்டுடன் ஏற்கனவே ஒரு அறை உள்ளது',
+            'error.roomNotFound': 'அறை கிடைக்கவில்லை - குறியீட்டைச் சரிபார்க்கவும் அல்லது புதிய அறையை உருவாக்கவும்',
+            'error.readOnly': 'இது படிக்க மட்டுமேயான ஆட்ட மீளாய்வு அறை',
+            'error.seatTaken': 'இந்த இருக்கை ஏற்கனவே இணைக்கப்பட்டுள்ளது',
+            'error.wrongPassword': 'தவறான அறை கடவுச்சொல்',
+            'error.roomLocked': 'நடத்துநர் இந்த அறையைப் பூட்டியுள்ளார்',
+            'error.nameReserved': 'அந்தப் பெயர் பதிவுசெய்த வீரருக்குச் சொந்தமானது - அதைப் பயன்படுத்த உள்நுழையவும்',
+            'error.roomFull': 'அறை நிரம்பியுள்ளது',
+            'error.nameTaken': 'அந்தப் பெயர் ஏற்கனவே பயன்பாட்டில் உள்ளது',
+            'error.spectatorCannotSit': 'பார்வையாளர்கள் இருக்கையில் அமர முடியாது - வீரராக மீண்டும் சேரவும்',
+            'error.loginExpired': 'உங்கள் உள்நுழைவு காலாவதியானது - மீண்டும் உள்நுழையவும்',
+            'error.alreadyInRoom': 'நீங்கள் ஏற்கனவே ஒரு அறையில் உள்ளீர்கள்',
+            'error.hostOnlyAddBots': 'நடத்துநர் மட்டுமே பாட்களைச் சேர்க்க முடியும்',
+            'error.hostOnlyRemoveBots': 'நடத்துநர் மட்டுமே பாட்களை நீக்க முடியும்',
+            'error.hostOnlyRemovePlayers': 'நடத்துநர் மட்டுமே வீரர்களை நீக்க முடியும்',
+            'error.hostOnlyMovePlayers': 'நடத்துநர் மட்டுமே வீரர்களை இடம் மாற்ற முடியும்',
+            'error.hostOnlyLock': 'நடத்துநர் மட்டுமே அறையைப் பூட்ட முடியும்',
+            'error.hostOnlyRematch': 'நடத்துநர் மட்டுமே மறு ஆட்டத்தைத் தொடங்க முடியும்',
+            'error.botsBeforeStart': 'விளையாட்டு தொடங்கும் முன் மட்டுமே பாட்களைச் சேர்க்க முடியும்',
+            'error.removeBotsBeforeStart': 'விளையாட்டு தொடங்கும் முன் மட்டுமே பாட்களை நீக்க முடியும்',
+            'error.noBotInSeat': 'அந்த இருக்கையில் பாட் இல்லை',
+            'error.noPlayerInSeat': 'அந்த இருக்கையில் வீரர் இல்லை',
+            'error.cannotRemoveSelf': 'உங்களை நீங்களே நீக்க முடியாது',
+            'error.seatsBeforeStart': 'விளையாட்டு தொடங்கும் முன் மட்டுமே இருக்கைகளை மாற்ற முடியும்',
+            'error.pickTwoSeats': 'மாற்றுவதற்கு இரண்டு வெவ்வேறு இருக்கைகளைத் தேர்ந்தெடுக்கவும்',
+            'error.rematchAfterGame': 'விளையாட்டு முடிந்த பிறகே மறு ஆட்டம் தொடங்க முடியும்',
+            'error.notSeated': 'நீங்கள் இந்த அறையில் இருக்கையில் இல்லை',
+            'error.alreadyStarted': 'விளையாட்டு ஏற்கனவே தொடங்கிவிட்டது',
+            'error.chatNotSeated': 'இருக்கையில் உள்ள வீரர்கள் மட்டுமே அரட்டை அடிக்க முடியும்',
+            'error.chatTooFast': 'நீங்கள் மிக வேகமாகச் செய்திகளை அனுப்புகிறீர்கள் - சில வினாடிகள் காத்திருக்கவும்',
+            'error.historyNotSeated': 'சுற்று வரலாறு அறையில் உள்ள வீரர்களுக்கு மட்டுமே',
+            'error.cannotSelectTrump': 'இப்போது துருப்பைத் தேர்ந்தெடுக்க முடியாது',
+            'error.notYourTrumpTurn': 'துருப்பைத் தேர்ந்தெடுப்பது உங்கள் முறை அல்ல',
+            'error.notPlaying': 'விளையாட்டு விளையாடும் நிலையில் இல்லை',
+            'error.playerNotFound': 'வீரர் கிடைக்கவில்லை',
+            'error.notYourTurn': 'உங்கள் முறை அல்ல',
+            'error.cardNotFound': 'தவறான சீட்டு - சீட்டு கிடைக்கவில்லை',
+            'error.invalidCard': 'தவறான சீட்டு!',
+            'error.mustFollowSuit': 'அதே வகையைப் போட வேண்டும்! உங்களிடம் {suit} சீட்டுகள் உள்ளன.',
+            'error.adminDenied': 'நிர்வாக அணுகல் மறுக்கப்பட்டது',
+
+            'room.closedInactive': 'செயல்பாடு இல்லாததால் அறை மூடப்பட்டது',
+            'room.closedByAdmin': 'சேவையக நிர்வாகி அறையை மூடினார்',
+            'kick.byHost': 'நடத்துநர் உங்களை அறையிலிருந்து நீக்கினார்',
+            'kick.byAdmin': 'சேவையக நிர்வாகி உங்களை அறையிலிருந்து நீக்கினார்',
+            'players.removedByHost': 'நடத்துநர் {player} ஐ நீக்கினார்',
+            'players.removedByHostBot': 'நடத்துநர் {player} ஐ நீக்கினார் - அவரது சீட்டுகளை ஒரு பாட் முடிக்கும்',
+            'players.removedByAdmin': 'சேவையக நிர்வாகி {player} ஐ நீக்கினார்',
+            'players.removedByAdminBot': 'சேவையக நிர்வாகி {player} ஐ நீக்கினார் - அவரது சீட்டுகளை ஒரு பாட் முடிக்கும்',
+            'players.seatsRearranged': 'நடத்துநர் இருக்கைகளை மறுசீரமைத்தார்',
+            'players.roomLocked': 'நடத்துநர் அறையைப் பூட்டினார்',
+            'players.roomUnlocked': 'நடத்துநர் அறையைத் திறந்தார்',
+            'game.resumedAfterRemoval': '{player} நீக்கப்பட்டார். விளையாட்டு மீண்டும் தொடங்கியது!',
+            'game.resumedWithBot': '{player} க்குப் பதிலாக ஒரு பாட் விளையாடுகிறது. விளையாட்டு மீண்டும் தொடங்கியது!',
+            'game.resumedAfterReconnect': '{player} மீண்டும் இணைந்தார். விளையாட்டு மீண்டும் தொடங்கியது!',
+            'game.paused': 'விளையாட்டு இடைநிறுத்தப்பட்டது - {player} துண்டிக்கப்பட்டார்',
+            'game.standIn': '{player} திரும்பவில்லை - அவர் மீண்டும் இணையும் வரை ஒரு பாட் விளையாடுகிறது',
+            'game.rematch': '{player} மறு ஆட்டத்தைத் தொடங்கினார் - விளையாட தயார் அழுத்தவும்',
+            'game.soloRematch': 'கணினிக்கு எதிராக புதிய ஆட்டம்',
+            'game.over': 'விளையாட்டு முடிந்தது! அணி {team} {points} புள்ளிகளுடன் வென்றது!',
+            'game.serverRestarting': 'சேவையகம் மறுதொடக்கம் செய்யப்படுகிறது. உங்கள் விளையாட்டு சேமிக்கப்பட்டது - தொடர மீண்டும் இணையவும்.',
+            'trump.select': 'உங்கள் 4 சீட்டுகளிலிருந்து துருப்பைத் தேர்ந்தெடுக்கவும்',
+            'trump.selectNewGame': 'புதிய விளையாட்டு - உங்கள் 4 சீட்டுகளிலிருந்து துருப்பைத் தேர்ந்தெடுக்கவும்',
+            'trump.selectResumed': 'விளையாட்டு மீண்டும் தொடங்கியது - உங்கள் 4 சீட்டுகளிலிருந்து துருப்பைத் தேர்ந்தெடுக்கவும்',
+            'trump.selectWelcomeBack': 'மீண்டும் வருக - உங்கள் 4 சீட்டுகளிலிருந்து துருப்பைத் தேர்ந்தெடுக்கவும்',
+            'trump.waiting': '{player} துருப்பைத் தேர்ந்தெடுக்கக் காத்திருக்கிறது',
+            'trump.waitingNewGame': 'புதிய விளையாட்டு - {player} துருப்பைத் தேர்ந்தெடுக்கக் காத்திருக்கிறது',
+            'trump.waitingResumed': 'விளையாட்டு மீண்டும் தொடங்கியது - {player} துருப்பைத் தேர்ந்தெடுக்கக் காத்திருக்கிறது',
+            'trump.selected': '{player} {suit} ஐத் துருப்பாகத் தேர்ந்தெடுத்தார்',
+            'turn.yours': 'உங்கள் முறை!',
+            'turn.lead': 'முதல் சீட்டைப் போடுவது உங்கள் முறை!',
+            'turn.leadFirst': 'உங்கள் முறை! முதல் கையை நீங்கள் தொடங்குகிறீர்கள்.',
+            'turn.resumed': 'உங்கள் முறை! (விளையாட்டு மீண்டும் தொடங்கியது)',
+            'turn.timedOut': '{player} இன் நேரம் முடிந்தது',
+            'round.won': 'சுற்று முடிந்தது! அணி {team} {points} புள்ளி(கள்) பெற்றது',
+            'round.wonWithCarried': 'சுற்று முடிந்தது! அணி {team} {points} புள்ளி(கள்) பெற்றது (முன்னெடுத்த {carried} உட்பட)',
+            'round.drawn': 'சுற்று சமநிலை {teamA}-{teamB}! புள்ளிகள் இல்லை',
+            'round.drawnCarried': 'சுற்று சமநிலை {teamA}-{teamB}! {points} புள்ளி(கள்) அடுத்த சுற்றுக்கு முன்னெடுக்கப்படும்',
+
+            'reaction.niceCut': 'நல்ல வெட்டு!',
+            'reaction.wellPlayed': 'நன்றாக விளையாடினீர்கள்',
+            'reaction.goodLuck': 'வாழ்த்துகள்!',
+            'reaction.oops': 'அச்சச்சோ!',
+            'reaction.thanks': 'நன்றி நண்பா',
+            'reaction.hurry': 'உங்கள் முறை!',
+
+            'join.title': '🎮 ஓமி சீட்டாட்டம்',
+            'join.language': 'மொழி:',
+            'join.highContrast': 'உயர் மாறுபாட்டு சீட்டு நிறங்கள்',
+            'join.name': 'உங்கள் பெயர்:',
+            'join.namePlaceholder': 'உங்கள் பெயரை உள்ளிடவும்',
+            'join.team': 'விருப்பமான அணி:',
+            'join.teamA': 'அணி A (பச்சை)',
+            'join.teamB': 'அணி B (நீலம்)',
+            'join.roomCode': 'அறை குறியீடு:',
+            'join.roomCodePlaceholder': 'அறை குறியீட்டை உள்ளிடவும்',
+            'join.roomPassword': 'அறை கடவுச்சொல் (இருந்தால்):',
+            'join.roomPasswordPlaceholder': 'திறந்த அறைகளுக்குக் காலியாக விடவும்',
+            'join.join': 'விளையாட்டில் சேர்',
+            'join.reconnect': 'மீண்டும் இணை',
+            'join.watch': '👁 விளையாட்டைப் பார்',
+            'join.solo': '🤖 கணினியுடன் தனியாக விளையாடு',
+            'join.soloName': 'நீங்கள்',
+            'join.importMatch': '📂 சேமித்த ஆட்டத்தை மீளாய்வு செய்',
+            'join.leaderboards': '🏆 முன்னிலைப் பட்டியல்கள்',
+            'account.signOut': 'வெளியேறு',
+            'account.summary': '👤 உங்கள் புள்ளிவிவரங்களையும் மதிப்பீட்டையும் பதிவுசெய்ய உள்நுழையவும்',
+            'account.username': 'பயனர்பெயர்:',
+            'account.usernamePlaceholder': '3-15 எழுத்துகள் அல்லது எண்கள்',
+            'account.password': 'கடவுச்சொல் அல்லது உள்நுழைவு விசை:',
+            'account.passwordPlaceholder': 'உள்நுழைவு விசையைப் பெறக் காலியாக விடவும்',
+            'account.logIn': 'உள்நுழை',
+            'account.register': 'பதிவு செய்',
+            'account.signedInAs': '{user} ஆக உள்நுழைந்துள்ளீர்கள் ({rating})',
+            'account.signedIn': '{user} ஆக உள்நுழைந்தீர்கள்',
+            'account.enterUsername': 'பயனர்பெயரை உள்ளிடவும்',
+            'account.enterPassword': 'கடவுச்சொல் அல்லது உள்நுழைவு விசையை உள்ளிடவும்',
+            'account.failed': 'ஏதோ தவறு நடந்தது',
+            'account.saveLoginKey': 'உங்கள் உள்நுழைவு விசையைச் சேமிக்கவும் - வேறு சாதனத்தில் உள்நுழைய இது தேவை:',
+            'create.summary': '➕ புதிய அறையை உருவாக்கு',
+            'create.visibility': 'தெரிவுநிலை:',
+            'create.public': 'பொது - லாபியில் காட்டப்படும்',
+            'create.private': 'தனிப்பட்டது - குறியீட்டால் மட்டும் சேரலாம்',
+            'create.password': 'கடவுச்சொல் (விருப்பத்தேர்வு):',
+            'create.passwordPlaceholder': 'கடவுச்சொல் இல்லை',
+            'create.turnTimer': 'முறை நேரக்கட்டுப்பாடு:',
+            'create.noLimit': 'வரம்பு இல்லை',
+            'create.seconds': '{seconds} வினாடிகள்',
+            'create.rules': 'விளையாட்டு விதிகள்:',
+            'create.spectators': 'பார்வையாளர்கள் பார்ப்பது:',
+            'create.create': 'அறையை உருவாக்கு',
+            'preset.standard': 'நிலையானது - 10 புள்ளிகள் வரை, கபோதி 2',
+            'preset.kapothi': 'கபோதி 3 - 8 கைகளையும் வெல்லும் எந்த அணிக்கும் 3 புள்ளிகள்',
+            'preset.callerPenalty': 'அழைத்தவருக்கு இருமடங்கு - துருப்பு அணி தோற்றால் 2',
+            'preset.quick': 'விரைவு - 5 புள்ளிகள் வரை',
+            'preset.long': 'நீண்டது - 13 புள்ளிகள் வரை',
+            'preset.custom': 'தனிப்பயன்...',
+            'rules.playTo': 'இலக்குப் புள்ளிகள்',
+            'rules.winPoints': 'துருப்பு அணி வென்றால்',
+            'rules.callerLossPoints': 'துருப்பு அணி தோற்றால்',
+            'rules.sweepPoints': 'கபோதி (8 கைகள்)',
+            'rules.sweepFor': 'கபோதி யாருக்கு',
+            'rules.defendersOnly': 'தற்காப்பு அணிக்கு மட்டும்',
+            'rules.eitherTeam': 'எந்த அணிக்கும்',
+            'rules.afterDraw': '4-4 சமநிலைக்குப் பிறகு',
+            'rules.nextCaller': 'அடுத்த வீரர் அழைப்பார்',
+            'rules.sameCaller': 'அதே வீரர் மீண்டும்',
+            'spectatorMode.live': 'மேசை மட்டும் - சீட்டுகள் இல்லை',
+            'spectatorMode.openAfterTrick': 'ஒவ்வொரு கைக்குப் பிறகும் சீட்டுகள் திறந்திருக்கும்',
+            'spectatorMode.delayed': 'அனைத்தும், தாமதத்துடன்',
+            'lobby.title': 'திறந்த அறைகள்',
+            'lobby.refresh': 'அறைப் பட்டியலைப் புதுப்பி',
+            'lobby.loading': 'அறைகள் ஏற்றப்படுகின்றன...',
+            'lobby.empty': 'இன்னும் திறந்த அறைகள் இல்லை - ஒன்றை உருவாக்குங்கள்!',
+            'lobby.locked': 'பூட்டப்பட்டது',
+            'lobby.waiting': 'காத்திருக்கிறது',
+            'lobby.inPlay': 'விளையாடுகிறது',
+            'lobby.free': 'காலி இடங்கள்: A {a}, B {b}',
+            'lobby.join': '{team} இல் சேர்',
+            'lobby.watch': 'இந்த விளையாட்டைப் பார்',
+            'lobby.passwordPrompt': 'அறை {room} க்கான கடவுச்சொல்:',
+
+            'status.connected': 'இணைக்கப்பட்டது',
+            'status.disconnected': 'துண்டிக்கப்பட்டது',
+            'status.solo': 'தனி ஆட்டம் - சர்வர் தேவையில்லை',
+            'status.waitingForPlayers': 'வீரர்களுக்காகக் காத்திருக்கிறது...',
+            'status.waitingForTrump': 'துருப்புத் தேர்வுக்காகக் காத்திருக்கிறது...',
+            'status.waitingForOthers': 'மற்ற வீரர்களுக்காகக் காத்திருக்கிறது...',
+            'status.yourTurn': 'உங்கள் முறை',
+            'status.playersTurn': '{player} இன் முறை',
+            'status.gameComplete': 'விளையாட்டு முடிந்தது',
+            'status.gamePaused': 'விளையாட்டு இடைநிறுத்தப்பட்டது',
+            'status.gameResumed': 'விளையாட்டு மீண்டும் தொடங்கியது',
+            'table.trump': 'துருப்பு:',
+            'table.scores': 'புள்ளிகள்',
+            'table.teamA': 'அணி A:',
+            'table.teamB': 'அணி B:',
+            'table.carried': 'முன்னெடுத்தவை:',
+            'table.carriedTitle': 'சமநிலையான சுற்றுகளின் புள்ளிகள், அடுத்த தீர்க்கமான சுற்றை வெல்பவருக்கு',
+            'table.emptySeats': 'காலி இருக்கைகள்:',
+            'table.addBotA': '🤖 பாட் சேர் (அணி A)',
+            'table.addBotB': '🤖 பாட் சேர் (அணி B)',
+            'table.botSpeed': 'பாட் வேகம்:',
+            'table.botFast': 'வேகம்',
+            'table.botNormal': 'சாதாரணம்',
+            'table.botSlow': 'மெதுவு',
+            'table.ready': '✋ தயார்',
+            'table.readyCancel': '✅ தயார் (ரத்து செய்ய அழுத்தவும்)',
+            'table.readyCount': '{count}/4 தயார்',
+            'table.lock': '🔒 அறையைப் பூட்டு',
+            'table.unlock': '🔓 அறையைத் திற',
+            'table.rematch': '🔁 மறு ஆட்டம்',
+            'table.tricks': 'கைகள்: {count}',
+            'table.showPreviousTrick': 'முந்தைய கையைக் காட்டு',
+            'table.hidePreviousTrick': 'முந்தைய கையை மறை',
+            'table.handHistory': '📜 சுற்று வரலாறு',
+            'table.yourCards': 'உங்கள் சீட்டுகள்',
+            'table.watching': '👁 {count} பேர் பார்க்கிறார்கள்',
+            'table.spectating': 'பார்வையிடுகிறீர்கள்',
+            'table.spectatingDelayed': 'பார்வையிடுகிறீர்கள் - சீட்டுகள் தாமதமாகக் காட்டப்படும்',
+            'table.spectatingOpen': 'பார்வையிடுகிறீர்கள் - ஒவ்வொரு கைக்குப் பிறகும் சீட்டுகள் திறக்கப்படும்',
+            'table.playerNumber': 'வீரர் {number}',
+            'seat.bot': '{player} (பாட்)',
+            'seat.standInTitle': '{player} துண்டிக்கப்பட்டுள்ளார் - ஒரு பாட் விளையாடுகிறது',
+            'seat.ratingTitle': '{player} - மதிப்பீடு {rating}',
+            'seat.swap': 'இருக்கைகளை மாற்று',
+            'seat.remove': '{player} ஐ அறையிலிருந்து நீக்கு',
+            'seat.removeConfirm': '{player} ஐ அறையிலிருந்து நீக்கவா?',
+            'seat.pickSwap': 'இப்போது மாற்ற வேண்டிய மற்ற இருக்கையைத் தேர்ந்தெடுக்கவும்',
+            'seat.removeBot': 'பாட்டை நீக்கு',
+            'seat.dealer': '🂠 பகிர்பவர்',
+            'seat.caller': '★ துருப்பு அழைப்பவர்',
+            'seat.label': '{player}, அணி {team}',
+            'a11y.handHint': 'அம்புக்குறி விசைகளால் சீட்டைத் தேர்ந்து Enter அழுத்தி ஆடவும்',
+            'a11y.yourTurn': 'உங்கள் முறை - ஆடக்கூடிய சீட்டுகள் {count}',
+            'a11y.scores': 'புள்ளிகள்: அணி A {teamA}, அணி B {teamB}',
+            'rulesLabel.standard': 'நிலையானது',
+            'rulesLabel.kapothi': 'கபோதி 3',
+            'rulesLabel.callerPenalty': 'அழைத்தவருக்கு இருமடங்கு',
+            'rulesLabel.quick': 'விரைவு (5 புள்ளிகள் வரை)',
+            'rulesLabel.long': 'நீண்டது (13 புள்ளிகள் வரை)',
+            'rulesLabel.custom': 'தனிப்பயன்',
+            'rulesSummary.target': '{points} புள்ளிகள் வரை',
+            'rulesSummary.points': 'வெற்றி {win} / அழைத்தவர் தோற்றால் {loss}',
+            'rulesSummary.sweepAny': 'கபோதி {points} (எந்த அணிக்கும்)',
+            'rulesSummary.sweepDefenders': 'கபோதி {points} (தற்காப்பாளர்களுக்கு)',
+            'rulesSummary.drawsCarry': 'சமநிலைப் புள்ளிகள் முன்னெடுக்கப்படும்',
+            'rulesSummary.drawsNothing': 'சமநிலைக்குப் புள்ளிகள் இல்லை',
+            'rulesSummary.turnTime': 'ஒரு முறைக்கு {seconds} வினாடிகள்',
+            'rulesSummary.noTurnLimit': 'முறை நேர வரம்பு இல்லை',
+            'chat.toggle': '💬 அரட்டை',
+            'chat.channel': 'உங்கள் செய்தியை யார் பார்ப்பார்கள்',
+            'chat.table': 'மேசை',
+            'chat.team': 'அணி',
+            'chat.placeholder': 'ஏதாவது சொல்லுங்கள்...',
+            'chat.send': 'அனுப்பு',
+            'chat.teamPrefix': '[அணி] ',
+            'trumpModal.title': 'துருப்பைத் தேர்ந்தெடுக்கவும்',
+            'trumpModal.prompt': 'உங்கள் 4 சீட்டுகளைப் பார்த்துத் தேர்ந்தெடுக்கவும்:',
+            'trumpModal.keys': 'அல்லது காட்டிய வரிசையில் 1-4 விசைகளை அழுத்தவும்',
+            'history.title': '📜 சுற்று வரலாறு',
+            'history.back': '◀ பின்',
+            'history.forward': 'முன் ▶',
+            'history.exportJson': '⬇ ஆட்டம் (JSON)',
+            'history.exportText': '⬇ ஆட்டம் (உரை)',
+            'history.close': 'மூடு',
+            'history.hand': 'சுற்று {number}',
+            'history.drawn': 'சமநிலை {teamA}-{teamB}',
+            'history.won': 'அணி {team} +{points} ({teamA}-{teamB})',
+            'history.info': 'பகிர்பவர்: {dealer} · துருப்பு: {trumpSymbol} ({caller} அழைத்தார்) · முடிவு: {result}',
+            'history.deal': 'பகிர்வு',
+            'history.trick': 'கை {number} / {total} - {player} வென்றார்',
+            'history.none': 'இந்த ஆட்டத்தில் இன்னும் முடிந்த சுற்றுகள் இல்லை',
+            'gameOver.title': '🎉 அணி {team} வென்றது!',
+            'gameOver.finalScores': 'இறுதிப் புள்ளிகள்:',
+            'gameOver.ratings': 'மதிப்பீடுகள்:',
+            'shuffle.verified': '🔒 சுற்று {number} சரிபார்க்கப்பட்டது',
+            'shuffle.verifiedTitle': 'விதை {seed} அதன் உறுதிமொழி {commitment} உடன் பொருந்துகிறது',
+            'shuffle.notVerified': '⚠️ சுற்று {number} சரிபார்க்கப்படவில்லை',
+            'shuffle.failed': '⚠️ சுற்று {number} இன் கலக்கல் சரிபார்ப்பு தோல்வி: {reason}',
+            'shuffle.seedMismatch': 'பகிர்வுக்கு முன் வெளியிட்ட உறுதிமொழியுடன் விதை பொருந்தவில்லை',
+            'shuffle.cardsMismatch': 'உங்களுக்குப் பகிரப்பட்ட சீட்டுகள் வெளிப்படுத்திய கட்டுடன் பொருந்தவில்லை',
+            'shuffle.noCommitment': 'இந்தச் சுற்றின் உறுதிமொழி பகிர்வுக்கு முன் கிடைக்கவில்லை',
+
+            'msg.formError': 'படிவப் பிழை. பக்கத்தைப் புதுப்பிக்கவும்.',
+            'msg.enterNameAndRoom': 'பெயர் மற்றும் அறை குறியீடு இரண்டையும் உள்ளிடவும்',
+            'msg.nameTooLong': 'பெயர் 15 எழுத்துகள் அல்லது அதற்குக் குறைவாக இருக்க வேண்டும்',
+            'msg.enterName': 'உங்கள் பெயரை உள்ளிடவும்',
+            'msg.enterRoomToWatch': 'பார்க்க அறை குறியீட்டை உள்ளிடவும்',
+            'msg.connectionError': 'இணைப்புப் பிழை. பக்கத்தைப் புதுப்பிக்கவும்.',
+            'msg.connected': 'சேவையகத்துடன் இணைக்கப்பட்டது',
+            'msg.disconnected': 'சேவையகத்திலிருந்து துண்டிக்கப்பட்டது',
+            'msg.connectFailed': 'இணைப்பு தோல்வி: {reason}',
+            'msg.connectFailedGeneric': 'சேவையகத்துடன் இணைக்க முடியவில்லை',
+            'msg.roomCreated': 'அறை {room} உருவாக்கப்பட்டது',
+            'msg.roomCreatedPrivate': 'அறை {room} உருவாக்கப்பட்டது - நண்பர்களை அழைக்கக் குறியீட்டைப் பகிரவும்',
+            'msg.playerJoined': '{player} சேர்ந்தார் ({count}/4 வீரர்கள்)',
+            'msg.reconnected': 'வெற்றிகரமாக மீண்டும் இணைக்கப்பட்டது!',
+            'msg.watching': 'நீங்கள் அறை {room} ஐப் பார்க்கிறீர்கள்',
+            'msg.botLeft': '{player} மேசையை விட்டு வெளியேறினார்',
+            'msg.cardPlayed': '{player} {card} போட்டார்',
+            'msg.trickWon': '{player} கையை வென்றார்!',
+            'msg.playerLeft': '{player} விளையாட்டை விட்டு வெளியேறினார்',
+            'msg.playerRejoined': '{player} மீண்டும் விளையாட்டில் சேர்ந்தார்',
+            'msg.canSpectate': '{message} - பார்க்க "விளையாட்டைப் பார்" அழுத்தவும்',
+            'msg.youSelectedTrump': 'நீங்கள் {suit} ஐத் துருப்பாகத் தேர்ந்தெடுத்தீர்கள்',
+            'msg.notYourTurn': 'இது உங்கள் முறை அல்ல!',
+            'msg.invalidSelection': 'தவறான சீட்டுத் தேர்வு!',
+            'msg.cannotPlayCard': 'அந்தச் சீட்டை நீங்கள் போட முடியாது!',
+            'msg.mustFollowSuit': 'அதே வகையைப் போட வேண்டும்! உங்களிடம் போடுவதற்கு {suit} சீட்டுகள் உள்ளன.',
+            'msg.notConnected': 'சேவையகத்துடன் இணைக்கப்படவில்லை',
+            'msg.scriptError': 'பிழை ஏற்பட்டது. பக்கத்தைப் புதுப்பிக்கவும்.',
+            'msg.offline': 'நீங்கள் இணைப்பில் இல்லை. இணைப்பைச் சரிபார்க்கவும்.',
+            'msg.connectionRestored': 'இணைப்பு மீட்டெடுக்கப்பட்டது!',
+            'msg.connectionLost': 'இணைப்பு துண்டிக்கப்பட்டது!',
+            'msg.importFailed': 'இறக்குமதி தோல்வி',
+            'msg.exportFailed': 'ஏற்றுமதி தோல்வி',
+            'msg.matchLoaded': 'மீளாய்வுக்காக {count} சுற்றுகள் கொண்ட ஆட்டம் ஏற்றப்பட்டது'
+        }
+    };
+
+    function isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(CATALOGUES, language);
+    }
+
+    // First supported language in a list like navigator.languages ('si-LK' counts as 'si')
+    function pickLanguage(preferred) {
+        const list = Array.isArray(preferred) ? preferred : [preferred];
+        for (let i = 0; i < list.length; i++) {
+            const language = typeof list[i] === 'string' ? list[i].toLowerCase().split('-')[0] : '';
+            if (isSupported(language)) return language;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    function formatParam(language, name, value) {
+        if (name === 'suit' && typeof value === 'string') return translate(language, 'suit.' + value);
+        return value;
+    }
+
+    function translate(language, key, params) {
+        const catalogue = CATALOGUES[language] || CATALOGUES[DEFAULT_LANGUAGE];
+        const template = catalogue[key] || CATALOGUES[DEFAULT_LANGUAGE][key];
+        if (template === undefined) return key;
+
+        return template.replace(/\{(\w+)\}/g, function (match, name) {
+            return params && params[name] !== undefined && params[name] !== null ? String(formatParam(language, name, params[name])) : match;
+        });
+    }
+
+    const api = { LANGUAGES, DEFAULT_LANGUAGE, CATALOGUES, isSupported, pickLanguage, translate };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.OmiI18n = api;
+    }
+})(this);
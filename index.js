@@ -2,37 +2,497 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const cluster = require('cluster');
+const os = require('os');
+const { buildMatchRecord, formatMatchNotation, parseMatchRecord, recordToHandHistory } = require('./matchRecord');
+const { createStore } = require('./storage');
+const { QUICK_REACTIONS, cleanMessage } = require('./chat');
+const { createRateLimiter } = require('./rateLimiter');
+const { createAccounts } = require('./accounts');
+const { createSeed, commitSeed, shuffleDeck } = require('./shuffle');
+const { createLogger } = require('./logger');
+const { translate } = require('./i18n');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createMemoryState, createClusterState } = require('./sharedState');
+const { setupClusterWorker } = require('./cluster');
+const { ROOM_ID_PATTERN, string, integer, boolean, oneOf, anyOf, object, optional, validatePayload } = require('./validation');
+const {
+    SUITS, TRICKS_PER_HAND, TEAM_SEATS, RULE_PRESETS, resolveRules, createDeck, getTeamForSeat,
+    isValidPlay, getPlayableCards, chooseBotTrump, chooseBotCard, applyAction
+} = require('./engine');
+
+// Started by cluster.js, this process is one of several workers sharing rooms through the primary
+const IS_CLUSTER_WORKER = cluster.isWorker;
+const NODE_ID = IS_CLUSTER_WORKER ? `worker-${cluster.worker.id}` : (process.env.NODE_ID || `${os.hostname()}-${process.pid}`);
+
+// JSON-lines logger; LOG_LEVEL=debug also logs card-by-card play and hand contents
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info', context: IS_CLUSTER_WORKER ? { node: NODE_ID } : {} });
+
+// Room ownership (see sharedState.js) - in-process unless running under cluster.js
+const sharedState = IS_CLUSTER_WORKER ? createClusterState(NODE_ID) : createMemoryState(NODE_ID);
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
+if (IS_CLUSTER_WORKER) {
+    setupClusterWorker({ server, io, onShutdown: () => shutdown() });
+}
+
 // Fix memory leak warning
 server.setMaxListeners(50);
 process.setMaxListeners(50);
 
-// Serve static files from current directory
-app.use(express.static(__dirname));
+// Pages and client scripts. Only these files are served - the rest of the project folder
+// (server code, the .data store with dealt hands and accounts) stays off the web.
+const PUBLIC_FILES = ['index.html', 'admin.html', 'leaderboard.html', 'i18n.js', 'engine.js', 'solo.js', 'sw.js',
+    'manifest.webmanifest', 'icon.svg', 'icon-192.png', 'icon-512.png'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+PUBLIC_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+if (process.env.TRUST_PROXY === 'true') app.set('trust proxy', true); // req.ip from X-Forwarded-For
+
+// Liveness: the process is up and serving HTTP
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: saved state is loaded and we're not shutting down
+app.get('/readyz', (req, res) => {
+    const ready = isReady && !isShuttingDown;
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', rooms: rooms.size });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
+// A live room's deals are only for its seated players, who send their seat session token as
+// "Authorization: Bearer <token>" (as for getHandHistory). Imported review rooms are open to anyone
+// with the code. Answers the request itself and returns null when the room can't be shown.
+function getRoomForReview(req, res) {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        res.status(404).json({ error: 'Room not found' });
+        return null;
+    }
+    
+    const header = req.get('authorization') || '';
+    if (!room.readOnly && verifySessionToken(room, header.startsWith('Bearer ') ? header.slice(7) : null) === -1) {
+        res.status(403).json({ error: 'Only players seated in this room can see its hands' });
+        return null;
+    }
+    return room;
+}
+
+// Download a room's match record (?format=json or ?format=text)
+app.get('/api/rooms/:roomId/export', (req, res) => {
+    const room = getRoomForReview(req, res);
+    if (!room) return;
+    if (room.matchHistory.length === 0) {
+        return res.status(404).json({ error: 'No finished hands to export for this room' });
+    }
+    
+    room.lastActivity = Date.now();
+    const record = room.readOnly ? room.importedRecord : buildMatchRecord(room);
+    const fileName = `omi-${record.matchId || room.id}`.replace(/[^\w.-]/g, '_');
+    
+    if (req.query.format === 'text') {
+        res.attachment(`${fileName}.txt`);
+        res.type('text/plain; charset=utf-8').send(formatMatchNotation(record));
+    } else {
+        res.attachment(`${fileName}.json`);
+        res.type('application/json').send(JSON.stringify(record, null, 2));
+    }
+});
+
+// Completed hands of a room (live or imported) for the replay viewer
+app.get('/api/rooms/:roomId/history', (req, res) => {
+    const room = getRoomForReview(req, res);
+    if (!room) return;
+    
+    room.lastActivity = Date.now();
+    res.json({ matchId: room.matchId, readOnly: !!room.readOnly, hands: room.matchHistory });
+});
+
+// Open public rooms for the lobby browser
+app.get('/api/rooms', (req, res) => {
+    getClusterLobbyRooms().then(lobby => res.json({ rooms: lobby }));
+});
+
+// Password hashing is slow on purpose, so each IP only gets a few tries at it
+function limitAccountRequests(req, res, next) {
+    if (!accountLimiter.allow(req.ip)) {
+        logger.info('Account request limited', { ip: req.ip, path: req.path });
+        return res.status(429).json({ error: 'Too many attempts - please wait a few minutes', code: 'RATE_LIMITED' });
+    }
+    next();
+}
+
+// Register an account: { username, password } - leave the password out to get a login key instead
+app.post('/api/accounts', limitAccountRequests, express.json({ limit: '10kb' }), (req, res) => {
+    const { username, password } = req.body || {};
+    accounts.register(username, password).then(result => {
+        if (!result.success) {
+            return res.status(400).json({ error: result.message });
+        }
+        
+        logger.info('Registered account', { account: result.account.username });
+        res.status(201).json({ account: result.account, authToken: result.authToken, loginKey: result.loginKey });
+    }).catch(err => {
+        logger.error('Failed to register account', { err });
+        res.status(500).json({ error: 'Could not register - please try again' });
+    });
+});
+
+// Log in with the account's password or login key
+app.post('/api/accounts/login', limitAccountRequests, express.json({ limit: '10kb' }), (req, res) => {
+    const { username, password } = req.body || {};
+    const result = accounts.login(username, password);
+    if (!result.success) {
+        return res.status(401).json({ error: result.message });
+    }
+    
+    res.json({ account: result.account, authToken: result.authToken });
+});
+
+// Top players or partnerships by rating (?type=players|partnerships&limit=20)
+app.get('/api/leaderboard', (req, res) => {
+    const type = req.query.type === 'partnerships' ? 'partnerships' : 'players';
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    res.json({ type, entries: accounts.getLeaderboard(type, limit) });
+});
+
+// A player's rating, stats and partnerships
+app.get('/api/players/:username', (req, res) => {
+    const profile = accounts.getProfile(req.params.username);
+    if (!profile) {
+        return res.status(404).json({ error: 'Player not found' });
+    }
+    res.json(profile);
+});
+
+// Load an exported match (JSON or text notation) into a read-only review room
+app.post('/api/matches/import', express.text({ type: '*/*', limit: '1mb' }), (req, res) => {
+    if (rooms.size >= MAX_ROOMS) {
+        return res.status(503).json({ error: 'Server is full. Please try again later.', code: 'SERVER_FULL' });
+    }
+    
+    let record;
+    try {
+        record = parseMatchRecord(req.body);
+    } catch (err) {
+        return res.status(400).json({ error: `Could not import match: ${err.message}` });
+    }
+    
+    const limited = checkRoomCreationLimit(req.ip);
+    if (limited) {
+        return res.status(429).json({ error: limited.message, code: limited.code });
+    }
+    
+    const roomId = `review-${crypto.randomBytes(3).toString('hex')}`;
+    claimRoomId(roomId).then(claimed => {
+        if (!claimed) {
+            return res.status(503).json({ error: 'Could not reserve a room - please try again' });
+        }
+        importReviewRoom(roomId, record, req.ip);
+        res.status(201).json({ roomId, matchId: record.matchId, hands: record.hands.length });
+    }).catch(err => {
+        logger.error('Failed to import match', { err });
+        res.status(500).json({ error: 'Could not import match' });
+    });
+});
+
+// Read-only room for reviewing an imported match record
+function importReviewRoom(roomId, record, address) {
+    // Rules get the same checks as a new room's; a match played under a preset keeps its name
+    const custom = resolveRules(record.rules);
+    const preset = resolveRules(record.rules.preset);
+    const isPreset = Object.keys(RULE_PRESETS.standard).every(key => key === 'label' || custom[key] === preset[key]);
+    
+    const room = initializeRoom(roomId, { rules: isPreset ? preset.preset : record.rules });
+    room.gameState = 'review';
+    room.readOnly = true;
+    room.matchId = record.matchId;
+    room.matchHistory = recordToHandHistory(record);
+    room.scores = { ...record.finalScores };
+    room.importedRecord = { ...record, rules: room.rules };
+    rooms.set(roomId, room);
+    roomCreators.set(roomId, address);
+    saveRoom(room);
+    
+    logWithRoom(roomId, `Imported match ${record.matchId} with ${record.hands.length} hands for review`);
+}
+
+// Admin dashboard (admin.html) - the page itself holds no data, the API below needs the secret
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+// Every /api/admin request sends "Authorization: Bearer <ADMIN_SECRET>"
+app.use('/api/admin', express.json({ limit: '10kb' }), (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const secret = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!isAdminSecret(secret)) {
+        logger.warn('Rejected admin request', { ip: req.ip, path: req.originalUrl });
+        return res.status(ADMIN_SECRET ? 401 : 403).json({ error: ADMIN_SECRET ? 'Admin access denied' : 'Admin access is disabled (ADMIN_SECRET not set)' });
+    }
+    next();
+});
+
+// All rooms with their seats, plus the runtime settings
+app.get('/api/admin/rooms', (req, res) => {
+    collectFromNodes('adminRooms', getAdminNodeSummary()).then(nodes => {
+        const stats = {};
+        nodes.forEach(node => Object.keys(node.stats).forEach(key => {
+            stats[key] = (stats[key] || 0) + node.stats[key];
+        }));
+        res.json({
+            rooms: [].concat(...nodes.map(node => node.rooms)),
+            stats,
+            config: getAdminConfig()
+        });
+    });
+});
+
+// Force-close a room (players are sent back to the lobby)
+app.delete('/api/admin/rooms/:roomId', (req, res) => {
+    const roomId = req.params.roomId;
+    if (!rooms.has(roomId)) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    logWithRoom(roomId, 'Room closed by admin', {}, 'warn');
+    cleanupRoom(roomId, 'room.closedByAdmin');
+    res.json({ success: true });
+});
+
+// Remove a player from a seat: { position }
+app.post('/api/admin/rooms/:roomId/kick', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const checked = validatePayload({ position: seatField }, req.body);
+    if (!checked.valid) {
+        return res.status(400).json({ error: `${checked.field} ${checked.message}` });
+    }
+    
+    const { position } = checked.value;
+    const player = room.players[position];
+    if (!player || player.isBot) {
+        return res.status(400).json({ error: 'No player in that seat' });
+    }
+    
+    const replacedByBot = kickPlayer(room, position, 'kick.byAdmin');
+    ensureHost(room);
+    room.lastActivity = Date.now();
+    saveRoom(room);
+    
+    logWithRoom(room.id, `Admin removed ${player.name} from position ${position}`, {}, 'warn');
+    broadcastPlayers(room, replacedByBot ? 'players.removedByAdminBot' : 'players.removedByAdmin', { player: player.name });
+    
+    if (room.gameState === 'paused') {
+        resumeGame(room, 'game.resumedAfterRemoval', { player: player.name });
+    } else {
+        scheduleBotTurn(room);
+    }
+    res.json({ success: true, replacedByBot });
+});
+
+// Maintenance notice to every connected socket: { message }
+app.post('/api/admin/broadcast', (req, res) => {
+    const message = typeof (req.body || {}).message === 'string' ? req.body.message.trim().slice(0, 500) : '';
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+    
+    io.emit('serverNotice', { message });
+    logger.warn('Admin broadcast', { message, sockets: io.engine.clientsCount });
+    res.json({ success: true, recipients: io.engine.clientsCount });
+});
+
+// Change limits without a restart: { maxRooms, playerTimeoutMinutes }
+app.patch('/api/admin/config', (req, res) => {
+    const { maxRooms, playerTimeoutMinutes } = req.body || {};
+    
+    if (maxRooms !== undefined) {
+        const value = parseInt(maxRooms, 10);
+        if (!(value >= 1 && value <= 10000)) {
+            return res.status(400).json({ error: 'maxRooms must be between 1 and 10000' });
+        }
+        MAX_ROOMS = value;
+    }
+    if (playerTimeoutMinutes !== undefined) {
+        const value = Number(playerTimeoutMinutes);
+        if (!(value >= 1 && value <= 24 * 60)) {
+            return res.status(400).json({ error: 'playerTimeoutMinutes must be between 1 and 1440' });
+        }
+        PLAYER_TIMEOUT = Math.round(value * 60 * 1000);
+    }
+    
+    if (IS_CLUSTER_WORKER) io.serverSideEmit('adminConfig', getAdminConfig());
+    logger.warn('Admin changed settings', getAdminConfig());
+    res.json({ config: getAdminConfig() });
+});
 
 // Game state management
 const rooms = new Map();
 const playerSockets = new Map(); // Track socket to room mapping
+const botTimers = new Map(); // Pending bot move per room
+const takeoverTimers = new Map(); // Pending stand-in takeover per "roomId:position"
+const turnTimers = new Map(); // Running turn clock per room
+const saveTimers = new Map(); // Pending debounced save per room
+const spectators = new Map(); // roomId -> Map(socketId -> { name, joinedAt })
+const spectatorSockets = new Map(); // socketId -> roomId being watched
 
 // Configuration
-const MAX_ROOMS = 100;
+let MAX_ROOMS = 100; // Per node; adjustable at runtime from the admin dashboard
 const ROOM_CLEANUP_INTERVAL = 2 * 60 * 1000; // 2 minutes
-const PLAYER_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+let PLAYER_TIMEOUT = 5 * 60 * 1000; // 5 minutes, adjustable at runtime
+const SPECTATOR_MODES = ['live', 'openAfterTrick', 'delayed']; // What spectators see of the players' hands
+const SPECTATOR_DELAY = parseInt(process.env.SPECTATOR_DELAY) || 30 * 1000; // Lag for the delayed full view
+const REMATCH_WINDOW = 2 * 60 * 1000; // A finished room stays open this long for a rematch
+const CHAT_HISTORY_LIMIT = 100; // Messages kept per room (sent again on reconnect)
+const CHAT_RATE_LIMIT = { messages: 5, windowMs: 10 * 1000 }; // Per socket, chat and reactions together
+const ROOM_SAVE_DELAY = 250; // Batch rapid state changes into one write
+const BOT_MOVE_DELAY = parseInt(process.env.BOT_MOVE_DELAY, 10) || 1200; // Default bot "thinking" time
+const BOT_DELAY_LIMITS = { min: 300, max: 5000 }; // Allowed per-bot delay range (ms)
+const TRICK_PAUSE = process.env.TRICK_PAUSE !== undefined ? parseInt(process.env.TRICK_PAUSE, 10) : 3000; // Time to look at a finished trick or hand (ms)
+const DISCONNECT_GRACE_PERIOD = parseInt(process.env.DISCONNECT_GRACE_PERIOD, 10) || 30 * 1000; // Wait before a stand-in takes over
+const DEFAULT_TURN_TIME = process.env.TURN_TIME_LIMIT !== undefined ? parseInt(process.env.TURN_TIME_LIMIT, 10) : 30; // Seconds per turn (0 = no clock)
+const TURN_TIME_LIMITS = { min: 10, max: 120 }; // Allowed per-room turn clock range (seconds)
 
-// Card definitions
-const suits = ['Hearts', 'Diamonds', 'Clubs', 'Spades'];
-const ranks = ['7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const EVENT_RATE_LIMITS = { // Every incoming socket event counts
+    socket: { events: 40, windowMs: 10 * 1000 },
+    address: { events: 200, windowMs: 10 * 1000 } // All sockets from one IP together
+};
+const ROOM_CREATION_LIMITS = { // Per IP: rooms open at once, and rooms created per window
+    open: parseInt(process.env.ROOMS_PER_CLIENT, 10) || 3,
+    created: 10,
+    windowMs: 10 * 60 * 1000
+};
+const ACCOUNT_RATE_LIMIT = { attempts: 10, windowMs: 10 * 60 * 1000 }; // Per IP, logins and registrations together
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true'; // Take client IPs from X-Forwarded-For
 
-// Team-based seating arrangement
-const TEAM_POSITIONS = {
-    'A': [0, 2], // Top and Bottom
-    'B': [1, 3]  // Right and Left
+const chatLimiter = createRateLimiter(CHAT_RATE_LIMIT.messages, CHAT_RATE_LIMIT.windowMs);
+const socketEventLimiter = createRateLimiter(EVENT_RATE_LIMITS.socket.events, EVENT_RATE_LIMITS.socket.windowMs);
+const addressEventLimiter = createRateLimiter(EVENT_RATE_LIMITS.address.events, EVENT_RATE_LIMITS.address.windowMs);
+const roomCreationLimiter = createRateLimiter(ROOM_CREATION_LIMITS.created, ROOM_CREATION_LIMITS.windowMs);
+const accountLimiter = createRateLimiter(ACCOUNT_RATE_LIMIT.attempts, ACCOUNT_RATE_LIMIT.windowMs);
+const roomCreators = new Map(); // roomId -> IP that created it (not persisted)
+
+// Accepted payload for every client event (see validation.js); anything else is rejected with INVALID_PAYLOAD
+const roomIdField = string(20, { pattern: ROOM_ID_PATTERN });
+const playerNameField = string(15);
+const teamField = oneOf('A', 'B');
+const seatField = integer(0, 3);
+const passwordField = string(100, { min: 0, trim: false });
+const tokenField = string(1024, { trim: false });
+const EVENT_SCHEMAS = {
+    joinRoom: {
+        room: roomIdField,
+        name: playerNameField,
+        team: optional(teamField),
+        isReconnect: optional(boolean()),
+        sessionToken: optional(tokenField),
+        password: optional(passwordField),
+        authToken: optional(tokenField)
+    },
+    rejoinRoom: {
+        room: roomIdField,
+        name: playerNameField,
+        team: optional(teamField),
+        sessionToken: optional(tokenField),
+        authToken: optional(tokenField)
+    },
+    createRoom: {
+        room: optional(string(10, { min: 0, pattern: /^[\w-]*$/ })), // Left blank, the server picks the code
+        name: playerNameField,
+        team: optional(teamField),
+        visibility: optional(oneOf('public', 'private')),
+        password: optional(passwordField),
+        turnTime: optional(integer(0, 3600)),
+        rules: optional(anyOf(oneOf(...Object.keys(RULE_PRESETS)), object({
+            preset: optional(oneOf(...Object.keys(RULE_PRESETS))),
+            targetScore: optional(integer(1, 50)),
+            winPoints: optional(integer(1, 10)),
+            callerLossPoints: optional(integer(1, 10)),
+            sweepPoints: optional(integer(1, 10)),
+            sweepScoring: optional(oneOf('defenders', 'any')),
+            carryDrawPoints: optional(boolean()),
+            drawTrumpCaller: optional(oneOf('next', 'same'))
+        }))),
+        spectatorMode: optional(oneOf(...SPECTATOR_MODES)),
+        authToken: optional(tokenField)
+    },
+    spectateRoom: { room: roomIdField, name: optional(string(15, { min: 0 })), password: optional(passwordField) },
+    listRooms: {},
+    addBot: { room: roomIdField, team: optional(teamField), delay: optional(integer(0, 60 * 1000)) },
+    removeBot: { room: roomIdField, position: seatField },
+    kickPlayer: { room: roomIdField, position: seatField },
+    swapSeats: { room: roomIdField, from: seatField, to: seatField },
+    setRoomLocked: { room: roomIdField, locked: boolean() },
+    startRematch: { room: roomIdField },
+    setReady: { room: roomIdField, ready: boolean() },
+    chatMessage: { room: roomIdField, text: string(1000, { min: 0, trim: false, pattern: null }), channel: optional(oneOf('table', 'team')) },
+    sendReaction: { room: roomIdField, reaction: oneOf(...Object.keys(QUICK_REACTIONS)) },
+    getHandHistory: { room: roomIdField },
+    selectTrump: { room: roomIdField, trump: oneOf(...SUITS) },
+    playCard: { room: roomIdField, cardIndex: integer(0, TRICKS_PER_HAND - 1) },
+    getServerStats: { secret: optional(tokenField) }
 };
 
+// Signs seat session tokens. Set SESSION_SECRET so tokens stay valid across restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Persistence (STORAGE=file|memory; the file store keeps one folder per kind of record under DATA_DIR)
+const STORAGE_TYPE = process.env.STORAGE || 'file';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '.data');
+const store = createStore(STORAGE_TYPE, { dir: path.join(DATA_DIR, 'rooms'), logger });
+
+// Player accounts, stats and ratings (see accounts.js) - cluster workers make changes through the primary
+const accounts = createAccounts(IS_CLUSTER_WORKER ? { primary: process, secret: SESSION_SECRET, logger } : {
+    accountStore: createStore(STORAGE_TYPE, { dir: path.join(DATA_DIR, 'accounts'), logger }),
+    partnershipStore: createStore(STORAGE_TYPE, { dir: path.join(DATA_DIR, 'partnerships'), logger }),
+    secret: SESSION_SECRET,
+    logger
+});
+
+// Admin socket events are refused until ADMIN_SECRET is configured
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+
+// Operational metrics (see metrics.js), served at /metrics
+const GAME_STATES = ['waiting', 'trump_selection', 'playing', 'paused', 'completed', 'review'];
+const metrics = createMetrics();
+const gamesCompleted = metrics.counter('omi_games_completed_total', 'Matches played to the target score');
+const handDuration = metrics.summary('omi_hand_duration_seconds', 'Time from the deal to the last trick of a hand');
+const reconnects = metrics.counter('omi_reconnects_total', 'Players who reclaimed their seat after a disconnect');
+const socketErrors = metrics.counter('omi_socket_errors_total', 'Socket.IO connection, socket and transport errors');
+metrics.gauge('omi_rooms', 'Rooms by game state', () => GAME_STATES.map(state => ({
+    labels: { state },
+    value: Array.from(rooms.values()).filter(room => room.gameState === state).length
+})));
+metrics.gauge('omi_players_connected', 'Human players with a live connection', () => getRoomStats().connectedPlayers);
+metrics.gauge('omi_bots', 'Seats played by bots', () => getRoomStats().botPlayers);
+metrics.gauge('omi_spectators', 'Sockets watching a room', () => spectatorSockets.size);
+metrics.gauge('omi_sockets', 'Open Socket.IO connections', () => io.engine.clientsCount);
+metrics.gauge('omi_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+let isReady = false; // Set once saved rooms and accounts are loaded
+
+// Constant-time check of an admin secret against ADMIN_SECRET
+function isAdminSecret(secret) {
+    if (!ADMIN_SECRET || typeof secret !== 'string') return false;
+    const given = crypto.createHash('sha256').update(secret).digest();
+    const expected = crypto.createHash('sha256').update(ADMIN_SECRET).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
 // Room statistics
 function getRoomStats() {
     const stats = {
@@ -42,12 +502,15 @@ function getRoomStats() {
         playingRooms: 0,
         pausedRooms: 0,
         totalPlayers: 0,
-        connectedPlayers: 0
+        connectedPlayers: 0,
+        botPlayers: 0,
+        spectators: spectatorSockets.size
     };
     
     for (const [roomId, room] of rooms) {
-        const connectedCount = room.players.filter(p => p && p.connected).length;
-        stats.totalPlayers += room.players.filter(p => p !== null).length;
+        const connectedCount = room.players.filter(p => p && p.connected && !p.isBot).length;
+        stats.totalPlayers += room.players.filter(p => p !== null && !p.isBot).length;
+        stats.botPlayers += room.players.filter(p => p && p.isBot).length;
         stats.connectedPlayers += connectedCount;
         
         if (connectedCount > 0) stats.activeRooms++;
@@ -63,185 +526,145 @@ function getRoomStats() {
     return stats;
 }
 
-// Enhanced logging with room context
-function logWithRoom(roomId, message, ...args) {
-    console.log(`[Room:${roomId}] ${message}`, ...args);
-}
-
-// Create a deck of cards
-function createDeck() {
-    const deck = [];
-    suits.forEach(suit => {
-        ranks.forEach(rank => {
-            deck.push({ suit, rank });
+// Save a room shortly after it changes (several changes in a row become one write)
+function saveRoom(room) {
+    if (saveTimers.has(room.id)) return;
+    
+    saveTimers.set(room.id, setTimeout(() => {
+        saveTimers.delete(room.id);
+        if (rooms.get(room.id) !== room) return; // Closed meanwhile
+        
+        store.save(room).catch(err => {
+            logWithRoom(room.id, 'Failed to save room', { err }, 'error');
         });
-    });
-    return deck;
+    }, ROOM_SAVE_DELAY));
 }
 
-// Shuffle deck
-function shuffleDeck(deck) {
-    const shuffled = [...deck];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+// Forget a closed room in storage
+function deleteSavedRoom(roomId) {
+    clearTimeout(saveTimers.get(roomId));
+    saveTimers.delete(roomId);
+    store.remove(roomId).catch(err => {
+        logWithRoom(roomId, 'Failed to remove saved room', { err }, 'error');
+    });
 }
 
-// Get card value for comparison
-function getCardValue(card, trump) {
-    const rankValues = { '7': 1, '8': 2, '9': 3, '10': 4, 'J': 5, 'Q': 6, 'K': 7, 'A': 8 };
-    let value = rankValues[card.rank];
-    
-    // Trump cards are worth more
-    if (card.suit === trump) {
-        value += 10;
-    }
+// Write every room now (shutdown)
+function saveAllRooms() {
+    for (const timer of saveTimers.values()) clearTimeout(timer);
+    saveTimers.clear();
     
-    return value;
+    const writes = Array.from(rooms.values()).map(room => store.save(room).catch(err => {
+        logWithRoom(room.id, 'Failed to save room', { err }, 'error');
+    }));
+    return Promise.all(writes).then(() => store.flush());
 }
 
-// Check if a card can be played
-function isValidPlay(card, hand, currentTrick, trump) {
-    console.log('Validating card play:', {
-        card: `${card.rank} of ${card.suit}`,
-        hand: hand.filter(c => c).map(c => `${c.rank} of ${c.suit}`),
-        currentTrick: currentTrick.map(t => `${t.card.rank} of ${t.card.suit}`),
-        trump,
-        trickLength: currentTrick.length
+// Reload saved rooms after a restart. Everyone starts out disconnected and games in
+// progress are paused until players come back through the normal reconnect flow.
+function loadSavedRooms() {
+    return store.loadAll().then(savedRooms => adoptSavedRooms(savedRooms)).then(count => {
+        if (count > 0) {
+            logger.info('Restored saved rooms', { count, storage: store.type });
+        }
     });
-
-    // First card of trick - any card is valid (leading)
-    if (currentTrick.length === 0) {
-        console.log('First card of trick (leading) - any card valid');
-        return true;
-    }
-
-    // Get the lead suit (first card played in this trick)
-    const leadSuit = currentTrick[0].card.suit;
-    console.log('Lead suit:', leadSuit);
-
-    // Check if player has any cards of the lead suit
-    const cardsOfLeadSuit = hand.filter(c => c && c.suit === leadSuit);
-    console.log('Cards of lead suit available:', cardsOfLeadSuit.map(c => `${c.rank} of ${c.suit}`));
-
-    if (cardsOfLeadSuit.length > 0) {
-        // Player HAS cards of the lead suit - MUST follow suit
-        const mustFollowSuit = card.suit === leadSuit;
-        console.log('MUST follow suit - has lead suit cards. Playing:', card.suit, 'Required:', leadSuit, 'Valid:', mustFollowSuit);
-        return mustFollowSuit;
-    } else {
-        // Player does NOT have cards of the lead suit - can play ANY card
-        console.log('NO lead suit cards - can play ANY card (including trump to cut)');
-        return true;
-    }
 }
 
-// Get playable cards for a player (for client-side UI)
-function getPlayableCards(hand, currentTrick, trump) {
-    const playableCards = [];
-
-    console.log('=== GETTING PLAYABLE CARDS ===');
-    console.log('Hand:', hand.map((c, i) => c ? `${i}: ${c.rank}${c.suit[0]}` : `${i}: null`));
-    console.log('Current trick:', currentTrick.map(t => `${t.card.rank}${t.card.suit[0]}`));
-    console.log('Trump:', trump);
-
-    // If leading (first card), all non-null cards are playable
-    if (currentTrick.length === 0) {
-        console.log('Leading - checking all non-null cards');
-        hand.forEach((card, index) => {
-            if (card !== null) {
-                playableCards.push(index);
-                console.log(`Card ${index} (${card.rank}${card.suit[0]}) is playable - leading`);
-            }
-        });
-        console.log('Leading playable cards:', playableCards);
-        return playableCards;
+// Take over saved rooms that no node owns (all of them at startup, a dead node's later on);
+// resolves to how many this node took
+async function adoptSavedRooms(savedRooms) {
+    let adopted = 0;
+    for (const room of savedRooms) {
+        if (rooms.has(room.id) || !(await sharedState.claimRoom(room.id))) continue;
+        restoreSavedRoom(room);
+        adopted++;
     }
+    return adopted;
+}
 
-    // Get the lead suit (first card played in this trick)
-    const leadSuit = currentTrick[0].card.suit;
-    console.log('Lead suit:', leadSuit);
-
-    // Find all cards of the lead suit in hand
-    const leadSuitCardIndices = [];
-    hand.forEach((card, index) => {
-        if (card && card.suit === leadSuit) {
-            leadSuitCardIndices.push(index);
+// Saved room back in play: nobody is connected yet, and a running hand waits for them
+function restoreSavedRoom(room) {
+    const now = Date.now();
+    
+    room.players.forEach(player => {
+        if (player && !player.isBot) {
+            player.connected = false;
+            player.lastSeen = now;
         }
     });
-
-    console.log('Lead suit card indices:', leadSuitCardIndices);
-
-    if (leadSuitCardIndices.length > 0) {
-        // Player HAS cards of the lead suit - MUST play only those
-        console.log('Player has lead suit cards - MUST follow suit');
-        leadSuitCardIndices.forEach(index => {
-            playableCards.push(index);
-            console.log(`Card ${index} (${hand[index].rank}${hand[index].suit[0]}) is playable - following suit`);
-        });
-    } else {
-        // Player does NOT have cards of the lead suit - can play ANY remaining card
-        console.log('Player has NO lead suit cards - can play any card');
-        hand.forEach((card, index) => {
-            if (card !== null) {
-                playableCards.push(index);
-                console.log(`Card ${index} (${card.rank}${card.suit[0]}) is playable - no lead suit`);
+    if (room.gameState === 'playing' || room.gameState === 'trump_selection') {
+        room.gameState = 'paused';
+    }
+    room.turnDeadline = null;
+    room.lastActivity = now;
+    rooms.set(room.id, room);
+    
+    // Stand-ins still step in for anyone who never returns
+    if (room.gameState === 'paused') {
+        room.players.forEach((player, index) => {
+            if (player && !player.isBot && !player.autoPlay) {
+                scheduleTakeover(room, index);
             }
         });
     }
+}
 
-    console.log('Final playable cards:', playableCards);
-    console.log('=== END PLAYABLE CARDS ===');
-
-    return playableCards;
+// Make sure a room someone asks for is served here: resolves false if another node owns it,
+// otherwise true (after loading it from storage if it was left without an owner)
+async function adoptRoom(roomId) {
+    if (rooms.has(roomId)) return true;
+    
+    const owner = await sharedState.getRoomOwner(roomId);
+    if (owner && owner !== NODE_ID) return false;
+    
+    const saved = await store.load(roomId);
+    if (!saved) return true; // Nothing to adopt - the event handler reports the missing room
+    if (await adoptSavedRooms([saved])) {
+        logWithRoom(roomId, 'Adopted saved room');
+    }
+    return rooms.has(roomId); // False if another node claimed it first
 }
 
-// Determine trick winner
-function getTrickWinner(trick, trump) {
-    console.log('Determining trick winner:', {
-        trick: trick.map(t => `${t.playerName}: ${t.card.rank} of ${t.card.suit}`),
-        trump
-    });
+// Give a seat a fresh session and return its signed token (any older token stops working)
+function issueSessionToken(roomId, position, player) {
+    player.sessionId = crypto.randomBytes(16).toString('hex');
+    const payload = Buffer.from(JSON.stringify({ room: roomId, seat: position, sid: player.sessionId })).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
 
-    const leadSuit = trick[0].card.suit;
-    
-    // Separate trump cards and non-trump cards
-    const trumpCards = trick.filter(t => t.card.suit === trump);
-    const nonTrumpCards = trick.filter(t => t.card.suit !== trump);
+// Check a token's signature and that a seat still holds the same session.
+// Returns the seat position, or -1 if the token is invalid or has expired.
+function verifySessionToken(room, token) {
+    if (typeof token !== 'string') return -1;
     
-    console.log('Trump cards in trick:', trumpCards.map(t => `${t.playerName}: ${t.card.rank} of ${t.card.suit}`));
-    console.log('Non-trump cards in trick:', nonTrumpCards.map(t => `${t.playerName}: ${t.card.rank} of ${t.card.suit}`));
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return -1;
     
-    let winner;
+    const expected = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return -1;
     
-    if (trumpCards.length > 0) {
-        // If there are trump cards, highest trump wins
-        winner = trumpCards.reduce((highest, current) => {
-            return getCardValue(current.card, trump) > getCardValue(highest.card, trump) ? current : highest;
-        });
-        console.log('Trump card wins:', `${winner.playerName} with ${winner.card.rank} of ${winner.card.suit}`);
-    } else {
-        // No trump cards, highest card of lead suit wins
-        const leadSuitCards = trick.filter(t => t.card.suit === leadSuit);
-        winner = leadSuitCards.reduce((highest, current) => {
-            return getCardValue(current.card, trump) > getCardValue(highest.card, trump) ? current : highest;
-        });
-        console.log('Lead suit wins:', `${winner.playerName} with ${winner.card.rank} of ${winner.card.suit}`);
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        return -1;
     }
     
-    return winner;
+    // Look the session up by id rather than seat - the host may have moved the player since
+    if (session.room !== room.id) return -1;
+    return room.players.findIndex(p => p && !p.isBot && p.sessionId === session.sid);
 }
 
-// Get team for position
-function getTeamForPosition(position) {
-    return TEAM_POSITIONS.A.includes(position) ? 'A' : 'B';
+// Log a line with room context; `fields` adds context such as { player, seat }
+function logWithRoom(roomId, message, fields = {}, level = 'info') {
+    logger[level](message, { room: roomId, ...fields });
 }
 
-// Find available position for team
+// Find a free seat, preferring the requested team
 function findPositionForTeam(room, preferredTeam) {
-    const availablePositions = TEAM_POSITIONS[preferredTeam].filter(pos => 
+    const availablePositions = TEAM_SEATS[preferredTeam].filter(pos => 
         !room.players[pos] || !room.players[pos].id
     );
     
@@ -251,7 +674,7 @@ function findPositionForTeam(room, preferredTeam) {
     
     // If preferred team is full, try other team
     const otherTeam = preferredTeam === 'A' ? 'B' : 'A';
-    const otherAvailablePositions = TEAM_POSITIONS[otherTeam].filter(pos => 
+    const otherAvailablePositions = TEAM_SEATS[otherTeam].filter(pos => 
         !room.players[pos] || !room.players[pos].id
     );
     
@@ -262,8 +685,16 @@ function findPositionForTeam(room, preferredTeam) {
     return -1; // Room is full
 }
 
+// Clamp a requested turn clock to the allowed range (0 turns it off)
+function normalizeTurnTimeLimit(turnTime) {
+    const seconds = parseInt(turnTime, 10);
+    if (isNaN(seconds)) return DEFAULT_TURN_TIME;
+    if (seconds <= 0) return 0;
+    return Math.min(TURN_TIME_LIMITS.max, Math.max(TURN_TIME_LIMITS.min, seconds));
+}
+
 // Initialize room
-function initializeRoom(roomId) {
+function initializeRoom(roomId, options = {}) {
     logWithRoom(roomId, 'Initializing new room');
     return {
         id: roomId,
@@ -272,21 +703,61 @@ function initializeRoom(roomId) {
         deck: [],
         trump: null,
         trumpSelector: -1, // Track who selected trump for scoring
+        dealer: -1, // Rotates one seat each hand; the player to their right calls trump
         currentPlayerIndex: 0,
         currentTrick: [],
         tricksWon: [0, 0, 0, 0], // tricks won by each player
         scores: { teamA: 0, teamB: 0 }, // Team A: players 0,2; Team B: players 1,3
+        carriedPoints: 0, // Points from drawn (4-4) hands, won by the next decisive hand
         round: 1,
         currentRoundIndex: 0, // Always 8 cards per player in Omi (single round game)
         lastTrickWinner: -1,
         lastTrick: [], // Add to room state
+        matchId: null, // Identifies the current match's history
+        matchHistory: [], // Completed hands of the current match (see startHandRecord)
+        currentHand: null, // Record of the hand being played
+        turnTimeLimit: normalizeTurnTimeLimit(options.turnTime), // Seconds per turn, 0 = unlimited
+        rules: resolveRules(options.rules), // House rules chosen when the room was created
+        spectatorMode: SPECTATOR_MODES.includes(options.spectatorMode) ? options.spectatorMode : 'live',
+        visibility: options.visibility === 'private' ? 'private' : 'public', // Private rooms are left out of the lobby list
+        locked: false, // Host can stop new players from joining
+        chat: [], // Recent table and team messages (see addChatMessage)
+        password: options.password ? hashRoomPassword(options.password) : null, // Salted hash, see checkRoomPassword
+        turnDeadline: null, // When the current turn clock runs out
         createdAt: Date.now(),
         lastActivity: Date.now()
     };
 }
 
+// Client IP for rate limits (behind a reverse proxy set TRUST_PROXY=true)
+function getClientAddress(socket) {
+    const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// Server messages go out as a key and parameters for the client to translate (see i18n.js);
+// `message` is the English text for logs and older clients
+function localized(key, params = {}) {
+    return { key, params, message: translate('en', key, params) };
+}
+
+// Error code if this IP may not create another room right now, otherwise null
+function checkRoomCreationLimit(address) {
+    let open = 0;
+    for (const creator of roomCreators.values()) {
+        if (creator === address) open++;
+    }
+    if (open >= ROOM_CREATION_LIMITS.open) {
+        return { code: 'ROOM_LIMIT', ...localized('error.roomLimit', { count: open }) };
+    }
+    if (!roomCreationLimiter.allow(address)) {
+        return { code: 'RATE_LIMITED', ...localized('error.roomRateLimited') };
+    }
+    return null;
+}
+
 // Enhanced room cleanup
-function cleanupRoom(roomId) {
+function cleanupRoom(roomId, messageKey = 'room.closedInactive') {
     const room = rooms.get(roomId);
     if (!room) return;
     
@@ -295,15 +766,29 @@ function cleanupRoom(roomId) {
     // Notify any remaining connected players
     room.players.forEach(player => {
         if (player && player.connected) {
-            io.to(player.id).emit('roomClosed', {
-                message: 'Room has been closed due to inactivity'
-            });
+            io.to(player.id).emit('roomClosed', localized(messageKey));
             // Remove from player tracking
             playerSockets.delete(player.id);
         }
     });
     
+    // Spectators leave with the room
+    io.to(spectatorChannel(roomId)).emit('roomClosed', localized(messageKey));
+    for (const socketId of getSpectators(roomId).keys()) {
+        spectatorSockets.delete(socketId);
+    }
+    spectators.delete(roomId);
+    
+    clearTimeout(botTimers.get(roomId));
+    botTimers.delete(roomId);
+    clearTurnTimer(room);
+    room.players.forEach((player, index) => cancelTakeover(roomId, index));
     rooms.delete(roomId);
+    roomCreators.delete(roomId);
+    deleteSavedRoom(roomId);
+    sharedState.releaseRoom(roomId).catch(err => {
+        logWithRoom(roomId, 'Failed to release room', { err }, 'error');
+    });
 }
 
 // Check room health and cleanup if needed
@@ -312,9 +797,9 @@ function checkRoomHealth(roomId) {
     if (!room) return false;
     
     const now = Date.now();
-    const connectedPlayers = room.players.filter(p => p && p.connected);
+    const connectedPlayers = room.players.filter(p => p && p.connected && !p.isBot);
     
-    // Room is empty - mark for cleanup
+    // Room has no humans left (bots alone don't keep it alive) - mark for cleanup
     if (connectedPlayers.length === 0) {
         if (now - room.lastActivity > 2 * 60 * 1000) { // 2 minutes
             cleanupRoom(roomId);
@@ -325,25 +810,22 @@ function checkRoomHealth(roomId) {
     // Room has inactive players - clean them up
     let hasChanges = false;
     room.players.forEach((player, index) => {
-        if (player && !player.connected && 
+        if (player && !player.connected && !isGameSeatInUse(room, player) &&
             now - player.lastSeen > PLAYER_TIMEOUT) {
-            logWithRoom(roomId, `Removing inactive player ${player.name}`);
-            room.players[index] = null;
+            logWithRoom(roomId, `Removing inactive player ${player.name}`, { player: player.name, seat: index });
+            room.players[index] = null; // Their session token no longer matches a seat
             hasChanges = true;
         }
     });
     
     if (hasChanges) {
         room.lastActivity = now;
+        ensureHost(room);
+        saveRoom(room);
         // Notify remaining players
-        const remainingPlayers = room.players.filter(p => p && p.connected);
+        const remainingPlayers = room.players.filter(p => p && p.connected && !p.isBot);
         if (remainingPlayers.length > 0) {
-            const playerList = room.players.map((p, index) => p ? { 
-                name: p.name, 
-                team: p.team,
-                position: index,
-                connected: p.connected
-            } : null);
+            const playerList = getPlayerList(room);
             
             remainingPlayers.forEach(player => {
                 io.to(player.id).emit('roomCleaned', {
@@ -357,6 +839,159 @@ function checkRoomHealth(roomId) {
     return true;
 }
 
+// Everything the admin dashboard shows about a room
+function getAdminRoomSummary(room) {
+    const now = Date.now();
+    return {
+        id: room.id,
+        gameState: room.gameState,
+        visibility: room.visibility,
+        locked: room.locked,
+        readOnly: !!room.readOnly,
+        scores: room.scores,
+        round: room.round,
+        spectators: getSpectators(room.id).size,
+        createdAt: room.createdAt,
+        idleSeconds: Math.round((now - room.lastActivity) / 1000),
+        players: room.players.map((p, index) => p ? {
+            name: p.name,
+            position: index,
+            team: p.team,
+            connected: p.connected,
+            isBot: !!p.isBot,
+            isHost: !!p.isHost,
+            autoPlay: !!p.autoPlay,
+            idleSeconds: p.connected ? 0 : Math.round((now - (p.lastSeen || now)) / 1000)
+        } : null)
+    };
+}
+
+function getAdminConfig() {
+    return { maxRooms: MAX_ROOMS, playerTimeoutMinutes: PLAYER_TIMEOUT / 60 / 1000 };
+}
+
+// This node's part of the admin room list
+function getAdminNodeSummary() {
+    return {
+        rooms: Array.from(rooms.values()).map(room => ({ ...getAdminRoomSummary(room), node: NODE_ID })),
+        stats: getRoomStats()
+    };
+}
+
+// Public seat list sent to clients
+function getPlayerList(room) {
+    return room.players.map((p, index) => p ? {
+        name: p.name,
+        team: p.team,
+        position: index,
+        connected: p.connected,
+        isBot: !!p.isBot,
+        isHost: !!p.isHost,
+        autoPlay: !!p.autoPlay,
+        ready: !!(p.isBot || p.ready), // Bots are always ready
+        rating: p.accountId ? accounts.getRating(p.accountId) : null // Registered players only
+    } : null);
+}
+
+// A stand-in is playing this seat, so it can't be freed until the game ends
+function isGameSeatInUse(room, player) {
+    return !!player.autoPlay && room.gameState !== 'waiting' && room.gameState !== 'completed';
+}
+
+// Hand the host role to the first connected human if the host has gone
+function ensureHost(room) {
+    if (room.players.some(p => p && p.isHost)) return;
+    const nextHost = room.players.find(p => p && p.connected && !p.isBot);
+    if (nextHost) {
+        nextHost.isHost = true;
+        logWithRoom(room.id, `${nextHost.name} is now the host`);
+    }
+}
+
+// Create a computer-controlled player for a seat
+function createBotPlayer(roomId, position, delay) {
+    const botDelay = Math.min(BOT_DELAY_LIMITS.max,
+        Math.max(BOT_DELAY_LIMITS.min, parseInt(delay, 10) || BOT_MOVE_DELAY));
+    
+    return {
+        id: `bot:${roomId}:${position}`,
+        name: `🤖 Bot ${position + 1}`,
+        team: getTeamForSeat(position),
+        hand: [],
+        connected: true,
+        position: position,
+        lastSeen: Date.now(),
+        isBot: true,
+        botDelay
+    };
+}
+
+// Move whoever sits in two seats (either may be empty); team follows the seat
+function swapSeats(room, from, to) {
+    const moving = room.players[from];
+    room.players[from] = room.players[to];
+    room.players[to] = moving;
+    
+    [from, to].forEach(position => {
+        const player = room.players[position];
+        if (!player) return;
+        
+        player.position = position;
+        player.team = getTeamForSeat(position);
+        if (player.isBot) player.id = `bot:${room.id}:${position}`;
+    });
+}
+
+// Remove a player from their seat. Mid-game a bot takes over their cards so the hand can finish.
+function kickPlayer(room, position, messageKey = 'kick.byHost') {
+    const player = room.players[position];
+    const inGame = ['trump_selection', 'playing', 'paused'].includes(room.gameState);
+    
+    cancelTakeover(room.id, position);
+    playerSockets.delete(player.id);
+    
+    const kickedSocket = io.sockets.sockets.get(player.id);
+    if (kickedSocket) {
+        kickedSocket.emit('kicked', localized(messageKey));
+        kickedSocket.leave(room.id);
+    }
+    
+    if (inGame) {
+        const bot = createBotPlayer(room.id, position);
+        bot.hand = player.hand;
+        room.players[position] = bot;
+    } else {
+        room.players[position] = null;
+    }
+    
+    return inGame;
+}
+
+// Put a finished room back in the lobby with the same seats, ready to play again
+function resetForRematch(room) {
+    room.gameState = 'waiting';
+    room.deck = [];
+    room.trump = null;
+    room.trumpSelector = -1;
+    room.dealer = -1;
+    room.currentPlayerIndex = 0;
+    room.currentTrick = [];
+    room.lastTrick = [];
+    room.tricksWon = [0, 0, 0, 0];
+    room.scores = { teamA: 0, teamB: 0 };
+    room.carriedPoints = 0;
+    room.round = 1;
+    room.currentHand = null;
+    room.lastActivity = Date.now();
+    
+    room.players.forEach(player => {
+        if (!player) return;
+        player.hand = [];
+        player.ready = false; // Everyone confirms again before the rematch starts
+        player.autoPlay = false;
+    });
+}
+
 // Get current game state for reconnection
 function getFullGameStateForPlayer(room, playerPosition) {
     const player = room.players[playerPosition];
@@ -367,6 +1002,8 @@ function getFullGameStateForPlayer(room, playerPosition) {
         gameState: room.gameState,
         trump: room.trump,
         currentPlayerIndex: room.currentPlayerIndex,
+        dealer: room.dealer,
+        trumpCaller: room.trumpSelector,
         
         // Player's personal info
         position: playerPosition,
@@ -383,110 +1020,398 @@ function getFullGameStateForPlayer(room, playerPosition) {
         // Previous trick (history)
         lastTrick: room.lastTrick || [],
         
+        // Room settings
+        rules: room.rules,
+        turnTimeLimit: room.turnTimeLimit,
+        turnTimeRemaining: room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null,
+        
         // Scores and stats
         scores: room.scores,
+        carriedPoints: room.carriedPoints,
         tricksWon: room.tricksWon,
         
         // Player names
         playerNames: room.players.map(p => p ? p.name : null),
         
         // All players info (for UI updates)
-        players: room.players.map((p, index) => p ? {
-            name: p.name,
-            team: p.team,
-            position: index,
-            connected: p.connected
-        } : null)
+        players: getPlayerList(room),
+        locked: !!room.locked,
+        spectatorCount: getSpectators(room.id).size,
+        shuffleCommitment: getShuffleCommitment(room),
+        
+        // Table chat plus this player's team channel
+        chat: getChatHistory(room, player.team)
     };
 }
 
-// Add player to room with team selection
-function addPlayerToRoom(roomId, playerData, preferredTeam, isReconnect = false) {
-    // Check room limits
-    if (!rooms.has(roomId) && rooms.size >= MAX_ROOMS) {
-        return { success: false, message: 'Server is full. Please try again later.' };
-    }
-    
-    if (!rooms.has(roomId)) {
-        rooms.set(roomId, initializeRoom(roomId));
-    }
-    
-    const room = rooms.get(roomId);
-    room.lastActivity = Date.now();
+// Socket.IO room that only spectators are in (for anything players must not receive)
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+function getSpectators(roomId) {
+    return spectators.get(roomId) || new Map();
+}
+
+// Every seat's remaining cards, for spectator modes that show them
+function getOpenHands(room) {
+    return room.players.map(p => p ? (p.hand || []).filter(card => card !== null) : []);
+}
+
+// Public table state for a spectator - hands only when the room's spectator mode allows
+function getSpectatorState(room) {
+    const handRevealed = room.spectatorMode === 'openAfterTrick' &&
+        !!room.currentHand && room.currentHand.tricks.length > 0;
     
-    // If reconnecting, try to find existing player slot
-    if (isReconnect) {
-        logWithRoom(roomId, `Looking for existing disconnected player named "${playerData.name}"`);
-        console.log('Current players:', room.players.map((p, i) => p ? `${i}: ${p.name} (${p.connected ? 'connected' : 'disconnected'})` : `${i}: empty`));
+    return {
+        gameState: room.gameState,
+        trump: room.trump,
+        currentPlayerIndex: room.currentPlayerIndex,
+        dealer: room.dealer,
+        trumpCaller: room.trumpSelector,
+        currentTrick: room.currentTrick || [],
+        lastTrick: room.lastTrick || [],
+        rules: room.rules,
+        turnTimeLimit: room.turnTimeLimit,
+        turnTimeRemaining: room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null,
+        scores: room.scores,
+        carriedPoints: room.carriedPoints,
+        tricksWon: room.tricksWon,
+        players: getPlayerList(room),
+        handSizes: getOpenHands(room).map(hand => hand.length),
+        hands: handRevealed ? getOpenHands(room) : null,
+        spectatorMode: room.spectatorMode,
+        spectatorCount: getSpectators(room.id).size,
+        shuffleCommitment: getShuffleCommitment(room),
+        chat: getChatHistory(room, null)
+    };
+}
+
+// Send spectators the players' hands if the room's mode allows it at this point.
+// 'openAfterTrick' reveals them once a trick is complete; 'delayed' shows every change after SPECTATOR_DELAY.
+function shareHandsWithSpectators(room, trigger) {
+    if (getSpectators(room.id).size === 0) return;
+    
+    const snapshot = {
+        round: room.round,
+        trigger,
+        hands: getOpenHands(room).map(hand => hand.map(card => ({ ...card })))
+    };
+    
+    if (room.spectatorMode === 'openAfterTrick' && trigger === 'trick') {
+        io.to(spectatorChannel(room.id)).emit('spectatorHands', snapshot);
+    } else if (room.spectatorMode === 'delayed') {
+        setTimeout(() => {
+            if (rooms.get(room.id) !== room) return;
+            io.to(spectatorChannel(room.id)).emit('spectatorHands', { ...snapshot, delayed: SPECTATOR_DELAY });
+        }, SPECTATOR_DELAY);
+    }
+}
+
+// Keep a chat message in the room's history and deliver it: table messages to everyone in
+// the room (spectators included), team messages only to that team's seated players
+function addChatMessage(room, message) {
+    room.chat = room.chat || [];
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY_LIMIT) {
+        room.chat.splice(0, room.chat.length - CHAT_HISTORY_LIMIT);
+    }
+    saveRoom(room);
+    
+    if (message.channel === 'team') {
+        room.players.forEach(player => {
+            if (player && player.connected && !player.isBot && player.team === message.team) {
+                io.to(player.id).emit('chatMessage', message);
+            }
+        });
+    } else {
+        io.to(room.id).emit('chatMessage', message);
+    }
+}
+
+// Messages someone on `team` may read (null = table channel only, for spectators)
+function getChatHistory(room, team) {
+    return (room.chat || []).filter(message => message.channel === 'table' || (team && message.team === team));
+}
+
+// Send everyone the current seats (after host changes or ready toggles)
+function broadcastPlayers(room, messageKey, params) {
+    io.to(room.id).emit('playersUpdated', {
+        players: getPlayerList(room),
+        locked: !!room.locked,
+        ...(messageKey ? localized(messageKey, params) : {})
+    });
+}
+
+// Tell the table how many people are watching
+function notifySpectatorCount(room) {
+    const watching = Array.from(getSpectators(room.id).values());
+    io.to(room.id).emit('spectatorsUpdated', {
+        count: watching.length,
+        names: watching.map(s => s.name)
+    });
+}
+
+// Short, unambiguous room code that isn't in use
+function generateRoomCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code;
+    do {
+        code = Array.from({ length: 6 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+// Salted hash of a room password (the password itself is never kept)
+function hashRoomPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+    return { salt, hash };
+}
+
+// Rooms without a password let everyone in
+function checkRoomPassword(room, password) {
+    if (!room.password) return true;
+    if (typeof password !== 'string' || !password) return false;
+    
+    const expected = Buffer.from(room.password.hash, 'hex');
+    const given = crypto.scryptSync(password, room.password.salt, 32);
+    return crypto.timingSafeEqual(given, expected);
+}
+
+// Create an empty room with the host's chosen settings (the creator joins it straight after).
+// Resolves to { success, room } or { success: false, code, key, params, message }.
+async function createRoom(options = {}) {
+    if (rooms.size >= MAX_ROOMS) {
+        return { success: false, code: 'SERVER_FULL', ...localized('error.serverFull') };
+    }
+    
+    let roomId = typeof options.room === 'string' ? options.room.trim() : '';
+    if (roomId) {
+        if (!/^[\w-]{1,10}$/.test(roomId)) {
+            return { success: false, code: 'INVALID_PAYLOAD', ...localized('error.badRoomCode') };
+        }
+        if (rooms.has(roomId) || !(await claimRoomId(roomId))) {
+            return { success: false, code: 'ROOM_EXISTS', ...localized('error.roomExists') };
+        }
+    } else {
+        // A generated code can still clash with a room on another node
+        do {
+            roomId = generateRoomCode();
+        } while (!(await claimRoomId(roomId)));
+    }
+    
+    const room = initializeRoom(roomId, options);
+    rooms.set(roomId, room);
+    saveRoom(room);
+    
+    logWithRoom(roomId, `Created ${room.visibility} room${room.password ? ' with password' : ''} (${room.rules.label})`);
+    return { success: true, room };
+}
+
+// Take ownership of an unused room code; false if another node has it or a saved room already uses it
+async function claimRoomId(roomId) {
+    if (!(await sharedState.claimRoom(roomId))) return false;
+    if (await store.load(roomId)) {
+        // Someone's saved room (its node went away) - leave it for adoptRoom to pick up
+        await sharedState.releaseRoom(roomId);
+        return false;
+    }
+    return true;
+}
+
+// Public rooms still open to join or watch, for the lobby browser
+function getLobbyRooms() {
+    const lobby = [];
+    
+    for (const room of rooms.values()) {
+        if (room.visibility !== 'public' || room.readOnly || room.gameState === 'completed') continue;
         
-        const existingPlayerIndex = room.players.findIndex(p => 
-            p && p.name === playerData.name && !p.connected
-        );
+        const host = room.players.find(p => p && p.isHost);
+        lobby.push({
+            roomId: room.id,
+            host: host ? host.name : null,
+            gameState: room.gameState,
+            hasPassword: !!room.password,
+            locked: !!room.locked,
+            seatsFree: {
+                A: TEAM_SEATS.A.filter(pos => !room.players[pos]).length,
+                B: TEAM_SEATS.B.filter(pos => !room.players[pos]).length
+            },
+            players: room.players.filter(p => p !== null).length,
+            rules: room.rules.label,
+            rulesPreset: room.rules.preset,
+            turnTimeLimit: room.turnTimeLimit,
+            spectatorMode: room.spectatorMode,
+            spectatorCount: getSpectators(room.id).size,
+            createdAt: room.createdAt
+        });
+    }
+    
+    return sortLobby(lobby);
+}
+
+// Rooms waiting for players first, then the newest
+function sortLobby(lobby) {
+    return lobby.sort((a, b) => (a.gameState === 'waiting' ? 0 : 1) - (b.gameState === 'waiting' ? 0 : 1) ||
+        b.createdAt - a.createdAt);
+}
+
+// Ask every other node for its answer to a server-side event and add ours (single node: just ours)
+function collectFromNodes(event, local) {
+    if (!IS_CLUSTER_WORKER) return Promise.resolve([local]);
+    return io.serverSideEmitWithAck(event)
+        .catch(err => err.responses || []) // Nodes that answered in time
+        .then(responses => [local, ...responses]);
+}
+
+function getClusterLobbyRooms() {
+    return collectFromNodes('lobbyRooms', getLobbyRooms()).then(lists => sortLobby([].concat(...lists)));
+}
+
+// Add player to room with team selection
+function addPlayerToRoom(roomId, playerData, preferredTeam, isReconnect = false) {
+    const room = rooms.get(roomId);
+    if (!room) {
+        return { success: false, code: 'ROOM_NOT_FOUND', ...localized('error.roomNotFound') };
+    }
+    if (room.readOnly) {
+        return { success: false, code: 'READ_ONLY', ...localized('error.readOnly') };
+    }
+    room.lastActivity = Date.now();
+    
+    // If reconnecting, the session token decides which seat (if any) is reclaimed
+    if (isReconnect) {
+        const existingPlayerIndex = verifySessionToken(room, playerData.sessionToken);
+        const existingPlayer = room.players[existingPlayerIndex];
         
-        if (existingPlayerIndex !== -1) {
+        if (existingPlayer && !existingPlayer.connected) {
             // Reconnect to existing slot
-            logWithRoom(roomId, `Found disconnected player "${playerData.name}" at position ${existingPlayerIndex}`);
-            room.players[existingPlayerIndex].id = playerData.id;
-            room.players[existingPlayerIndex].connected = true;
-            room.players[existingPlayerIndex].lastSeen = Date.now();
+            logWithRoom(roomId, `Session token matched ${existingPlayer.name} at position ${existingPlayerIndex}`,
+                { player: existingPlayer.name, seat: existingPlayerIndex });
+            existingPlayer.id = playerData.id;
+            existingPlayer.connected = true;
+            existingPlayer.lastSeen = Date.now();
+            
+            // Take the seat back from the stand-in (if one had taken over)
+            cancelTakeover(roomId, existingPlayerIndex);
+            existingPlayer.autoPlay = false;
             
             // Update player tracking
             playerSockets.set(playerData.id, roomId);
             
-            console.log(`Player ${playerData.name} reconnected to position ${existingPlayerIndex}`);
+            const sessionToken = issueSessionToken(roomId, existingPlayerIndex, existingPlayer);
+            saveRoom(room);
             
             return { 
                 success: true, 
                 room, 
                 position: existingPlayerIndex,
-                isReconnection: true 
+                isReconnection: true,
+                sessionToken
             };
+        } else if (existingPlayer) {
+            return { success: false, code: 'SEAT_TAKEN', ...localized('error.seatTaken') };
         } else {
-            console.log(`No disconnected player found with name "${playerData.name}"`);
-            // If trying to reconnect but no slot found, check if name is already connected
-            const connectedPlayerIndex = room.players.findIndex(p => 
-                p && p.name === playerData.name && p.connected
-            );
-            
-            if (connectedPlayerIndex !== -1) {
-                console.log(`Player "${playerData.name}" is already connected at position ${connectedPlayerIndex}`);
-                return { success: false, message: 'Player with this name is already connected' };
-            }
-            
-            console.log(`No existing player found with name "${playerData.name}", falling back to normal join`);
+            logWithRoom(roomId, 'No valid session token - joining as a new player', { player: playerData.name });
             // Fall through to normal join process
         }
     }
     
+    // Password-protected rooms (a valid session token above is enough to get back in)
+    if (!checkRoomPassword(room, playerData.password)) {
+        return { success: false, code: 'WRONG_PASSWORD', ...localized('error.wrongPassword'), needsPassword: true };
+    }
+    
+    if (room.locked) {
+        return { success: false, code: 'ROOM_LOCKED', ...localized('error.roomLocked'), canSpectate: true };
+    }
+    
+    if (!playerData.accountId && accounts.isRegistered(playerData.name)) {
+        return { success: false, code: 'NAME_RESERVED', ...localized('error.nameReserved') };
+    }
+    
     // Find position for preferred team
     const position = findPositionForTeam(room, preferredTeam);
     
     if (position === -1) {
-        return { success: false, message: 'Room is full' };
+        return { success: false, code: 'ROOM_FULL', ...localized('error.roomFull'), canSpectate: true };
     }
     
     // Check if name is already taken by connected player
     const existingPlayers = room.players.filter(p => p !== null && p.connected);
     if (existingPlayers.some(p => p.name === playerData.name)) {
-        return { success: false, message: 'Name already taken' };
+        return { success: false, code: 'NAME_TAKEN', ...localized('error.nameTaken') };
     }
     
     room.players[position] = {
         id: playerData.id,
         name: playerData.name,
-        team: getTeamForPosition(position),
+        team: getTeamForSeat(position),
         hand: [],
         connected: true,
         position: position,
-        lastSeen: Date.now()
+        lastSeen: Date.now(),
+        accountId: playerData.accountId || null, // Set when the player is logged in
+        isHost: !room.players.some(p => p && p.isHost) // First human in becomes the host
     };
+    const sessionToken = issueSessionToken(roomId, position, room.players[position]);
     
     // Update player tracking
     playerSockets.set(playerData.id, roomId);
     
-    logWithRoom(roomId, `Player ${playerData.name} joined at position ${position} (Team ${getTeamForPosition(position)})`);
+    logWithRoom(roomId, `Player ${playerData.name} joined at position ${position} (Team ${getTeamForSeat(position)})`,
+        { player: playerData.name, seat: position });
+    saveRoom(room);
     
-    return { success: true, room, position, isReconnection: false };
+    return { success: true, room, position, isReconnection: false, sessionToken };
+}
+
+// The room's hand as an engine state (see engine.js), so every deal, trump call and card goes
+// through applyAction. Between hands the room waits in trump_selection with nothing dealt yet,
+// which is the engine's hand_complete.
+function getGameState(room) {
+    return {
+        phase: room.gameState === 'trump_selection' && awaitingDeal(room) ? 'hand_complete' : room.gameState,
+        rules: room.rules,
+        round: room.round,
+        dealer: room.dealer,
+        trumpCaller: room.trumpSelector,
+        currentPlayer: room.currentPlayerIndex,
+        trump: room.trump,
+        hands: room.players.map(p => (p && p.hand) || []),
+        deck: room.deck,
+        currentTrick: room.currentTrick.map(({ playerIndex, card }) => ({ playerIndex, card })),
+        lastTrick: [], // Kept on the room by seat for the last trick display
+        tricksWon: room.tricksWon,
+        scores: room.scores,
+        carriedPoints: room.carriedPoints,
+        lastResult: null
+    };
+}
+
+// Apply an engine action to the room and copy the new state back. Returns applyAction's
+// result; on failure the room is left as it was.
+function applyGameAction(room, action) {
+    const result = applyAction(getGameState(room), action);
+    if (!result.success) return result;
+    
+    const state = result.state;
+    room.gameState = state.phase === 'hand_complete' ? 'trump_selection' : state.phase;
+    room.round = state.round;
+    room.dealer = state.dealer;
+    room.trumpSelector = state.trumpCaller;
+    room.currentPlayerIndex = state.currentPlayer;
+    room.trump = state.trump;
+    room.deck = state.deck;
+    room.currentTrick = state.currentTrick.map(({ playerIndex, card }) => ({ playerIndex, playerName: room.players[playerIndex].name, card }));
+    room.tricksWon = state.tricksWon;
+    room.scores = state.scores;
+    room.carriedPoints = state.carriedPoints;
+    room.players.forEach((player, seat) => {
+        if (player) player.hand = state.hands[seat];
+    });
+    return result;
 }
 
 // Start game
@@ -499,12 +1424,18 @@ function startGame(roomId) {
     
     logWithRoom(roomId, 'Starting game');
     
-    room.gameState = 'trump_selection';
+    room.gameState = 'waiting';
     room.currentRoundIndex = 0;
-    room.currentPlayerIndex = 0; // First player selects trump
-    room.trumpSelector = 0; // Track who selects trump
+    room.round = 0; // The first deal makes it hand 1
+    room.dealer = 3; // First deal puts seat 0 on the dealer's right to call trump
+    room.trump = null;
+    room.deck = [];
+    room.currentTrick = [];
     room.scores = { teamA: 0, teamB: 0 };
+    room.carriedPoints = 0;
     room.tricksWon = [0, 0, 0, 0];
+    room.matchId = `${roomId}-${Date.now()}`;
+    room.matchHistory = [];
     room.lastActivity = Date.now();
     
     // Deal initial cards for trump selection (4 cards each)
@@ -513,391 +1444,1066 @@ function startGame(roomId) {
     return true;
 }
 
-// Deal cards for trump selection
+// Deal the first packet of 4 cards to each player, around from the dealer
 function dealCardsForTrumpSelection(room) {
-    const deck = shuffleDeck(createDeck());
-    room.deck = deck;
+    // Commit to the shuffle before any cards go out; the seed is revealed when the hand ends
+    const seed = createSeed();
+    const deck = shuffleDeck(createDeck(), seed);
+    const result = applyGameAction(room, { type: 'deal', deck });
+    if (!result.success) {
+        logWithRoom(room.id, 'Could not deal', { reason: result.message, gameState: room.gameState }, 'error');
+        return;
+    }
+    startHandRecord(room, seed, deck);
+    io.to(room.id).emit('shuffleCommitted', getShuffleCommitment(room));
+    
+    const dealer = room.players[room.dealer];
+    const trumpSelector = room.players[room.currentPlayerIndex];
+    logWithRoom(room.id, `${dealer ? dealer.name : 'Dealer'} dealt 4 cards each - ${trumpSelector ? trumpSelector.name : 'nobody'} to call trump`);
+    saveRoom(room);
+    shareHandsWithSpectators(room, 'deal');
+}
+
+// Begin recording a hand: the shuffled deck, its seed and who dealt and calls
+function startHandRecord(room, seed, deck) {
+    room.currentHand = {
+        handNumber: room.round,
+        dealer: room.dealer,
+        trumpCaller: room.currentPlayerIndex,
+        deck: deck.map(card => ({ ...card })),
+        seed, // Secret until the hand is over
+        commitment: commitSeed(seed),
+        players: room.players.map(p => p ? p.name : null),
+        trump: null,
+        hands: null, // Each seat's 8 cards once the deal is complete
+        plays: [], // Every card in order
+        tricks: [], // Each completed trick and its winner
+        result: null,
+        startedAt: Date.now(),
+        completedAt: null
+    };
+}
+
+// Close the hand record and add it to the match history
+function finishHandRecord(room, roundResult) {
+    const hand = room.currentHand;
+    if (!hand) return;
+    
+    hand.result = { ...roundResult };
+    hand.scoresAfter = { ...room.scores };
+    hand.completedAt = Date.now();
+    room.matchHistory.push(hand);
+    handDuration.observe((hand.completedAt - hand.startedAt) / 1000);
+    room.currentHand = null;
+    
+    // Reveal the seed so everyone can check it against the commitment and rebuild the deck
+    if (hand.seed) {
+        io.to(room.id).emit('shuffleRevealed', {
+            handNumber: hand.handNumber,
+            dealer: hand.dealer,
+            seed: hand.seed,
+            commitment: hand.commitment
+        });
+    }
+}
+
+// The published commitment for the hand in progress (never the seed)
+function getShuffleCommitment(room) {
+    const hand = room.currentHand;
+    return hand ? { handNumber: hand.handNumber, dealer: hand.dealer, commitment: hand.commitment } : null;
+}
+
+// Start the game once all four seats are filled, connected and ready
+function maybeStartGame(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    
+    // Every seat filled and connected, and every human has pressed ready
+    const allReady = room.players.every(p => p && p.connected && (p.isBot || p.ready));
+    if (allReady && room.gameState === 'waiting') {
+        if (startGame(roomId)) {
+            promptTrumpSelection(room);
+        }
+    }
+}
+
+// Trump prompt wording for a normal deal, the first deal of a new game and a resumed game
+const TRUMP_PROMPT_KEYS = {
+    '': { select: 'trump.select', waiting: 'trump.waiting' },
+    newGame: { select: 'trump.selectNewGame', waiting: 'trump.waitingNewGame' },
+    resumed: { select: 'trump.selectResumed', waiting: 'trump.waitingResumed' },
+    welcomeBack: { select: 'trump.selectWelcomeBack', waiting: 'trump.waiting' }
+};
+
+// Ask the trump selector to choose and tell everyone else to wait (reason is a TRUMP_PROMPT_KEYS key)
+function promptTrumpSelection(room, reason = '') {
+    if (room.gameState !== 'trump_selection') return; // Resuming a paused game prompts again
+    if (awaitingDeal(room)) return; // Prompted once the next hand is dealt
+    
+    const trumpSelector = room.players[room.currentPlayerIndex];
+    if (!trumpSelector || !(trumpSelector.connected || isAutomated(trumpSelector))) return;
     
-    // Only deal 4 cards to the trump selector (current player)
+    io.to(trumpSelector.id).emit('canSelectTrump', {
+        hand: trumpSelector.hand,
+        ...localized(TRUMP_PROMPT_KEYS[reason].select),
+        dealer: room.dealer,
+        trumpCaller: room.currentPlayerIndex
+    });
+    
+    // Notify others to wait
+    room.players.forEach((player, index) => {
+        if (player && player.connected && index !== room.currentPlayerIndex) {
+            io.to(player.id).emit('waitingForTrump', {
+                ...localized(TRUMP_PROMPT_KEYS[reason].waiting, { player: trumpSelector.name }),
+                trumpSelector: trumpSelector.name,
+                dealer: room.dealer,
+                trumpCaller: room.currentPlayerIndex
+            });
+        }
+    });
+    io.to(spectatorChannel(room.id)).emit('waitingForTrump', {
+        ...localized('trump.waiting', { player: trumpSelector.name }),
+        trumpSelector: trumpSelector.name,
+        dealer: room.dealer,
+        trumpCaller: room.currentPlayerIndex
+    });
+    
+    startTurnTimer(room);
+    scheduleBotTurn(room);
+}
+
+// Tell the current player it's their turn and update everyone else
+function promptCurrentPlayer(room, messageKey) {
+    if (room.gameState !== 'playing') return; // Resuming a paused game prompts again
+    
+    const currentPlayer = room.players[room.currentPlayerIndex];
+    if (!currentPlayer || !(currentPlayer.connected || isAutomated(currentPlayer))) return;
+    
+    const playableCards = getPlayableCards(currentPlayer.hand, room.currentTrick, room.trump);
+    
+    io.to(currentPlayer.id).emit('yourTurn', {
+        ...localized(messageKey),
+        playableCards: playableCards
+    });
+    
+    // Notify others
+    room.players.forEach((player, index) => {
+        if (player && player.connected && index !== room.currentPlayerIndex) {
+            io.to(player.id).emit('turnUpdate', {
+                currentPlayer: currentPlayer.name,
+                currentPlayerIndex: room.currentPlayerIndex
+            });
+        }
+    });
+    io.to(spectatorChannel(room.id)).emit('turnUpdate', {
+        currentPlayer: currentPlayer.name,
+        currentPlayerIndex: room.currentPlayerIndex
+    });
+    
+    startTurnTimer(room);
+    scheduleBotTurn(room);
+}
+
+// Is this seat played by the server? (a bot, or a stand-in for a disconnected player)
+function isAutomated(player) {
+    return !!(player && (player.isBot || player.autoPlay));
+}
+
+// Every seat has someone (or something) to play it
+function canResumeGame(room) {
+    return room.players.every(p => p && (p.connected || isAutomated(p)));
+}
+
+// The last hand is over but the next one isn't dealt yet (every card left in hand is a played null)
+function awaitingDeal(room) {
     const trumpSelector = room.players[room.currentPlayerIndex];
-    if (trumpSelector) {
-        trumpSelector.hand = deck.splice(0, 4);
+    return !trumpSelector || !trumpSelector.hand || trumpSelector.hand.every(card => !card);
+}
+
+// Continue a paused game from the phase it stopped in
+function resumeGame(room, messageKey, params) {
+    if (room.gameState !== 'paused' || !canResumeGame(room)) return;
+    
+    logWithRoom(room.id, 'Resuming game');
+    saveRoom(room);
+    
+    // Check if we were in trump selection (or between hands) or playing
+    if (room.trump === null || awaitingDeal(room)) {
+        // We were in trump selection phase
+        room.gameState = 'trump_selection';
+        
+        // Paused (or saved) in the pause between hands, before the next deal went out
+        if (awaitingDeal(room)) {
+            logWithRoom(room.id, 'Trump selector has no cards - dealing again', {}, 'warn');
+            dealCardsForTrumpSelection(room);
+        }
+        
+        promptTrumpSelection(room, 'resumed');
+    } else {
+        // We were in playing phase
+        room.gameState = 'playing';
+        
+        io.to(room.id).emit('gameResumed', localized(messageKey, params));
+        
+        promptCurrentPlayer(room, 'turn.resumed');
+    }
+}
+
+// Start the grace period after which a stand-in plays a disconnected seat
+function scheduleTakeover(room, position) {
+    const key = `${room.id}:${position}`;
+    clearTimeout(takeoverTimers.get(key));
+    
+    takeoverTimers.set(key, setTimeout(() => {
+        takeoverTimers.delete(key);
+        
+        const player = room.players[position];
+        if (rooms.get(room.id) !== room || !player || player.connected || player.autoPlay) return;
+        if (['playing', 'trump_selection', 'paused'].indexOf(room.gameState) === -1) return;
+        
+        // Nobody left at the table to play with - stay paused
+        if (!room.players.some(p => p && p.connected && !p.isBot)) return;
+        
+        player.autoPlay = true;
+        saveRoom(room);
+        logWithRoom(room.id, `Stand-in taking over for ${player.name} at position ${position}`, { player: player.name, seat: position });
+        
+        io.to(room.id).emit('playerReplaced', {
+            name: player.name,
+            position,
+            players: getPlayerList(room),
+            ...localized('game.standIn', { player: player.name })
+        });
+        
+        if (room.gameState === 'paused') {
+            resumeGame(room, 'game.resumedWithBot', { player: player.name });
+        } else {
+            scheduleBotTurn(room);
+        }
+    }, DISCONNECT_GRACE_PERIOD));
+}
+
+// Stop a pending takeover (player came back or the room closed)
+function cancelTakeover(roomId, position) {
+    const key = `${roomId}:${position}`;
+    clearTimeout(takeoverTimers.get(key));
+    takeoverTimers.delete(key);
+}
+
+// Let a bot act after its configured delay if it's the one to move
+function scheduleBotTurn(room) {
+    const player = room.players[room.currentPlayerIndex];
+    if (!isAutomated(player)) return;
+    if (room.gameState !== 'trump_selection' && room.gameState !== 'playing') return;
+    
+    const expectedState = room.gameState;
+    const expectedIndex = room.currentPlayerIndex;
+    
+    clearTimeout(botTimers.get(room.id));
+    botTimers.set(room.id, setTimeout(() => {
+        botTimers.delete(room.id);
+        
+        // Skip if the room closed or the table moved on meanwhile
+        if (rooms.get(room.id) !== room || room.gameState !== expectedState ||
+            room.currentPlayerIndex !== expectedIndex || !isAutomated(room.players[expectedIndex])) {
+            return;
+        }
+        
+        if (expectedState === 'trump_selection') {
+            applyTrumpSelection(room, expectedIndex, chooseBotTrump(player.hand));
+        } else {
+            applyCardPlay(room, expectedIndex, chooseBotCard(player.hand, room.currentTrick, room.trump, expectedIndex));
+        }
+    }, player.botDelay || BOT_MOVE_DELAY));
+}
+
+// Start the current player's turn clock and tell every client how long they have
+function startTurnTimer(room) {
+    clearTurnTimer(room);
+    
+    const player = room.players[room.currentPlayerIndex];
+    if (!room.turnTimeLimit || isAutomated(player)) return; // Bots keep their own pace
+    
+    const duration = room.turnTimeLimit * 1000;
+    const expectedState = room.gameState;
+    const expectedIndex = room.currentPlayerIndex;
+    room.turnDeadline = Date.now() + duration;
+    
+    io.to(room.id).emit('turnTimer', {
+        playerIndex: expectedIndex,
+        duration,
+        remaining: duration
+    });
+    
+    turnTimers.set(room.id, setTimeout(() => {
+        turnTimers.delete(room.id);
+        room.turnDeadline = null;
+        
+        if (rooms.get(room.id) !== room || room.gameState !== expectedState ||
+            room.currentPlayerIndex !== expectedIndex) {
+            return;
+        }
+        
+        logWithRoom(room.id, `${player.name} ran out of time - auto-playing`, { player: player.name, seat: expectedIndex });
+        io.to(room.id).emit('turnTimeout', {
+            playerIndex: expectedIndex,
+            ...localized('turn.timedOut', { player: player.name })
+        });
+        
+        if (expectedState === 'trump_selection') {
+            applyTrumpSelection(room, expectedIndex, chooseBotTrump(player.hand));
+        } else {
+            applyCardPlay(room, expectedIndex, chooseBotCard(player.hand, room.currentTrick, room.trump, expectedIndex));
+        }
+    }, duration));
+}
+
+// Stop the turn clock (move made, game paused or room closed)
+function clearTurnTimer(room) {
+    clearTimeout(turnTimers.get(room.id));
+    turnTimers.delete(room.id);
+    
+    if (room.turnDeadline) {
+        room.turnDeadline = null;
+        io.to(room.id).emit('turnTimer', { playerIndex: -1, duration: 0, remaining: 0 });
+    }
+}
+
+// Record the trump choice, deal the rest of the cards and start the first trick.
+// False if the engine refuses the call (e.g. nothing dealt yet).
+function applyTrumpSelection(room, playerIndex, trump) {
+    const selector = room.players[playerIndex];
+    const result = applyGameAction(room, { type: 'selectTrump', seat: playerIndex, suit: trump });
+    if (!result.success) {
+        logWithRoom(room.id, 'Trump selection refused', { player: selector.name, seat: playerIndex, reason: result.message }, 'debug');
+        return false;
+    }
+    clearTurnTimer(room);
+    
+    logWithRoom(room.id, `${selector.name} selected ${trump} as trump`, { player: selector.name, seat: playerIndex, trump });
+    logWithRoom(room.id, 'Dealt second packet of 4 cards to all players after trump selection', {
+        hands: room.players.map(p => p ? p.hand : null)
+    }, 'debug');
+    room.lastActivity = Date.now();
+    saveRoom(room);
+    
+    // Notify all players of trump selection
+    io.to(room.id).emit('trumpSelected', {
+        by: selector.name,
+        trump,
+        ...localized('trump.selected', { player: selector.name, suit: trump })
+    });
+    
+    if (room.currentHand) {
+        room.currentHand.trump = trump;
+        room.currentHand.trumpCaller = playerIndex;
+        room.currentHand.hands = room.players.map(p => p ? p.hand.map(card => ({ ...card })) : []);
+    }
+    shareHandsWithSpectators(room, 'deal');
+    
+    // Send full hands to all players and start first trick
+    room.players.forEach((player, index) => {
+        if (!player) return;
+        
+        io.to(player.id).emit('fullHand', {
+            hand: player.hand,
+            position: index,
+            isYourTurn: false, // Initially false for all
+            trump: room.trump
+        });
+    });
+    
+    // The trump selector leads the first trick
+    promptCurrentPlayer(room, 'turn.leadFirst');
+    return true;
+}
+
+// Play an already validated card and advance the trick, round and game
+function applyCardPlay(room, playerIndex, cardIndex) {
+    const roomId = room.id;
+    const player = room.players[playerIndex];
+    const scoresBefore = room.scores;
+    const result = applyGameAction(room, { type: 'playCard', seat: playerIndex, cardIndex });
+    if (!result.success) {
+        logWithRoom(roomId, 'Card play refused', { player: player.name, seat: playerIndex, reason: result.message }, 'error');
+        return;
+    }
+    
+    clearTurnTimer(room);
+    room.lastActivity = Date.now();
+    saveRoom(room);
+    
+    let nextStep = () => promptCurrentPlayer(room, 'turn.yours');
+    let handResult = null;
+    result.events.forEach(event => {
+        if (event.type === 'cardPlayed') {
+            const card = event.card;
+            logWithRoom(roomId, 'Card played', { player: player.name, seat: playerIndex, card }, 'debug');
+            
+            if (room.currentHand) {
+                room.currentHand.plays.push({
+                    trick: room.currentHand.tricks.length + 1,
+                    playerIndex,
+                    playerName: player.name,
+                    card: { ...card }
+                });
+            }
+            
+            // Notify all players
+            io.to(roomId).emit('cardPlayed', {
+                player: player.name,
+                playerIndex,
+                card,
+                trickProgress: `${room.currentTrick.length || 4}/4 cards played`
+            });
+            shareHandsWithSpectators(room, 'play');
+        } else if (event.type === 'trickComplete') {
+            const winnerIndex = event.winner;
+            const winnerName = room.players[winnerIndex].name;
+            const trick = event.cards.map(({ playerIndex: seat, card }) => ({ playerIndex: seat, playerName: room.players[seat].name, card }));
+            logWithRoom(roomId, 'Trick won', { player: winnerName, seat: winnerIndex, trick: trick.map(t => t.card) }, 'debug');
+            
+            if (room.currentHand) {
+                room.currentHand.tricks.push({
+                    number: room.currentHand.tricks.length + 1,
+                    cards: trick.map(t => ({ ...t, card: { ...t.card } })),
+                    winnerIndex,
+                    winnerName
+                });
+            }
+            
+            // The last trick goes out indexed by seat, for the "last trick" display
+            const lastTrickArr = [null, null, null, null];
+            trick.forEach(t => {
+                lastTrickArr[t.playerIndex] = t;
+            });
+            room.lastTrick = lastTrickArr;
+            room.lastTrickWinner = winnerIndex;
+            
+            io.to(roomId).emit('trickComplete', {
+                winner: winnerName,
+                winnerIndex,
+                trickCards: room.currentTrick,
+                scores: scoresBefore,
+                tricksWon: room.tricksWon,
+                lastTrick: room.lastTrick // Emit last trick for history
+            });
+            shareHandsWithSpectators(room, 'trick');
+            
+            // Winner leads the next trick
+            nextStep = () => setTimeout(() => {
+                promptCurrentPlayer(room, 'turn.lead');
+            }, TRICK_PAUSE);
+        } else if (event.type === 'handComplete') {
+            handResult = event.result;
+            logWithRoom(roomId, `${getRoundMessage(event.result).message} - score ${room.scores.teamA}-${room.scores.teamB}`);
+            finishHandRecord(room, event.result);
+            if (room.gameState === 'completed') return; // gameOver follows instead
+            
+            io.to(roomId).emit('roundComplete', {
+                roundResult: event.result,
+                newScores: room.scores,
+                carriedPoints: room.carriedPoints,
+                nextDealer: room.dealer,
+                nextTrumpCaller: room.trumpSelector,
+                ...getRoundMessage(event.result)
+            });
+            
+            // Start next game (unless the room closed, or a player who reconnected in the pause resumed it with a deal)
+            const round = room.round;
+            nextStep = () => setTimeout(() => {
+                if (rooms.get(roomId) !== room || room.gameState !== 'trump_selection' || room.round !== round || !awaitingDeal(room)) return;
+                dealCardsForTrumpSelection(room);
+                promptTrumpSelection(room, 'newGame');
+            }, TRICK_PAUSE);
+        } else if (event.type === 'matchComplete') {
+            const finalWinner = `Team ${event.winningTeam}`;
+            const gameOver = {
+                winner: finalWinner,
+                finalScores: { ...room.scores },
+                roundResult: handResult,
+                ...localized('game.over', {
+                    team: event.winningTeam,
+                    points: Math.max(room.scores.teamA, room.scores.teamB)
+                })
+            };
+            
+            // Stats and ratings for logged-in players
+            gamesCompleted.inc();
+            accounts.recordMatch(
+                room.players.map(p => p ? { accountId: p.accountId || null, isBot: !!p.isBot } : null),
+                room.matchHistory,
+                event.winningTeam
+            ).catch(err => {
+                logWithRoom(roomId, 'Failed to record match', { err }, 'error');
+                return [];
+            }).then(ratingChanges => {
+                io.to(roomId).emit('gameOver', { ...gameOver, ratingChanges });
+            });
+            
+            // Clean up room after delay unless the host starts a rematch
+            nextStep = () => setTimeout(() => {
+                if (rooms.get(roomId) === room && room.gameState === 'completed') cleanupRoom(roomId);
+            }, REMATCH_WINDOW);
+        }
+    });
+    nextStep();
+}
+
+// Summary of a finished hand, as a localized message
+function getRoundMessage(roundResult) {
+    if (roundResult.isDraw) {
+        const tricks = { teamA: roundResult.teamATricks, teamB: roundResult.teamBTricks };
+        return roundResult.carriedPoints > 0 ?
+            localized('round.drawnCarried', { ...tricks, points: roundResult.carriedPoints }) :
+            localized('round.drawn', tricks);
+    }
+    
+    const params = { team: roundResult.winningTeam, points: roundResult.pointsAwarded };
+    if (roundResult.carriedPointsWon > 0) {
+        return localized('round.wonWithCarried', { ...params, carried: roundResult.carriedPointsWon });
+    }
+    return localized('round.won', params);
+}
+
+// Requests from other nodes (see collectFromNodes)
+io.on('lobbyRooms', callback => callback(getLobbyRooms()));
+io.on('adminRooms', callback => callback(getAdminNodeSummary()));
+io.on('adminConfig', config => {
+    MAX_ROOMS = config.maxRooms;
+    PLAYER_TIMEOUT = Math.round(config.playerTimeoutMinutes * 60 * 1000);
+    logger.info('Settings changed on another node', config);
+});
+
+// Socket connection handling
+// Handshake failures never reach a socket
+io.engine.on('connection_error', err => {
+    socketErrors.inc({ kind: 'connection' });
+    logger.warn('Connection error', { code: err.code, reason: err.message });
+});
+
+io.on('connection', (socket) => {
+    logger.debug('Socket connected', { socket: socket.id, ip: socket.handshake.address });
+    
+    socket.on('error', err => {
+        socketErrors.inc({ kind: 'socket' });
+        logger.warn('Socket error', { socket: socket.id, err });
+    });
+    
+    const clientAddress = getClientAddress(socket);
+    
+    // Errors always carry a code from validation.js ERROR_CODES and a message key from i18n.js;
+    // flags such as needsPassword go alongside
+    function sendError(code, messageKey, params = {}, flags = {}) {
+        socket.emit('error', { code, ...localized(messageKey, params), ...flags });
+    }
+    
+    // Every event is rate limited and checked against its schema before a handler sees it;
+    // handlers get the cleaned payload (trimmed strings, unknown fields removed)
+    socket.use((packet, next) => {
+        const [event, payload] = packet;
+        if (!socketEventLimiter.allow(socket.id) || !addressEventLimiter.allow(clientAddress)) {
+            logger.debug('Rate limited socket event', { socket: socket.id, ip: clientAddress, event });
+            sendError('RATE_LIMITED', 'error.rateLimited');
+            return;
+        }
+        
+        const schema = EVENT_SCHEMAS[event];
+        if (!schema) {
+            sendError('UNKNOWN_EVENT', 'error.unknownEvent', { event: String(event).slice(0, 50) });
+            return;
+        }
+        
+        const result = validatePayload(schema, payload);
+        if (!result.valid) {
+            logger.debug('Rejected socket event payload', { socket: socket.id, event, field: result.field, reason: result.message });
+            sendError('INVALID_PAYLOAD', 'error.invalidPayload', { field: result.field, reason: result.message }, { field: result.field });
+            return;
+        }
+        
+        packet[1] = result.value;
+        
+        // Rooms live on one node; pick up an orphaned saved room here, refuse one another node serves
+        const roomId = event !== 'createRoom' && result.value.room;
+        if (!roomId || rooms.has(roomId)) {
+            next();
+            return;
+        }
+        adoptRoom(roomId).then(servedHere => {
+            if (servedHere) {
+                next();
+            } else {
+                sendError('WRONG_NODE', 'error.wrongNode', {}, { room: roomId });
+            }
+        }).catch(err => {
+            logWithRoom(roomId, 'Failed to adopt room', { err }, 'error');
+            sendError('SERVER_ERROR', 'error.openRoomFailed');
+        });
+    });
+
+    // Join a room, or reclaim a seat with the session token from an earlier join
+    function joinRoom({ room: roomId, name, team, isReconnect, sessionToken, password, authToken }) {
+        logWithRoom(roomId, `${name} attempting to ${isReconnect ? 'reconnect to' : 'join'} for team ${team}`, { player: name });
+        
+        if (spectatorSockets.has(socket.id)) {
+            sendError('ALREADY_IN_ROOM', 'error.spectatorCannotSit');
+            return;
+        }
+        
+        // Logged-in players always play under their account name
+        const account = authToken ? accounts.verifyToken(authToken) : null;
+        if (authToken && !account) {
+            sendError('LOGIN_EXPIRED', 'error.loginExpired', {}, { loginExpired: true });
+            return;
+        }
+        if (account) name = account.username;
+
+        // Try to add (or re-add) the player (room options only apply if this creates the room)
+        const result = addPlayerToRoom(roomId, { id: socket.id, name, sessionToken, password, accountId: account ? account.id : null },
+            team === 'B' ? 'B' : 'A', isReconnect);
+        if (!result.success) {
+            sendError(result.code, result.key, result.params, { canSpectate: !!result.canSpectate, needsPassword: !!result.needsPassword });
+            return;
+        }
+
+        const room = result.room;
+        const position = result.position;
+        name = room.players[position].name; // A reclaimed seat keeps its original name
+        
+        // Client keeps this to reclaim the seat after a disconnect
+        socket.emit('sessionToken', { room: roomId, position, token: result.sessionToken });
+        
+        // Store room info on socket for cleanup
+        socket.roomId = roomId;
+        socket.playerName = name;
+        socket.join(roomId);
+
+        // --- RECONNECTION BRANCH ---
+        if (result.isReconnection) {
+            reconnects.inc();
+            logWithRoom(roomId, `${name} reconnected to position ${position}`, { player: name, seat: position });
+
+            // Get comprehensive game state for this player
+            const gameState = getFullGameStateForPlayer(room, position);
+            
+            if (gameState) {
+                // Send complete game state to reconnected player
+                logWithRoom(roomId, 'Sending full game state', {
+                    player: name,
+                    seat: position,
+                    gameState: gameState.gameState,
+                    hand: gameState.hand,
+                    isYourTurn: gameState.isYourTurn
+                }, 'debug');
+                
+                socket.emit('gameInProgress', gameState);
+            }
+
+            // Notify other players of reconnection
+            socket.to(roomId).emit('playerRejoined', { 
+                name, 
+                position,
+                gameState: room.gameState,
+                players: getPlayerList(room)
+            });
+
+            // Resume game if it was paused
+            if (room.gameState === 'paused') {
+                resumeGame(room, 'game.resumedAfterReconnect', { player: name });
+            } else if (room.currentPlayerIndex === position) {
+                // Took the seat back from a stand-in on their own turn: the stand-in won't move now,
+                // so ask them and start their clock
+                if (room.gameState === 'trump_selection') {
+                    promptTrumpSelection(room, 'welcomeBack');
+                } else if (room.gameState === 'playing') {
+                    promptCurrentPlayer(room, 'turn.yours');
+                }
+            }
+            
+            return;
+        }
+
+        // --- NEW JOIN BRANCH (your existing logic) ---
+        io.to(roomId).emit('playerJoined', {
+            name,
+            playerCount: room.players.filter(p => p && p.connected).length,
+            players: getPlayerList(room),
+            rules: room.rules,
+            turnTimeLimit: room.turnTimeLimit,
+            spectatorCount: getSpectators(roomId).size
+        });
+
+        // If you have exactly 4 players, kick off your startGame/deal/trump flow:
+        maybeStartGame(roomId);
+    }
+
+    socket.on('joinRoom', joinRoom);
+
+    // Create a room as its host, then take a seat in it
+    socket.on('createRoom', ({ room: requestedRoomId, name, team, visibility, password, turnTime, rules, spectatorMode, authToken }) => {
+        if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+            sendError('ALREADY_IN_ROOM', 'error.alreadyInRoom');
+            return;
+        }
+        if (!authToken && accounts.isRegistered(name)) {
+            sendError('NAME_RESERVED', 'error.nameReserved');
+            return;
+        }
+        
+        const limited = checkRoomCreationLimit(clientAddress);
+        if (limited) {
+            logger.info('Room creation limited', { ip: clientAddress, code: limited.code });
+            sendError(limited.code, limited.key, limited.params);
+            return;
+        }
+        
+        createRoom({ room: requestedRoomId, visibility, password, turnTime, rules, spectatorMode }).then(result => {
+            if (!result.success) {
+                sendError(result.code, result.key, result.params);
+                return;
+            }
+            
+            const room = result.room;
+            roomCreators.set(room.id, clientAddress);
+            socket.emit('roomCreated', {
+                room: room.id,
+                visibility: room.visibility,
+                hasPassword: !!room.password
+            });
+            
+            joinRoom({ room: room.id, name, team, password, authToken });
+        }).catch(err => {
+            logger.error('Failed to create room', { err });
+            sendError('SERVER_ERROR', 'error.createRoomFailed');
+        });
+    });
+
+    // Lobby browser
+    socket.on('listRooms', () => {
+        getClusterLobbyRooms().then(lobby => socket.emit('roomList', { rooms: lobby }));
+    });
+
+    // The room and its host if this socket is the host, otherwise tells them why not
+    function getHostRequest(roomId, errorKey) {
+        const room = rooms.get(roomId);
+        const requester = room && room.players.find(p => p && p.id === socket.id);
+        if (!requester || !requester.isHost) {
+            sendError('NOT_HOST', errorKey);
+            return {};
+        }
+        return { room, requester };
+    }
+
+    // Host adds a computer player to an empty seat in the lobby
+    socket.on('addBot', ({ room: roomId, team, delay }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyAddBots');
+        if (!room) return;
+        
+        if (room.gameState !== 'waiting') {
+            sendError('WRONG_STATE', 'error.botsBeforeStart');
+            return;
+        }
+        
+        const position = findPositionForTeam(room, team === 'B' ? 'B' : 'A');
+        if (position === -1) {
+            sendError('ROOM_FULL', 'error.roomFull');
+            return;
+        }
+        
+        const bot = createBotPlayer(roomId, position, delay);
+        room.players[position] = bot;
+        room.lastActivity = Date.now();
+        saveRoom(room);
+        
+        logWithRoom(roomId, `${requester.name} added ${bot.name} at position ${position} (Team ${bot.team}, ${bot.botDelay}ms delay)`);
+        
+        io.to(roomId).emit('playerJoined', {
+            name: bot.name,
+            playerCount: room.players.filter(p => p && p.connected).length,
+            players: getPlayerList(room),
+            rules: room.rules,
+            turnTimeLimit: room.turnTimeLimit,
+            spectatorCount: getSpectators(roomId).size
+        });
+        
+        maybeStartGame(roomId);
+    });
+
+    // Host removes a computer player from the lobby
+    socket.on('removeBot', ({ room: roomId, position }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyRemoveBots');
+        if (!room) return;
+        
+        if (room.gameState !== 'waiting') {
+            sendError('WRONG_STATE', 'error.removeBotsBeforeStart');
+            return;
+        }
+        
+        const bot = room.players[position];
+        if (!bot || !bot.isBot) {
+            sendError('NO_SUCH_PLAYER', 'error.noBotInSeat');
+            return;
+        }
+        
+        room.players[position] = null;
+        room.lastActivity = Date.now();
+        saveRoom(room);
+        
+        logWithRoom(roomId, `${requester.name} removed ${bot.name} from position ${position}`);
         
-        // Clear other players' hands
-        room.players.forEach((player, index) => {
-            if (player && index !== room.currentPlayerIndex) {
-                player.hand = [];
-            }
+        io.to(roomId).emit('botRemoved', {
+            name: bot.name,
+            position,
+            players: getPlayerList(room)
         });
-        
-        logWithRoom(room.id, `Dealt 4 cards to trump selector ${trumpSelector.name} for trump selection`);
-    }
-}
+    });
 
-// Deal remaining cards after trump selection
-function dealRemainingCards(room) {
-    logWithRoom(room.id, 'Dealing 8 cards to all players after trump selection');
-    
-    // Deal 8 cards to each player
-    room.players.forEach((player, index) => {
-        if (!player) return;
+    // Host removes a player (mid-game a bot finishes their cards)
+    socket.on('kickPlayer', ({ room: roomId, position }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyRemovePlayers');
+        if (!room) return;
         
-        if (index === room.currentPlayerIndex) {
-            // Trump selector already has 4 cards, give them 4 more
-            const currentCards = player.hand.filter(card => card !== null).length;
-            console.log(`${player.name} (trump selector): currently has ${currentCards} cards`);
-            
-            const newCards = room.deck.splice(0, 4);
-            player.hand.push(...newCards);
-            console.log(`Dealt 4 additional cards to ${player.name}. Total: ${player.hand.length}`);
+        const player = room.players[position];
+        if (!player || player.isBot) {
+            sendError('NO_SUCH_PLAYER', 'error.noPlayerInSeat');
+            return;
+        }
+        if (player === requester) {
+            sendError('NO_SUCH_PLAYER', 'error.cannotRemoveSelf');
+            return;
+        }
+        
+        const replacedByBot = kickPlayer(room, position);
+        room.lastActivity = Date.now();
+        saveRoom(room);
+        
+        logWithRoom(roomId, `${requester.name} removed ${player.name} from position ${position}`);
+        broadcastPlayers(room, replacedByBot ? 'players.removedByHostBot' : 'players.removedByHost', { player: player.name });
+        
+        if (room.gameState === 'paused') {
+            resumeGame(room, 'game.resumedAfterRemoval', { player: player.name });
         } else {
-            // Other players get full 8 cards
-            player.hand = room.deck.splice(0, 8);
-            console.log(`Dealt 8 cards to ${player.name}. Total: ${player.hand.length}`);
+            scheduleBotTurn(room);
         }
     });
-    
-    console.log(`Deck cards remaining: ${room.deck.length}`);
-}
 
-// Check if game round is complete and handle scoring
-function checkRoundComplete(room) {
-    // In Omi, each player gets 8 cards, so there are exactly 8 tricks per game
-    const tricksExpected = 8;
-    const tricksPlayed = room.tricksWon.reduce((a, b) => a + b, 0);
-    
-    console.log(`Game check: ${tricksPlayed}/${tricksExpected} tricks played`);
-    
-    if (tricksPlayed >= tricksExpected) {
-        // Game complete - calculate team scores
-        const teamATricks = room.tricksWon[0] + room.tricksWon[2];
-        const teamBTricks = room.tricksWon[1] + room.tricksWon[3];
+    // Host swaps two seats before the game starts (players change team with the seat)
+    socket.on('swapSeats', ({ room: roomId, from, to }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyMovePlayers');
+        if (!room) return;
         
-        console.log(`Game complete. Team A: ${teamATricks} tricks, Team B: ${teamBTricks} tricks`);
-        console.log(`Trump was selected by player ${room.trumpSelector}`);
+        if (room.gameState !== 'waiting') {
+            sendError('WRONG_STATE', 'error.seatsBeforeStart');
+            return;
+        }
+        if (![0, 1, 2, 3].includes(from) || ![0, 1, 2, 3].includes(to) || from === to ||
+            (!room.players[from] && !room.players[to])) {
+            sendError('INVALID_PAYLOAD', 'error.pickTwoSeats');
+            return;
+        }
         
-        // Determine trump team and defending team
-        const trumpTeam = getTeamForPosition(room.trumpSelector);
-        const defendingTeam = trumpTeam === 'A' ? 'B' : 'A';
+        swapSeats(room, from, to);
+        room.lastActivity = Date.now();
+        saveRoom(room);
         
-        console.log(`Trump team: Team ${trumpTeam}, Defending team: Team ${defendingTeam}`);
+        logWithRoom(roomId, `${requester.name} swapped seats ${from} and ${to}`);
+        broadcastPlayers(room, 'players.seatsRearranged');
+    });
+
+    // Host stops (or allows) new players joining
+    socket.on('setRoomLocked', ({ room: roomId, locked }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyLock');
+        if (!room) return;
         
-        // Scoring logic (authentic Omi rules)
-        let pointsAwarded = 0;
-        let winningTeam = null;
+        room.locked = !!locked;
+        room.lastActivity = Date.now();
+        saveRoom(room);
         
-        if (teamATricks > teamBTricks) {
-            // Team A won more tricks
-            winningTeam = 'A';
-            if (defendingTeam === 'A' && teamATricks === tricksExpected) {
-                // Defending team swept all tricks - 2 points
-                pointsAwarded = 2;
-                console.log('Defending team (A) swept all tricks - 2 points!');
-            } else {
-                // Normal win - 1 point
-                pointsAwarded = 1;
-                console.log('Team A won majority - 1 point');
-            }
-            room.scores.teamA += pointsAwarded;
-        } else if (teamBTricks > teamATricks) {
-            // Team B won more tricks
-            winningTeam = 'B';
-            if (defendingTeam === 'B' && teamBTricks === tricksExpected) {
-                // Defending team swept all tricks - 2 points
-                pointsAwarded = 2;
-                console.log('Defending team (B) swept all tricks - 2 points!');
-            } else {
-                // Normal win - 1 point
-                pointsAwarded = 1;
-                console.log('Team B won majority - 1 point');
-            }
-            room.scores.teamB += pointsAwarded;
+        logWithRoom(roomId, `${requester.name} ${room.locked ? 'locked' : 'unlocked'} the room`);
+        broadcastPlayers(room, room.locked ? 'players.roomLocked' : 'players.roomUnlocked');
+    });
+
+    // Host starts a new match with the same seats once the last one is over
+    socket.on('startRematch', ({ room: roomId }) => {
+        const { room, requester } = getHostRequest(roomId, 'error.hostOnlyRematch');
+        if (!room) return;
+        
+        if (room.gameState !== 'completed') {
+            sendError('WRONG_STATE', 'error.rematchAfterGame');
+            return;
         }
-        // Tie = no points awarded
         
-        console.log(`Final scores after game: Team A: ${room.scores.teamA}, Team B: ${room.scores.teamB}`);
+        resetForRematch(room);
+        saveRoom(room);
         
-        // Check if someone has won the match (typically first to 10 tokens in Omi)
-        const targetScore = 10;
-        if (room.scores.teamA >= targetScore || room.scores.teamB >= targetScore) {
-            room.gameState = 'completed';
-            return { 
-                roundComplete: true, 
-                gameComplete: true, 
-                roundResult: {
-                    winningTeam,
-                    pointsAwarded,
-                    teamATricks,
-                    teamBTricks,
-                    trumpTeam,
-                    defendingTeam
-                }
-            };
-        } else {
-            // Start next game (new deal, new trump selection)
-            room.tricksWon = [0, 0, 0, 0];
-            room.currentTrick = [];
-            room.trump = null;
-            room.gameState = 'trump_selection';
-            room.currentPlayerIndex = (room.currentPlayerIndex + 1) % 4; // Next player selects trump
-            room.trumpSelector = room.currentPlayerIndex; // Update trump selector
-            return { 
-                roundComplete: true, 
-                gameComplete: false,
-                roundResult: {
-                    winningTeam,
-                    pointsAwarded,
-                    teamATricks,
-                    teamBTricks,
-                    trumpTeam,
-                    defendingTeam
-                }
-            };
-        }
-    }
-    
-    return { roundComplete: false, gameComplete: false };
-}
-
-// Socket connection handling
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
-
-    socket.on('joinRoom', ({ room: roomId, name, team, isReconnect }) => {
-        logWithRoom(roomId, `${name} attempting to ${isReconnect ? 'reconnect to' : 'join'} for team ${team}`);
+        logWithRoom(roomId, `${requester.name} started a rematch`);
+        io.to(roomId).emit('rematchStarted', {
+            players: getPlayerList(room),
+            scores: room.scores,
+            ...localized('game.rematch', { player: requester.name })
+        });
+        
+        maybeStartGame(roomId); // Only bots left to wait for
+    });
 
-        // Try to add (or re-add) the player
-        const result = addPlayerToRoom(roomId, { id: socket.id, name }, team, isReconnect);
-        if (!result.success) {
-            socket.emit('error', { message: result.message });
+    // Players confirm they're ready; the game starts once every seat is
+    socket.on('setReady', ({ room: roomId, ready }) => {
+        const room = rooms.get(roomId);
+        const player = room && room.players.find(p => p && p.id === socket.id);
+        if (!player) {
+            sendError('NOT_SEATED', 'error.notSeated');
+            return;
+        }
+        if (room.gameState !== 'waiting') {
+            sendError('WRONG_STATE', 'error.alreadyStarted');
             return;
         }
-
-        const room = result.room;
-        const position = result.position;
         
-        // Store room info on socket for cleanup
-        socket.roomId = roomId;
-        socket.playerName = name;
-        socket.join(roomId);
-
-        // --- RECONNECTION BRANCH ---
-        if (result.isReconnection) {
-            console.log(`${name} reconnected to position ${position}`);
-
-            // Get comprehensive game state for this player
-            const gameState = getFullGameStateForPlayer(room, position);
-            
-            if (gameState) {
-                // Send complete game state to reconnected player
-                console.log(`Sending full game state to reconnected player ${name}`);
-                console.log('Game state being sent:', {
-                    gameState: gameState.gameState,
-                    trump: gameState.trump,
-                    handSize: gameState.hand.length,
-                    isYourTurn: gameState.isYourTurn,
-                    playableCards: gameState.playableCards,
-                    currentTrick: gameState.currentTrick.length
-                });
-                
-                socket.emit('gameInProgress', gameState);
-            }
-
-            // Notify other players of reconnection
-            socket.to(roomId).emit('playerRejoined', { 
-                name, 
-                position,
-                gameState: room.gameState 
-            });
+        player.ready = !!ready;
+        room.lastActivity = Date.now();
+        saveRoom(room);
+        
+        broadcastPlayers(room);
+        maybeStartGame(roomId);
+    });
 
-            // Resume game if it was paused
-            const connectedPlayers = room.players.filter(p => p && p.connected).length;
-            if (room.gameState === 'paused' && connectedPlayers >= 4) {
-                console.log(`All players reconnected. Resuming game. Previous state: ${room.gameState}`);
-                
-                // Check if we were in trump selection or playing
-                if (room.trump === null) {
-                    // We were in trump selection phase
-                    room.gameState = 'trump_selection';
-                    console.log('Resuming trump selection phase');
-                    
-                    // Send trump selection to the trump selector
-                    const trumpSelector = room.players[room.currentPlayerIndex];
-                    if (trumpSelector && trumpSelector.connected) {
-                        console.log(`Sending trump selection to ${trumpSelector.name}`);
-                        
-                        // Make sure trump selector has cards
-                        if (!trumpSelector.hand || trumpSelector.hand.length === 0) {
-                            console.log('Trump selector has no cards, dealing new cards');
-                            dealCardsForTrumpSelection(room);
-                        }
-                        
-                        io.to(trumpSelector.id).emit('canSelectTrump', {
-                            hand: trumpSelector.hand,
-                            message: `Game resumed - Select trump suit from your 4 cards`
-                        });
-                        
-                        // Notify others to wait
-                        room.players.forEach((player, index) => {
-                            if (player && player.connected && index !== room.currentPlayerIndex) {
-                                io.to(player.id).emit('waitingForTrump', {
-                                    message: `Game resumed - Waiting for ${trumpSelector.name} to select trump`,
-                                    trumpSelector: trumpSelector.name
-                                });
-                            }
-                        });
-                    }
-                } else {
-                    // We were in playing phase
-                    room.gameState = 'playing';
-                    console.log('Resuming playing phase');
-                    
-                    io.to(roomId).emit('gameResumed', { 
-                        message: `${name} reconnected. Game resumed!` 
-                    });
-                    
-                    // If it's the reconnected player's turn, send turn notification
-                    if (room.currentPlayerIndex === position) {
-                        const playableCards = getPlayableCards(
-                            room.players[position].hand, 
-                            room.currentTrick, 
-                            room.trump
-                        );
-                        
-                        socket.emit('yourTurn', {
-                            message: 'Your turn! (Game resumed)',
-                            playableCards: playableCards
-                        });
-                    }
-                }
-            }
-            
+    // Table or team chat from a seated player
+    socket.on('chatMessage', ({ room: roomId, text, channel }) => {
+        const room = rooms.get(roomId);
+        const position = room ? room.players.findIndex(p => p && p.id === socket.id) : -1;
+        if (position === -1) {
+            sendError('NOT_SEATED', 'error.chatNotSeated');
+            return;
+        }
+        
+        const cleanText = cleanMessage(text);
+        if (!cleanText) return;
+        
+        if (!chatLimiter.allow(socket.id)) {
+            sendError('RATE_LIMITED', 'error.chatTooFast');
             return;
         }
+        
+        const player = room.players[position];
+        room.lastActivity = Date.now();
+        addChatMessage(room, {
+            id: crypto.randomBytes(6).toString('hex'),
+            from: player.name,
+            position,
+            team: player.team,
+            channel: channel === 'team' ? 'team' : 'table',
+            text: cleanText,
+            at: Date.now()
+        });
+    });
 
-        // --- NEW JOIN BRANCH (your existing logic) ---
-        const playerList = room.players.map((p, i) => p ? {
-            name: p.name, team: p.team, position: i, connected: p.connected
-        } : null);
+    // Canned reaction shown as a bubble by the player's seat
+    socket.on('sendReaction', ({ room: roomId, reaction }) => {
+        const room = rooms.get(roomId);
+        const position = room ? room.players.findIndex(p => p && p.id === socket.id) : -1;
+        if (position === -1 || !QUICK_REACTIONS[reaction]) return;
+        
+        if (!chatLimiter.allow(socket.id)) {
+            sendError('RATE_LIMITED', 'error.chatTooFast');
+            return;
+        }
+        
+        io.to(roomId).emit('reaction', {
+            position,
+            name: room.players[position].name,
+            reaction,
+            text: QUICK_REACTIONS[reaction]
+        });
+    });
 
-        io.to(roomId).emit('playerJoined', {
-            name,
-            playerCount: room.players.filter(p => p && p.connected).length,
-            players: playerList
+    // Completed hands of the current match, for review and replay
+    socket.on('getHandHistory', ({ room: roomId }) => {
+        const room = rooms.get(roomId);
+        if (!room || !room.players.some(p => p && p.id === socket.id)) {
+            sendError('NOT_SEATED', 'error.historyNotSeated');
+            return;
+        }
+        
+        socket.emit('handHistory', {
+            matchId: room.matchId,
+            hands: room.matchHistory
         });
+    });
 
-        // If you have exactly 4 players, kick off your startGame/deal/trump flow:
-        if (room.players.filter(p => p && p.connected).length === 4 && room.gameState === 'waiting') {
-            if (startGame(roomId)) {
-                // Send trump selection cards to the trump selector
-                const trumpSelector = room.players[room.currentPlayerIndex];
-                if (trumpSelector && trumpSelector.connected) {
-                    io.to(trumpSelector.id).emit('canSelectTrump', {
-                        hand: trumpSelector.hand,
-                        message: `Select trump suit from your 4 cards`
-                    });
-                    
-                    // Notify others to wait
-                    room.players.forEach((player, index) => {
-                        if (player && player.connected && index !== room.currentPlayerIndex) {
-                            io.to(player.id).emit('waitingForTrump', {
-                                message: `Waiting for ${trumpSelector.name} to select trump`,
-                                trumpSelector: trumpSelector.name
-                            });
-                        }
-                    });
-                }
-            }
+    // Watch a room without taking a seat
+    socket.on('spectateRoom', ({ room: roomId, name, password }) => {
+        const room = rooms.get(roomId);
+        if (!room || room.readOnly) {
+            sendError('ROOM_NOT_FOUND', 'error.roomNotFound');
+            return;
+        }
+        
+        if (playerSockets.has(socket.id) || spectatorSockets.has(socket.id)) {
+            sendError('ALREADY_IN_ROOM', 'error.alreadyInRoom');
+            return;
+        }
+        
+        if (!checkRoomPassword(room, password)) {
+            sendError('WRONG_PASSWORD', 'error.wrongPassword', {}, { needsPassword: true });
+            return;
+        }
+        
+        const spectatorName = name || 'Spectator';
+        if (!spectators.has(roomId)) spectators.set(roomId, new Map());
+        spectators.get(roomId).set(socket.id, { name: spectatorName, joinedAt: Date.now() });
+        spectatorSockets.set(socket.id, roomId);
+        
+        socket.join(roomId);
+        socket.join(spectatorChannel(roomId));
+        
+        logWithRoom(roomId, `${spectatorName} is now spectating (${room.spectatorMode} mode)`);
+        
+        socket.emit('spectating', getSpectatorState(room));
+        notifySpectatorCount(room);
+        
+        if (room.spectatorMode === 'delayed' && room.gameState !== 'waiting') {
+            shareHandsWithSpectators(room, 'join');
         }
     });
 
     // Explicit rejoin alias
-    socket.on('rejoinRoom', ({ room: roomId, name, team }) => {
-        console.log(`${name} explicitly trying to rejoin room ${roomId}`);
-        socket.emit('joinRoom', { room: roomId, name, team, isReconnect: true });
+    socket.on('rejoinRoom', ({ room: roomId, name, team, sessionToken, authToken }) => {
+        joinRoom({ room: roomId, name, team, isReconnect: true, sessionToken, authToken });
     });
 
     socket.on('selectTrump', ({ room: roomId, trump }) => {
         const room = rooms.get(roomId);
         if (!room || room.gameState !== 'trump_selection') {
-            socket.emit('error', { message: 'Cannot select trump now' });
+            sendError('WRONG_STATE', 'error.cannotSelectTrump');
             return;
         }
         
         const playerIndex = room.players.findIndex(p => p && p.id === socket.id);
         if (playerIndex !== room.currentPlayerIndex) {
-            socket.emit('error', { message: 'Not your turn to select trump' });
+            sendError('NOT_YOUR_TURN', 'error.notYourTrumpTurn');
             return;
         }
         
-        logWithRoom(roomId, `${socket.playerName} selected ${trump} as trump`);
-        
-        room.trump = trump;
-        room.trumpSelector = playerIndex; // Record who selected trump
-        room.gameState = 'playing';
-        room.lastActivity = Date.now();
-        
-        // Notify all players of trump selection
-        io.to(roomId).emit('trumpSelected', {
-            by: socket.playerName,
-            trump,
-            message: `${socket.playerName} selected ${trump} as trump`
-        });
-        
-        // Deal remaining cards
-        dealRemainingCards(room);
-        
-        // Send full hands to all players and start first trick
-        room.players.forEach((player, index) => {
-            if (!player) return;
-            
-            io.to(player.id).emit('fullHand', {
-                hand: player.hand,
-                position: index,
-                isYourTurn: false, // Initially false for all
-                trump: room.trump
-            });
-        });
-        
-        // Set the trump selector as the first to play
-        const currentPlayer = room.players[room.currentPlayerIndex];
-        if (currentPlayer) {
-            const playableCards = getPlayableCards(currentPlayer.hand, room.currentTrick, room.trump);
-            
-            console.log(`${currentPlayer.name} to play first. Playable cards:`, playableCards);
-            
-            io.to(currentPlayer.id).emit('yourTurn', {
-                message: 'Your turn! You lead the first trick.',
-                playableCards: playableCards
-            });
-            
-            // Notify others about whose turn it is
-            room.players.forEach((player, index) => {
-                if (player && index !== room.currentPlayerIndex) {
-                    io.to(player.id).emit('turnUpdate', {
-                        currentPlayer: currentPlayer.name,
-                        currentPlayerIndex: room.currentPlayerIndex
-                    });
-                }
-            });
+        if (!applyTrumpSelection(room, playerIndex, trump)) {
+            sendError('WRONG_STATE', 'error.cannotSelectTrump');
         }
     });
     
     socket.on('playCard', ({ room: roomId, cardIndex }) => {
         const room = rooms.get(roomId);
         if (!room || room.gameState !== 'playing') {
-            socket.emit('error', { message: 'Game not in playing state' });
+            sendError('WRONG_STATE', 'error.notPlaying');
             return;
         }
         
         const playerIndex = room.players.findIndex(p => p && p.id === socket.id);
         if (playerIndex === -1) {
-            socket.emit('error', { message: 'Player not found' });
+            sendError('NOT_SEATED', 'error.playerNotFound');
             return;
         }
         
         if (playerIndex !== room.currentPlayerIndex) {
-            socket.emit('error', { message: 'Not your turn' });
+            sendError('NOT_YOUR_TURN', 'error.notYourTurn');
             return;
         }
         
@@ -905,186 +2511,48 @@ io.on('connection', (socket) => {
         const card = player.hand[cardIndex];
         
         if (!card) {
-            socket.emit('error', { message: 'Invalid card - card not found' });
+            sendError('INVALID_CARD', 'error.cardNotFound');
             return;
         }
         
         // Validate card play
         if (!isValidPlay(card, player.hand, room.currentTrick, room.trump)) {
-            console.log('Invalid play detected for:', `${card.rank} of ${card.suit}`);
+            logWithRoom(roomId, 'Rejected card that does not follow suit', { player: player.name, seat: playerIndex, card }, 'debug');
             
             // Provide helpful error message
             const leadSuit = room.currentTrick.length > 0 ? room.currentTrick[0].card.suit : null;
             const hasLeadSuit = leadSuit ? player.hand.some(c => c && c.suit === leadSuit) : false;
             
-            let errorMessage = 'Invalid card!';
             if (leadSuit && hasLeadSuit) {
-                errorMessage = `Must follow suit! You have ${leadSuit} cards.`;
+                sendError('MUST_FOLLOW_SUIT', 'error.mustFollowSuit', { suit: leadSuit });
+            } else {
+                sendError('INVALID_CARD', 'error.invalidCard');
             }
-            
-            socket.emit('error', { message: errorMessage });
             return;
         }
         
-        room.lastActivity = Date.now();
-        console.log(`${player.name} played ${card.rank} of ${card.suit}`);
-        
-        // Add card to current trick
-        room.currentTrick.push({
-            playerIndex,
-            playerName: player.name,
-            card
-        });
-        
-        // Remove card from player's hand
-        player.hand[cardIndex] = null;
-        
-        // Notify all players
-        const trickProgress = `${room.currentTrick.length}/4 cards played`;
-        io.to(roomId).emit('cardPlayed', {
-            player: player.name,
-            playerIndex,
-            card,
-            trickProgress
-        });
-        
-        // Check if trick is complete (4 cards played)
-        if (room.currentTrick.length === 4) {
-            // Determine winner
-            const winner = getTrickWinner(room.currentTrick, room.trump);
-            const winnerIndex = winner.playerIndex;
-            
-            console.log(`Trick won by ${winner.playerName} (player ${winnerIndex})`);
-            
-            // Update tricks won
-            room.tricksWon[winnerIndex]++;
-            
-            // Store trick cards for "last trick" display
-            // Ensure lastTrick is always an array of 4 elements, each at their player position
-            const lastTrickArr = [null, null, null, null];
-            room.currentTrick.forEach(t => {
-                lastTrickArr[t.playerIndex] = { ...t };
-            });
-            room.lastTrick = lastTrickArr;
-            
-            // Clear current trick
-            room.currentTrick = []; // ✅ This is critical - clear the trick
-            
-            // Set winner as next to play
-            room.currentPlayerIndex = winnerIndex;
-            room.lastTrickWinner = winnerIndex;
-            
-            // Notify all players of trick result
-            io.to(roomId).emit('trickComplete', {
-                winner: winner.playerName,
-                winnerIndex,
-                trickCards: room.currentTrick,
-                scores: room.scores,
-                tricksWon: room.tricksWon,
-                lastTrick: room.lastTrick // Emit last trick for history
-            });
-            
-            // Check if round/game is complete
-            const roundStatus = checkRoundComplete(room);
-            
-            if (roundStatus.gameComplete) {
-                // Game over
-                const finalWinner = room.scores.teamA > room.scores.teamB ? 'Team A' : 
-                                   room.scores.teamB > room.scores.teamA ? 'Team B' : 'Tie';
-                
-                io.to(roomId).emit('gameOver', {
-                    winner: finalWinner,
-                    finalScores: room.scores,
-                    roundResult: roundStatus.roundResult,
-                    message: `Game complete! ${finalWinner} wins with ${Math.max(room.scores.teamA, room.scores.teamB)} points!`
-                });
-                
-                // Clean up room after delay
-                setTimeout(() => cleanupRoom(roomId), 30000); // 30 second delay
-                
-            } else if (roundStatus.roundComplete) {
-                // Round complete - show round results
-                io.to(roomId).emit('roundComplete', {
-                    roundResult: roundStatus.roundResult,
-                    newScores: room.scores,
-                    message: `Round complete! Team ${roundStatus.roundResult.winningTeam} scored ${roundStatus.roundResult.pointsAwarded} point(s)`
-                });
-                
-                // Start next game
-                setTimeout(() => {
-                    dealCardsForTrumpSelection(room);
-                    
-                    const trumpSelector = room.players[room.currentPlayerIndex];
-                    if (trumpSelector && trumpSelector.connected) {
-                        io.to(trumpSelector.id).emit('canSelectTrump', {
-                            hand: trumpSelector.hand,
-                            message: `New game - Select trump suit`
-                        });
-                        
-                        room.players.forEach((player, index) => {
-                            if (player && player.connected && index !== room.currentPlayerIndex) {
-                                io.to(player.id).emit('waitingForTrump', {
-                                    message: `New game - Waiting for trump selection`,
-                                    trumpSelector: trumpSelector.name
-                                });
-                            }
-                        });
-                    }
-                }, 3000);
-                
-            } else {
-                // Continue with next trick - winner leads
-                setTimeout(() => {
-                    const nextPlayer = room.players[room.currentPlayerIndex];
-                    if (nextPlayer && nextPlayer.connected) {
-                        const playableCards = getPlayableCards(nextPlayer.hand, room.currentTrick, room.trump);
-                        
-                        io.to(nextPlayer.id).emit('yourTurn', {
-                            message: 'Your turn to lead!',
-                            playableCards: playableCards
-                        });
-                        
-                        // Notify others
-                        room.players.forEach((player, index) => {
-                            if (player && player.connected && index !== room.currentPlayerIndex) {
-                                io.to(player.id).emit('turnUpdate', {
-                                    currentPlayer: nextPlayer.name,
-                                    currentPlayerIndex: room.currentPlayerIndex
-                                });
-                            }
-                        });
-                    }
-                }, 3000);
-            }
-            
-        } else {
-            // Move to next player
-            room.currentPlayerIndex = (room.currentPlayerIndex + 1) % 4;
-            const nextPlayer = room.players[room.currentPlayerIndex];
-            
-            if (nextPlayer && nextPlayer.connected) {
-                const playableCards = getPlayableCards(nextPlayer.hand, room.currentTrick, room.trump);
-                
-                io.to(nextPlayer.id).emit('yourTurn', {
-                    message: 'Your turn!',
-                    playableCards: playableCards
-                });
-                
-                // Notify others
-                room.players.forEach((player, index) => {
-                    if (player && player.connected && index !== room.currentPlayerIndex) {
-                        io.to(player.id).emit('turnUpdate', {
-                            currentPlayer: nextPlayer.name,
-                            currentPlayerIndex: room.currentPlayerIndex
-                        });
-                    }
-                });
-            }
-        }
+        applyCardPlay(room, playerIndex, cardIndex);
     });
     
     socket.on('disconnect', (reason) => {
-        console.log(`Player disconnected: ${socket.id}, reason: ${reason}`);
+        logger.debug('Socket disconnected', { socket: socket.id, reason });
+        if (reason === 'transport error' || reason === 'ping timeout' || reason === 'parse error') {
+            socketErrors.inc({ kind: 'transport' });
+        }
+        chatLimiter.forget(socket.id);
+        socketEventLimiter.forget(socket.id);
+        
+        // Spectators just stop watching
+        const watchedRoomId = spectatorSockets.get(socket.id);
+        if (watchedRoomId) {
+            spectatorSockets.delete(socket.id);
+            getSpectators(watchedRoomId).delete(socket.id);
+            if (getSpectators(watchedRoomId).size === 0) spectators.delete(watchedRoomId);
+            
+            const watchedRoom = rooms.get(watchedRoomId);
+            if (watchedRoom) notifySpectatorCount(watchedRoom);
+            return;
+        }
         
         // Get room from player tracking
         const roomId = playerSockets.get(socket.id);
@@ -1099,8 +2567,9 @@ io.on('connection', (socket) => {
                     room.players[playerIndex].connected = false;
                     room.players[playerIndex].lastSeen = Date.now();
                     room.lastActivity = Date.now();
+                    saveRoom(room);
                     
-                    logWithRoom(roomId, `${playerName} disconnected from position ${playerIndex}`);
+                    logWithRoom(roomId, `${playerName} disconnected from position ${playerIndex}`, { player: playerName, seat: playerIndex, reason });
                     
                     // Count remaining connected players
                     const connectedPlayers = room.players.filter(p => p && p.connected);
@@ -1115,14 +2584,19 @@ io.on('connection', (socket) => {
                     
                     // Pause game if in progress and not enough players
                     if ((room.gameState === 'playing' || room.gameState === 'trump_selection') && connectedCount >= 1) {
-                        logWithRoom(roomId, `Pausing game. Current state: ${room.gameState}`);
+                        logWithRoom(roomId, 'Game paused - player disconnected', { player: playerName, previousState: room.gameState });
                         room.gameState = 'paused';
+                        clearTurnTimer(room);
                         io.to(roomId).emit('gameInterrupted', {
-                            message: `Game paused - ${playerName} disconnected`,
+                            ...localized('game.paused', { player: playerName }),
                             disconnectedPlayer: playerName
                         });
-                        
-                        console.log(`Game paused in room ${roomId} due to disconnection`);
+
+                    }
+                    
+                    // Let a stand-in play the seat if they don't come back in time
+                    if (room.gameState === 'playing' || room.gameState === 'trump_selection' || room.gameState === 'paused') {
+                        scheduleTakeover(room, playerIndex);
                     }
                     
                     // Set up cleanup timer (remove player after 5 minutes of inactivity)
@@ -1130,7 +2604,7 @@ io.on('connection', (socket) => {
                         checkRoomHealth(roomId);
                     }, PLAYER_TIMEOUT);
                 } else {
-                    console.log(`Disconnected player not found in room ${roomId}`);
+                    logWithRoom(roomId, 'Disconnected socket had no seat', { socket: socket.id }, 'debug');
                 }
             }
             
@@ -1140,18 +2614,20 @@ io.on('connection', (socket) => {
     });
 
     // Admin commands for monitoring (optional)
-    socket.on('getServerStats', () => {
-        if (socket.handshake.query.admin === 'true') {
-            socket.emit('serverStats', getRoomStats());
+    // Admin only: send { secret } or connect with auth: { adminSecret }
+    socket.on('getServerStats', (data) => {
+        const secret = (data && data.secret) || (socket.handshake.auth && socket.handshake.auth.adminSecret);
+        if (!isAdminSecret(secret)) {
+            logger.warn('Rejected admin request', { socket: socket.id, ip: socket.handshake.address, event: 'getServerStats' });
+            sendError('FORBIDDEN', 'error.adminDenied');
+            return;
         }
+        socket.emit('serverStats', getRoomStats());
     });
 });
 
 // Enhanced periodic cleanup with better performance
 setInterval(() => {
-    const stats = getRoomStats();
-    console.log(`🧹 Running cleanup... Rooms: ${stats.totalRooms}, Active: ${stats.activeRooms}, Players: ${stats.connectedPlayers}`);
-    
     const roomsToCheck = Array.from(rooms.keys());
     let cleaned = 0;
     
@@ -1161,93 +2637,139 @@ setInterval(() => {
         }
     }
     
-    if (cleaned > 0) {
-        console.log(`🧹 Cleaned up ${cleaned} rooms`);
+    [chatLimiter, socketEventLimiter, addressEventLimiter, roomCreationLimiter, accountLimiter].forEach(limiter => limiter.prune());
+    
+    // With several nodes, one of them per interval adopts saved rooms left behind by a node that
+    // went away; from then on they're cleaned up (or resumed) like any other room
+    if (sharedState.type !== 'memory') {
+        sharedState.tryLock('orphanSweep', ROOM_CLEANUP_INTERVAL)
+            .then(locked => locked ? store.loadAll().then(adoptSavedRooms) : 0)
+            .then(adopted => {
+                if (adopted > 0) logger.info('Adopted orphaned rooms', { count: adopted });
+            })
+            .catch(err => logger.error('Orphaned room sweep failed', { err }));
     }
     
-    console.log(`🧹 Cleanup complete. Active rooms: ${rooms.size}`);
+    logger[cleaned > 0 ? 'info' : 'debug']('Room cleanup complete', { cleaned, rooms: rooms.size });
 }, ROOM_CLEANUP_INTERVAL);
 
 // Server statistics logging
 setInterval(() => {
     const stats = getRoomStats();
-    console.log(`📊 Server Stats: ${stats.totalRooms} rooms (${stats.activeRooms} active), ${stats.connectedPlayers} players online`);
+    logger.info('Server stats', stats);
 }, 5 * 60 * 1000); // Every 5 minutes
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🎮 Omi Card Game Server running on port ${PORT}`);
-    console.log(`🌐 Access the game at: http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${__dirname}`);
-    console.log(`✅ Enhanced multi-room support enabled`);
-    console.log(`✅ Team-based seating: Team A (Top/Bottom) vs Team B (Left/Right)`);
-    console.log(`✅ Advanced reconnection system enabled`);
-    console.log(`✅ Room limits: ${MAX_ROOMS} max rooms`);
-    console.log(`✅ Auto-cleanup: ${PLAYER_TIMEOUT/1000/60} minutes for inactive players`);
-    console.log(`✅ Health monitoring: ${ROOM_CLEANUP_INTERVAL/1000/60} minute intervals`);
+
+// Bring back saved rooms before accepting connections
+Promise.all([
+    loadSavedRooms().catch(err => {
+        logger.error('Failed to restore saved rooms', { err });
+    }),
+    accounts.load().then(count => {
+        if (count > 0) logger.info('Loaded accounts', { count });
+    }).catch(err => {
+        logger.error('Failed to load accounts', { err });
+    })
+]).then(() => {
+    // Workers get their connections from the cluster primary instead of listening
+    if (IS_CLUSTER_WORKER) {
+        isReady = true;
+        logger.info('Omi Card Game worker ready', { pid: process.pid, rooms: rooms.size, storage: store.type });
+        return;
+    }
+    server.listen(PORT, onListening);
 });
 
+function onListening() {
+    isReady = true;
+    const port = server.address().port; // PORT=0 picks a free one
+    logger.info('Omi Card Game Server running', {
+        port,
+        url: `http://localhost:${port}`,
+        maxRooms: MAX_ROOMS,
+        playerTimeoutMinutes: PLAYER_TIMEOUT / 1000 / 60,
+        cleanupIntervalMinutes: ROOM_CLEANUP_INTERVAL / 1000 / 60,
+        storage: store.type,
+        logLevel: logger.level,
+        adminEnabled: !!ADMIN_SECRET
+    });
+    if (!process.env.SESSION_SECRET) {
+        logger.warn('SESSION_SECRET not set - reconnect tokens will not survive a restart');
+    }
+}
+
 // Enhanced graceful shutdown
 let isShuttingDown = false;
 
 process.on('SIGINT', () => {
+    // Ctrl+C reaches cluster workers as well as the primary, which also tells them to stop
+    // (and handles a second Ctrl+C itself)
+    if (IS_CLUSTER_WORKER) {
+        shutdown();
+        return;
+    }
     if (isShuttingDown) {
-        console.log('\n🔴 Force closing...');
+        logger.warn('Force closing');
         process.exit(1);
     }
-    
+    shutdown();
+});
+
+// Save everything and close (SIGINT, or the cluster primary asking its workers to stop)
+function shutdown() {
+    if (isShuttingDown) return;
     isShuttingDown = true;
-    console.log('\n🛑 Shutting down server...');
+    logger.info('Shutting down server', getRoomStats());
     
     // Notify all connected players about shutdown
-    const stats = getRoomStats();
-    console.log(`📊 Final stats: ${stats.totalRooms} rooms, ${stats.connectedPlayers} players`);
     
     for (const [roomId, room] of rooms) {
         room.players.forEach(player => {
             if (player && player.connected) {
-                io.to(player.id).emit('serverShutdown', {
-                    message: 'Server is shutting down. Please save your game state.'
-                });
+                io.to(player.id).emit('serverShutdown', localized('game.serverRestarting'));
             }
         });
     }
     
-    // Clear all tracking
-    playerSockets.clear();
-    rooms.clear();
-    
-    // Close all socket connections
-    io.close(() => {
-        console.log('📡 Socket.IO connections closed');
+    // Save every room, then clear all tracking (disconnects during close must not touch saved state)
+    Promise.all([saveAllRooms(), accounts.flush()]).catch(err => {
+        logger.error('Failed to save rooms on shutdown', { err });
+    }).then(() => {
+        logger.info('Saved rooms', { count: rooms.size });
+        playerSockets.clear();
+        rooms.clear();
         
-        // Close HTTP server
-        server.close(() => {
-            console.log('✅ Server closed gracefully');
-            process.exit(0);
+        // Close all socket connections
+        io.close(() => {
+            logger.info('Socket.IO connections closed');
+            
+            // Close HTTP server
+            server.close(() => {
+                logger.info('Server closed gracefully');
+                process.exit(0);
+            });
+            
+            // Force close if it takes too long
+            setTimeout(() => {
+                logger.warn('Force closing after timeout');
+                process.exit(1);
+            }, 5000);
         });
-        
-        // Force close if it takes too long
-        setTimeout(() => {
-            console.log('⏰ Force closing after timeout');
-            process.exit(1);
-        }, 5000);
     });
-});
+}
 
 // Enhanced error handling
 process.on('uncaughtException', (err) => {
-    console.error('❌ Uncaught Exception:', err);
+    // Server stats go with the crash report
+    logger.error('Uncaught exception', { err, stats: getRoomStats() });
     if (!isShuttingDown) {
-        // Log server stats before crash
-        const stats = getRoomStats();
-        console.error('📊 Server state at crash:', stats);
         process.exit(1);
     }
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+    logger.error('Unhandled rejection', { err: reason instanceof Error ? reason : String(reason) });
     if (!isShuttingDown) {
         process.exit(1);
     }
@@ -0,0 +1,72 @@
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"2024-01-01T12:00:00.000Z","level":"info","msg":"Player joined","room":"ABC123","player":"Alice","seat":0}
+//
+// LOG_LEVEL picks the lowest level written: debug, info (default), warn or error.
+// Hand contents are hidden information, so unless the logger is at debug level any field
+// named in HIDDEN_FIELDS (at any depth) is replaced by a card count.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const HIDDEN_FIELDS = ['hand', 'hands', 'deck', 'playableCards'];
+
+function countCards(value) {
+    if (!Array.isArray(value)) return value;
+    const flat = [].concat(...value.map(entry => Array.isArray(entry) ? entry : [entry]));
+    return `[${flat.filter(Boolean).length} cards hidden]`;
+}
+
+// Copy of `value` with hand contents replaced
+function redact(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 5) return value;
+    if (value instanceof Error) return { message: value.message, stack: value.stack };
+    if (Array.isArray(value)) return value.map(entry => redact(entry, depth + 1));
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = HIDDEN_FIELDS.includes(key) ? countCards(value[key]) : redact(value[key], depth + 1);
+    });
+    return copy;
+}
+
+// Errors don't serialize on their own
+function serializeErrors(fields) {
+    const copy = { ...fields };
+    Object.keys(copy).forEach(key => {
+        if (copy[key] instanceof Error) copy[key] = { message: copy[key].message, stack: copy[key].stack };
+    });
+    return copy;
+}
+
+function createLogger({ level = 'info', context = {}, write } = {}) {
+    const levelName = LEVELS[level] ? level : 'info';
+    const threshold = LEVELS[levelName];
+    const output = write || ((line, entryLevel) => {
+        (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+    });
+
+    function log(entryLevel, msg, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        const details = threshold <= LEVELS.debug ? serializeErrors(fields) : redact(fields);
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...context, ...details };
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (err) {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg, ...context, logError: err.message });
+        }
+        output(line, entryLevel);
+    }
+
+    return {
+        level: levelName,
+        isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        // Logger that adds the same context fields (e.g. { room }) to every line
+        child: extra => createLogger({ level: levelName, context: { ...context, ...extra }, write: output })
+    };
+}
+
+module.exports = { createLogger, redact, LEVELS };
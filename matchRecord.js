@@ -0,0 +1,471 @@
+// Portable match records: export a finished (or in-progress) match and load it back for review.
+//
+// JSON format ("omi-match", version 1):
+// {
+//   "format": "omi-match",
+//   "version": 1,
+//   "matchId": "room1-1700000000000",
+//   "roomId": "room1",
+//   "exportedAt": "2024-01-01T12:00:00.000Z",
+//   "rules": { "preset": "standard", "targetScore": 10, ... },    // Room rules object
+//   "players": [{ "seat": 0, "name": "Alice", "team": "A", "isBot": false }, ...],
+//   "hands": [{
+//     "handNumber": 1,
+//     "dealer": 3,                                                  // Seat index
+//     "trumpCaller": 0,
+//     "trump": "Spades",
+//     "deck": [{ "suit": "Spades", "rank": "A" }, ...],             // 32 cards as shuffled, top first
+//     "seed": "9f2c...", "commitment": "5be1...",                   // Shuffle seed and its sha256 (see shuffle.js)
+//     "hands": [[8 cards], [8 cards], [8 cards], [8 cards]],        // Per seat after the deal
+//     "tricks": [{ "number": 1, "plays": [{ "seat": 0, "card": {...} }, ...], "winner": 0 }, ...],
+//     "result": { "winningTeam": "A", "pointsAwarded": 1, "teamATricks": 5, "teamBTricks": 3, ... },
+//     "scores": { "teamA": 1, "teamB": 0 }                          // Match score after this hand
+//   }],
+//   "finalScores": { "teamA": 10, "teamB": 7 }
+// }
+//
+// Text notation (one header per line, then one block per hand; seats are P0-P3, cards are rank + suit symbol):
+//   [Format "omi-match/1"]
+//   [Match "room1-1700000000000"]
+//   [Room "room1"]
+//   [Exported "2024-01-01T12:00:00.000Z"]
+//   [Rules "standard" target=10 win=1 callerLoss=1 sweep=2 sweepFor=defenders carryDraws=yes drawCaller=next]
+//   [P0 "Alice" A]
+//   [P1 "🤖 Bot 2" B bot]
+//
+//   Hand 1: dealer P3, trump ♠ by P0
+//   Deck: A♠ 7♥ 10♦ ...
+//   Seed: 9f2c...
+//   Trick 1: A♠ by P0, 7♠ by P1, 9♠ by P2, K♠ by P3 -> P0
+//   Result: A +1 tricks 5-3 score 1-0
+//   Result: draw tricks 4-4 carried 1 score 0-0
+//
+// Hands are not written in the notation; they are re-dealt from the deck in Omi order
+// (4 cards each starting right of the dealer, then 4 more each).
+// When a hand has a seed, importing checks that the seed really produces its deck.
+
+const { commitSeed, verifyShuffle } = require('./shuffle');
+const { SUITS, RULE_PRESETS, createDeck } = require('./engine');
+
+const RECORD_FORMAT = 'omi-match';
+const RECORD_VERSION = 1;
+const MAX_NAME_LENGTH = 15; // As at the table
+const MAX_ID_LENGTH = 100; // Match and room ids, export timestamp
+
+const SUIT_SYMBOLS = { Hearts: '♥', Diamonds: '♦', Clubs: '♣', Spades: '♠' };
+const SYMBOL_SUITS = { '♥': 'Hearts', '♦': 'Diamonds', '♣': 'Clubs', '♠': 'Spades' };
+
+// Card object -> "A♠"
+function cardToText(card) {
+    return `${card.rank}${SUIT_SYMBOLS[card.suit]}`;
+}
+
+// "A♠" -> card object
+function textToCard(text) {
+    const match = /^(10|[7-9JQKA])([♥♦♣♠])$/.exec(text.trim());
+    if (!match) throw new Error(`Invalid card "${text}"`);
+    return { suit: SYMBOL_SUITS[match[2]], rank: match[1] };
+}
+
+// Rebuild each seat's 8 cards from the deck, dealing 4 then 4 around from the dealer's right
+function dealHandsFromDeck(deck, dealer) {
+    const hands = [[], [], [], []];
+    let next = 0;
+    for (let packet = 0; packet < 2; packet++) {
+        for (let offset = 1; offset <= 4; offset++) {
+            const seat = (dealer + offset) % 4;
+            hands[seat].push(...deck.slice(next, next + 4).map(card => ({ ...card })));
+            next += 4;
+        }
+    }
+    return hands;
+}
+
+// Build the JSON record for a room's match history
+function buildMatchRecord(room) {
+    return {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        matchId: room.matchId,
+        roomId: room.id,
+        exportedAt: new Date().toISOString(),
+        rules: { ...room.rules },
+        players: room.players.map((p, seat) => p ? {
+            seat,
+            name: p.name,
+            team: p.team,
+            isBot: !!p.isBot
+        } : null),
+        hands: room.matchHistory.map(hand => ({
+            handNumber: hand.handNumber,
+            dealer: hand.dealer,
+            trumpCaller: hand.trumpCaller,
+            trump: hand.trump,
+            deck: hand.deck.map(card => ({ ...card })),
+            seed: hand.seed || null,
+            commitment: hand.commitment || null,
+            hands: hand.hands,
+            tricks: hand.tricks.map(trick => ({
+                number: trick.number,
+                plays: trick.cards.map(t => ({ seat: t.playerIndex, card: { ...t.card } })),
+                winner: trick.winnerIndex
+            })),
+            result: { ...hand.result },
+            scores: { ...hand.scoresAfter }
+        })),
+        finalScores: { ...room.scores }
+    };
+}
+
+// Compact human-readable notation for a JSON record
+function formatMatchNotation(record) {
+    const rules = record.rules || {};
+    const lines = [
+        `[Format "${RECORD_FORMAT}/${RECORD_VERSION}"]`,
+        `[Match "${record.matchId}"]`,
+        `[Room "${record.roomId}"]`,
+        `[Exported "${record.exportedAt}"]`,
+        `[Rules "${rules.preset}" target=${rules.targetScore} win=${rules.winPoints} callerLoss=${rules.callerLossPoints} ` +
+            `sweep=${rules.sweepPoints} sweepFor=${rules.sweepScoring} carryDraws=${rules.carryDrawPoints ? 'yes' : 'no'} ` +
+            `drawCaller=${rules.drawTrumpCaller}]`
+    ];
+
+    record.players.forEach(player => {
+        if (player) {
+            lines.push(`[P${player.seat} "${player.name.replace(/"/g, "'")}" ${player.team}${player.isBot ? ' bot' : ''}]`);
+        }
+    });
+
+    record.hands.forEach(hand => {
+        const result = hand.result;
+        lines.push('');
+        lines.push(`Hand ${hand.handNumber}: dealer P${hand.dealer}, trump ${SUIT_SYMBOLS[hand.trump]} by P${hand.trumpCaller}`);
+        lines.push(`Deck: ${hand.deck.map(cardToText).join(' ')}`);
+        if (hand.seed) lines.push(`Seed: ${hand.seed}`);
+        hand.tricks.forEach(trick => {
+            const plays = trick.plays.map(play => `${cardToText(play.card)} by P${play.seat}`).join(', ');
+            lines.push(`Trick ${trick.number}: ${plays} -> P${trick.winner}`);
+        });
+
+        const tricks = `tricks ${result.teamATricks}-${result.teamBTricks}`;
+        const score = `score ${hand.scores.teamA}-${hand.scores.teamB}`;
+        lines.push(result.isDraw ?
+            `Result: draw ${tricks} carried ${result.carriedPoints} ${score}` :
+            `Result: ${result.winningTeam} +${result.pointsAwarded} ${tricks} ${score}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Parse the text notation back into a JSON record
+function parseMatchNotation(text) {
+    const record = {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        matchId: null,
+        roomId: null,
+        exportedAt: null,
+        rules: {},
+        players: [null, null, null, null],
+        hands: [],
+        finalScores: { teamA: 0, teamB: 0 }
+    };
+    let hand = null;
+
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const fail = message => {
+            throw new Error(`Line ${lineIndex + 1}: ${message}`);
+        };
+        let match;
+
+        if ((match = /^\[(Format|Match|Room|Exported) "(.*)"\]$/.exec(line))) {
+            if (match[1] === 'Format' && match[2] !== `${RECORD_FORMAT}/${RECORD_VERSION}`) fail(`unsupported format "${match[2]}"`);
+            if (match[1] === 'Match') record.matchId = match[2];
+            if (match[1] === 'Room') record.roomId = match[2];
+            if (match[1] === 'Exported') record.exportedAt = match[2];
+        } else if ((match = /^\[Rules "(\w+)"(.*)\]$/.exec(line))) {
+            const options = {};
+            match[2].trim().split(/\s+/).filter(Boolean).forEach(pair => {
+                const [key, value] = pair.split('=');
+                options[key] = value;
+            });
+            record.rules = {
+                preset: match[1],
+                targetScore: parseInt(options.target, 10),
+                winPoints: parseInt(options.win, 10),
+                callerLossPoints: parseInt(options.callerLoss, 10),
+                sweepPoints: parseInt(options.sweep, 10),
+                sweepScoring: options.sweepFor,
+                carryDrawPoints: options.carryDraws === 'yes',
+                drawTrumpCaller: options.drawCaller
+            };
+        } else if ((match = /^\[P([0-3]) "(.*)" ([AB])( bot)?\]$/.exec(line))) {
+            const seat = parseInt(match[1], 10);
+            record.players[seat] = { seat, name: match[2], team: match[3], isBot: !!match[4] };
+        } else if ((match = /^Hand (\d+): dealer P([0-3]), trump ([♥♦♣♠]) by P([0-3])$/.exec(line))) {
+            hand = {
+                handNumber: parseInt(match[1], 10),
+                dealer: parseInt(match[2], 10),
+                trumpCaller: parseInt(match[4], 10),
+                trump: SYMBOL_SUITS[match[3]],
+                deck: [],
+                hands: null,
+                tricks: [],
+                result: null,
+                scores: null
+            };
+            record.hands.push(hand);
+        } else if ((match = /^Deck: (.*)$/.exec(line))) {
+            if (!hand) fail('deck outside of a hand');
+            hand.deck = match[1].split(/\s+/).map(textToCard);
+            if (hand.deck.length !== 32) fail(`deck has ${hand.deck.length} cards, expected 32`);
+            hand.hands = dealHandsFromDeck(hand.deck, hand.dealer);
+        } else if ((match = /^Seed: ([0-9a-f]+)$/.exec(line))) {
+            if (!hand) fail('seed outside of a hand');
+            hand.seed = match[1];
+            hand.commitment = commitSeed(hand.seed);
+        } else if ((match = /^Trick (\d+): (.*) -> P([0-3])$/.exec(line))) {
+            if (!hand) fail('trick outside of a hand');
+            const plays = match[2].split(',').map(play => {
+                const playMatch = /^\s*(\S+) by P([0-3])\s*$/.exec(play);
+                if (!playMatch) fail(`invalid play "${play.trim()}"`);
+                return { seat: parseInt(playMatch[2], 10), card: textToCard(playMatch[1]) };
+            });
+            hand.tricks.push({ number: parseInt(match[1], 10), plays, winner: parseInt(match[3], 10) });
+        } else if ((match = /^Result: (?:(draw)|([AB]) \+(\d+)) tricks (\d+)-(\d+)(?: carried (\d+))? score (\d+)-(\d+)$/.exec(line))) {
+            if (!hand) fail('result outside of a hand');
+            const isDraw = !!match[1];
+            hand.result = {
+                winningTeam: isDraw ? null : match[2],
+                pointsAwarded: isDraw ? 0 : parseInt(match[3], 10),
+                teamATricks: parseInt(match[4], 10),
+                teamBTricks: parseInt(match[5], 10),
+                isDraw,
+                isSweep: Math.max(parseInt(match[4], 10), parseInt(match[5], 10)) === 8,
+                carriedPoints: isDraw ? parseInt(match[6], 10) || 0 : 0
+            };
+            hand.scores = { teamA: parseInt(match[7], 10), teamB: parseInt(match[8], 10) };
+            record.finalScores = { ...hand.scores };
+        } else {
+            fail(`unrecognised line "${line}"`);
+        }
+    });
+
+    return record;
+}
+
+// Every card in the pack as "A of Spades", to check imported cards against
+const PACK = new Set(createDeck().map(card => `${card.rank} of ${card.suit}`));
+
+// Checks for imported values. Each returns a clean copy or throws naming what was wrong.
+function checkCard(card, where) {
+    if (!card || typeof card !== 'object' || typeof card.rank !== 'string' || typeof card.suit !== 'string' ||
+        !PACK.has(`${card.rank} of ${card.suit}`)) {
+        throw new Error(`${where} has an invalid card`);
+    }
+    return { suit: card.suit, rank: card.rank };
+}
+
+// `count` different cards from the pack
+function checkCards(cards, count, where) {
+    if (!Array.isArray(cards) || cards.length !== count) throw new Error(`${where} must have ${count} cards`);
+    const checked = cards.map(card => checkCard(card, where));
+    if (new Set(checked.map(card => `${card.rank} of ${card.suit}`)).size !== count) {
+        throw new Error(`${where} has the same card twice`);
+    }
+    return checked;
+}
+
+function checkSeat(seat, where) {
+    if (!Number.isInteger(seat) || seat < 0 || seat > 3) throw new Error(`${where} must be a seat from 0 to 3`);
+    return seat;
+}
+
+function checkCount(value, max, where) {
+    if (!Number.isInteger(value) || value < 0 || value > max) throw new Error(`${where} must be a whole number from 0 to ${max}`);
+    return value;
+}
+
+function checkText(value, max, where) {
+    if (typeof value !== 'string' || value.length > max || /[\u0000-\u001f\u007f]/.test(value)) {
+        throw new Error(`${where} must be text of at most ${max} characters`);
+    }
+    return value;
+}
+
+function checkScores(scores, where) {
+    if (!scores || typeof scores !== 'object') throw new Error(`${where} is missing its scores`);
+    return { teamA: checkCount(scores.teamA, 1000, `${where} score`), teamB: checkCount(scores.teamB, 1000, `${where} score`) };
+}
+
+function checkPlayer(player, seat) {
+    if (player === null) return null;
+    const where = `Seat ${seat}`;
+    if (!player || typeof player !== 'object' || player.seat !== seat) throw new Error(`${where} is not a player`);
+    const name = checkText(player.name, MAX_NAME_LENGTH, `${where} name`);
+    if (!name.trim()) throw new Error(`${where} has no name`);
+    if (player.team !== 'A' && player.team !== 'B') throw new Error(`${where} team must be A or B`);
+    return { seat, name, team: player.team, isBot: player.isBot === true };
+}
+
+function checkResult(result, where) {
+    if (!result || typeof result !== 'object') throw new Error(`${where} is incomplete`);
+    const isDraw = result.isDraw === true;
+    if (!isDraw && result.winningTeam !== 'A' && result.winningTeam !== 'B') throw new Error(`${where} has no winning team`);
+    const team = value => (value === 'A' || value === 'B' ? value : null);
+    return {
+        winningTeam: isDraw ? null : result.winningTeam,
+        pointsAwarded: checkCount(result.pointsAwarded, 100, `${where} points`),
+        teamATricks: checkCount(result.teamATricks, 8, `${where} tricks`),
+        teamBTricks: checkCount(result.teamBTricks, 8, `${where} tricks`),
+        trumpTeam: team(result.trumpTeam),
+        defendingTeam: team(result.defendingTeam),
+        isSweep: result.isSweep === true,
+        isDraw,
+        carriedPointsWon: checkCount(result.carriedPointsWon || 0, 100, `${where} carried points`),
+        carriedPoints: checkCount(result.carriedPoints || 0, 100, `${where} carried points`)
+    };
+}
+
+// Just the rule settings; their values are checked by the server as for a new room
+function pickRules(rules) {
+    const picked = {};
+    if (!rules || typeof rules !== 'object') return picked;
+    ['preset'].concat(Object.keys(RULE_PRESETS.standard)).forEach(key => {
+        if (key !== 'label' && Object.prototype.hasOwnProperty.call(rules, key)) picked[key] = rules[key];
+    });
+    return picked;
+}
+
+function checkHand(hand, index) {
+    if (!hand || typeof hand !== 'object') throw new Error(`Hand ${index + 1} is not a hand`);
+    if (!Number.isInteger(hand.handNumber) || hand.handNumber < 1 || hand.handNumber > 1000) {
+        throw new Error(`Hand ${index + 1} has an invalid hand number`);
+    }
+    const handNumber = hand.handNumber;
+    const where = `Hand ${handNumber}`;
+    if (SUITS.indexOf(hand.trump) === -1) throw new Error(`${where} has no trump suit`);
+    if (!Array.isArray(hand.tricks) || hand.tricks.length > 8) throw new Error(`${where} is incomplete`);
+
+    const dealer = checkSeat(hand.dealer, `${where} dealer`);
+    const deck = checkCards(hand.deck, 32, `${where} deck`);
+    if (hand.seed !== undefined && hand.seed !== null && (typeof hand.seed !== 'string' || !/^[0-9a-f]{1,128}$/.test(hand.seed))) {
+        throw new Error(`${where} has an invalid shuffle seed`);
+    }
+    if (hand.seed && !verifyShuffle(createDeck(), deck, hand.seed, hand.commitment || commitSeed(hand.seed))) {
+        throw new Error(`${where} deck does not match its shuffle seed`);
+    }
+
+    let hands = null;
+    if (hand.hands !== undefined && hand.hands !== null) {
+        if (!Array.isArray(hand.hands) || hand.hands.length !== 4) throw new Error(`${where} must have 4 dealt hands`);
+        hands = hand.hands.map((cards, seat) => checkCards(cards, 8, `${where} seat ${seat} hand`));
+    }
+
+    return {
+        handNumber,
+        dealer,
+        trumpCaller: checkSeat(hand.trumpCaller, `${where} trump caller`),
+        trump: hand.trump,
+        deck,
+        seed: hand.seed || null,
+        commitment: hand.seed ? commitSeed(hand.seed) : null,
+        hands,
+        tricks: hand.tricks.map((trick, trickIndex) => {
+            const trickWhere = `${where} trick ${trickIndex + 1}`;
+            if (!trick || !Array.isArray(trick.plays) || trick.plays.length > 4) throw new Error(`${trickWhere} is not a trick`);
+            return {
+                number: trickIndex + 1,
+                plays: trick.plays.map(play => ({
+                    seat: checkSeat(play && play.seat, `${trickWhere} seat`),
+                    card: checkCard(play.card, trickWhere)
+                })),
+                winner: checkSeat(trick.winner, `${trickWhere} winner`)
+            };
+        }),
+        result: checkResult(hand.result, where),
+        scores: checkScores(hand.scores, where)
+    };
+}
+
+// Accept either the JSON format or the text notation and return a checked JSON record.
+// Only known fields are kept, so the record can go back out in exports and the replay viewer.
+function parseMatchRecord(input) {
+    const text = typeof input === 'string' ? input.trim() : null;
+    let record;
+
+    if (text === null) {
+        record = input;
+    } else if (text.startsWith('{')) {
+        try {
+            record = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON: ${err.message}`);
+        }
+    } else {
+        record = parseMatchNotation(text);
+    }
+
+    if (!record || record.format !== RECORD_FORMAT || record.version !== RECORD_VERSION) {
+        throw new Error(`Not an ${RECORD_FORMAT} v${RECORD_VERSION} record`);
+    }
+    if (!Array.isArray(record.players) || record.players.length !== 4 || !Array.isArray(record.hands)) {
+        throw new Error('Record must have 4 seats and a list of hands');
+    }
+    const optionalText = (value, where) => (value === undefined || value === null ? null : checkText(value, MAX_ID_LENGTH, where));
+
+    return {
+        format: RECORD_FORMAT,
+        version: RECORD_VERSION,
+        matchId: optionalText(record.matchId, 'Match id'),
+        roomId: optionalText(record.roomId, 'Room id'),
+        exportedAt: optionalText(record.exportedAt, 'Export time'),
+        rules: pickRules(record.rules),
+        players: record.players.map(checkPlayer),
+        hands: record.hands.map(checkHand),
+        finalScores: checkScores(record.finalScores, 'Match')
+    };
+}
+
+// Convert a record into the room's matchHistory shape (as recorded during play)
+function recordToHandHistory(record) {
+    const names = record.players.map(p => p ? p.name : null);
+
+    return record.hands.map(hand => ({
+        handNumber: hand.handNumber,
+        dealer: hand.dealer,
+        trumpCaller: hand.trumpCaller,
+        deck: hand.deck,
+        seed: hand.seed || null,
+        commitment: hand.commitment || null,
+        players: names,
+        trump: hand.trump,
+        hands: hand.hands || (hand.deck && hand.deck.length === 32 ? dealHandsFromDeck(hand.deck, hand.dealer) : null),
+        plays: [].concat(...hand.tricks.map(trick => trick.plays.map(play => ({
+            trick: trick.number,
+            playerIndex: play.seat,
+            playerName: names[play.seat],
+            card: play.card
+        })))),
+        tricks: hand.tricks.map(trick => ({
+            number: trick.number,
+            cards: trick.plays.map(play => ({ playerIndex: play.seat, playerName: names[play.seat], card: play.card })),
+            winnerIndex: trick.winner,
+            winnerName: names[trick.winner]
+        })),
+        result: hand.result,
+        scoresAfter: hand.scores
+    }));
+}
+
+module.exports = {
+    buildMatchRecord,
+    formatMatchNotation,
+    parseMatchRecord,
+    recordToHandHistory,
+    cardToText,
+    textToCard
+};
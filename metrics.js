@@ -0,0 +1,79 @@
+// Minimal Prometheus metrics in the text exposition format (no client library needed).
+//
+//   const metrics = createMetrics();
+//   const games = metrics.counter('omi_games_completed_total', 'Matches played to the end');
+//   games.inc();
+//   metrics.gauge('omi_rooms', 'Rooms by game state', () => [{ labels: { state: 'waiting' }, value: 3 }]);
+//   res.type(CONTENT_TYPE).send(metrics.render());
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels || {});
+    if (keys.length === 0) return '';
+    const pairs = keys.map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function createMetrics() {
+    const families = []; // In registration order: { name, help, type, samples() }
+
+    function register(name, help, type, samples) {
+        families.push({ name, help, type, samples });
+    }
+
+    return {
+        // Monotonic count, optionally split by labels
+        counter(name, help) {
+            const values = new Map(); // label string -> { labels, value }
+            // Report 0 before the first increment so the series exists from the first scrape
+            register(name, help, 'counter', () => values.size ? Array.from(values.values()) : [{ labels: {}, value: 0 }]);
+            return {
+                inc(labels = {}, amount = 1) {
+                    const key = formatLabels(labels);
+                    const entry = values.get(key) || { labels, value: 0 };
+                    entry.value += amount;
+                    values.set(key, entry);
+                }
+            };
+        },
+
+        // Point-in-time values read when the metrics are scraped: collect() -> number or [{ labels, value }]
+        gauge(name, help, collect) {
+            register(name, help, 'gauge', () => {
+                const value = collect();
+                return Array.isArray(value) ? value : [{ labels: {}, value }];
+            });
+        },
+
+        // Running sum and count of observations (e.g. durations) - average = sum / count
+        summary(name, help) {
+            let sum = 0;
+            let count = 0;
+            register(name, help, 'summary', () => [
+                { suffix: '_sum', labels: {}, value: sum },
+                { suffix: '_count', labels: {}, value: count }
+            ]);
+            return {
+                observe(value) {
+                    sum += value;
+                    count++;
+                }
+            };
+        },
+
+        render() {
+            const lines = [];
+            families.forEach(family => {
+                lines.push(`# HELP ${family.name} ${family.help}`);
+                lines.push(`# TYPE ${family.name} ${family.type}`);
+                family.samples().forEach(sample => {
+                    lines.push(`${family.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${Number(sample.value) || 0}`);
+                });
+            });
+            return lines.join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { createMetrics, CONTENT_TYPE };
@@ -0,0 +1,39 @@
+// Sliding-window rate limits, keyed by whatever needs limiting (a socket id, an IP address).
+//
+//   const limiter = createRateLimiter(5, 10 * 1000); // 5 actions per key in any 10 seconds
+//   if (!limiter.allow(socket.id)) return; // Over the limit - the action isn't counted either
+//
+// Call prune() now and then so keys that went quiet don't pile up.
+
+// Allow at most `limit` actions per key in any `windowMs` window
+function createRateLimiter(limit, windowMs) {
+    const hits = new Map(); // key -> timestamps of recent actions
+
+    return {
+        allow(key) {
+            const now = Date.now();
+            const recent = (hits.get(key) || []).filter(time => now - time < windowMs);
+            if (recent.length >= limit) {
+                hits.set(key, recent);
+                return false;
+            }
+            recent.push(now);
+            hits.set(key, recent);
+            return true;
+        },
+
+        forget(key) {
+            hits.delete(key);
+        },
+
+        // Drop keys with no recent actions so the map doesn't grow forever
+        prune() {
+            const now = Date.now();
+            for (const [key, times] of hits) {
+                if (times.every(time => now - time >= windowMs)) hits.delete(key);
+            }
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,115 @@
+// State that every server process has to agree on: which node owns each room, and short-lived
+// locks for jobs only one node should run at a time (e.g. sweeping orphaned saved rooms).
+//
+// Every backend has the same shape (all methods return promises):
+//   nodeId                  this process's id
+//   claimRoom(roomId)    -> true if this node now owns the room (or already did), false if another node does
+//   releaseRoom(roomId)     give up a room this node owns
+//   getRoomOwner(roomId) -> owning node id, or null
+//   tryLock(name, ttlMs) -> true if this node holds the lock until ttlMs has passed
+//
+// createMemoryState keeps the table in this process (a single server, the default).
+// createClusterState is used by the workers started from cluster.js: the table lives in the
+// primary process and workers reach it over IPC (see serveClusterState).
+// A Redis (or similar) backend for several machines would implement the same five members.
+
+// The table itself; every call says which node is asking
+function createStateTable() {
+    const owners = new Map(); // roomId -> nodeId
+    const locks = new Map(); // name -> { nodeId, expiresAt }
+
+    return {
+        claimRoom(nodeId, roomId) {
+            const owner = owners.get(roomId);
+            if (owner && owner !== nodeId) return false;
+            owners.set(roomId, nodeId);
+            return true;
+        },
+
+        releaseRoom(nodeId, roomId) {
+            if (owners.get(roomId) === nodeId) owners.delete(roomId);
+        },
+
+        getRoomOwner(nodeId, roomId) { // Same answer whoever asks
+            return owners.get(roomId) || null;
+        },
+
+        tryLock(nodeId, name, ttlMs) {
+            const now = Date.now();
+            const lock = locks.get(name);
+            if (lock && lock.nodeId !== nodeId && lock.expiresAt > now) return false;
+            locks.set(name, { nodeId, expiresAt: now + ttlMs });
+            return true;
+        },
+
+        // A node has gone: its rooms and locks are free for the others to take
+        releaseNode(nodeId) {
+            const released = [];
+            for (const [roomId, owner] of owners) {
+                if (owner === nodeId) {
+                    owners.delete(roomId);
+                    released.push(roomId);
+                }
+            }
+            for (const [name, lock] of locks) {
+                if (lock.nodeId === nodeId) locks.delete(name);
+            }
+            return released;
+        }
+    };
+}
+
+const OPERATIONS = ['claimRoom', 'releaseRoom', 'getRoomOwner', 'tryLock'];
+
+function createMemoryState(nodeId) {
+    const table = createStateTable();
+    const state = { type: 'memory', nodeId };
+    OPERATIONS.forEach(op => {
+        state[op] = (...args) => Promise.resolve(table[op](nodeId, ...args));
+    });
+    return state;
+}
+
+// Worker side: each call is a message to the primary, answered with the same id
+function createClusterState(nodeId, channel = process) {
+    const pending = new Map(); // request id -> { resolve, reject }
+    let nextId = 1;
+
+    channel.on('message', message => {
+        if (!message || message.type !== 'omi:state:reply' || !pending.has(message.id)) return;
+        const { resolve, reject } = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.error) {
+            reject(new Error(message.error));
+        } else {
+            resolve(message.result);
+        }
+    });
+
+    const state = { type: 'cluster', nodeId };
+    OPERATIONS.forEach(op => {
+        state[op] = (...args) => new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject });
+            channel.send({ type: 'omi:state', id, op, args });
+        });
+    });
+    return state;
+}
+
+// Primary side: answer one worker's state requests from the shared table
+function serveClusterState(table, worker, nodeId) {
+    worker.on('message', message => {
+        if (!message || message.type !== 'omi:state') return;
+
+        const reply = { type: 'omi:state:reply', id: message.id };
+        if (OPERATIONS.includes(message.op)) {
+            reply.result = table[message.op](nodeId, ...(message.args || []));
+        } else {
+            reply.error = `Unknown state operation: ${message.op}`;
+        }
+        if (worker.isConnected()) worker.send(reply);
+    });
+}
+
+module.exports = { createStateTable, createMemoryState, createClusterState, serveClusterState };
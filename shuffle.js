@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Seeded, verifiable shuffles (commit-reveal).
+//
+// Every hand gets a fresh random seed. Before the deal the server publishes
+// commitment = sha256(seed) (hex); after the hand it reveals the seed, and anyone can
+// check the commitment and rebuild the deck with shuffleDeck(createDeck(), seed).
+//
+// The shuffle is Fisher-Yates driven by a SHA-256 counter stream, so it is easy to
+// reproduce in any language (index.html does the same with Web Crypto):
+//   block k  = sha256(`${seed}:${k}`), k = 0, 1, 2, ...  read as 8 big-endian uint32s
+//   randomInt(n): take the next uint32 x, skip it while x >= floor(2^32 / n) * n, return x % n
+//   for i = deck.length - 1 down to 1: swap deck[i] with deck[randomInt(i + 1)]
+
+const SEED_BYTES = 32;
+
+function createSeed() {
+    return crypto.randomBytes(SEED_BYTES).toString('hex');
+}
+
+function commitSeed(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest('hex');
+}
+
+// Deterministic random integers from a seed
+function seededRandom(seed) {
+    let counter = 0;
+    let block = null;
+    let offset = 0;
+
+    function nextUint32() {
+        if (!block || offset >= block.length) {
+            block = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    }
+
+    return {
+        // Uniform integer in [0, n) - values that would bias the modulo are skipped
+        randomInt(n) {
+            const limit = Math.floor(0x100000000 / n) * n;
+            let value = nextUint32();
+            while (value >= limit) value = nextUint32();
+            return value % n;
+        }
+    };
+}
+
+// Shuffle a copy of the deck; the same seed always gives the same order
+function shuffleDeck(deck, seed) {
+    const random = seededRandom(seed);
+    const shuffled = [...deck];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = random.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Check a revealed seed against its commitment and the deck that was dealt
+function verifyShuffle(unshuffledDeck, shuffledDeck, seed, commitment) {
+    if (typeof seed !== 'string' || commitSeed(seed) !== commitment) return false;
+
+    const expected = shuffleDeck(unshuffledDeck, seed);
+    return expected.length === shuffledDeck.length &&
+        expected.every((card, i) => card.suit === shuffledDeck[i].suit && card.rank === shuffledDeck[i].rank);
+}
+
+module.exports = { createSeed, commitSeed, seededRandom, shuffleDeck, verifyShuffle };
@@ -0,0 +1,307 @@
+// Solo play: one person against three computer opponents, with no server at all.
+//
+// createSoloGame() returns an object shaped like the client's Socket.IO socket - on(event, handler),
+// emit(event, data) and disconnect() - so index.html runs it through the same handlers it uses online.
+// The table is driven by the rules engine (engine.js) and answers with the events and payloads the
+// server sends: playerJoined, canSelectTrump / waitingForTrump, trumpSelected, fullHand,
+// yourTurn / turnUpdate, cardPlayed, trickComplete, roundComplete, gameOver, rematchStarted,
+// handHistory and error. Messages carry a key and params for i18n.js, as the server's do.
+//
+// The player sits in seat 0 (Team A), partnered by the bot in seat 2.
+// Loaded with require() in Node and as a plain <script> in the browser (window.OmiSolo).
+
+(function (root) {
+    const engine = typeof module !== 'undefined' && module.exports ? require('./engine') : root.OmiEngine;
+    const { SUITS, resolveRules, createDeck, createGame, applyAction, getPlayableCards, getTeamForSeat, chooseBotTrump, chooseBotCard } = engine;
+
+    const PLAYER_SEAT = 0;
+    const BOT_DELAY = 1000; // Default bot "thinking" time (ms)
+    const PAUSE_AFTER_TRICK = 3000; // Time to look at a finished trick or hand, as on the server
+
+    // Fisher-Yates; a local game has nothing to prove, so no seed commitment as online
+    function shuffle(cards) {
+        const deck = cards.slice();
+        for (let i = deck.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            const card = deck[i];
+            deck[i] = deck[j];
+            deck[j] = card;
+        }
+        return deck;
+    }
+
+    // Summary of a finished hand, with the same keys as the server's getRoundMessage
+    function getRoundMessage(result) {
+        if (result.isDraw) {
+            const tricks = { teamA: result.teamATricks, teamB: result.teamBTricks };
+            return result.carriedPoints > 0 ?
+                { key: 'round.drawnCarried', params: Object.assign({}, tricks, { points: result.carriedPoints }) } :
+                { key: 'round.drawn', params: tricks };
+        }
+
+        const params = { team: result.winningTeam, points: result.pointsAwarded };
+        if (result.carriedPointsWon > 0) {
+            return { key: 'round.wonWithCarried', params: Object.assign(params, { carried: result.carriedPointsWon }) };
+        }
+        return { key: 'round.won', params };
+    }
+
+    // options: { name, rules (preset name or custom values), botDelay, trickPause }
+    function createSoloGame(options = {}) {
+        const names = [options.name || 'You', '🤖 Bot 2', '🤖 Bot 3', '🤖 Bot 4'];
+        const botDelay = options.botDelay || BOT_DELAY;
+        const trickPause = options.trickPause === undefined ? PAUSE_AFTER_TRICK : options.trickPause;
+        const handlers = {};
+        const timers = new Set();
+
+        let state = createGame({ rules: resolveRules(options.rules) }); // Form values are checked as the server checks them
+        let history = []; // Finished hands, in the shape the hand history viewer takes
+        let currentHand = null;
+        let closed = false;
+
+        function later(fn, delay) {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                if (!closed) fn();
+            }, delay);
+            timers.add(timer);
+        }
+
+        // Events reach the page on a later tick, as they would over the network
+        function send(event, data) {
+            later(() => (handlers[event] || []).forEach(handler => handler(data)), 0);
+        }
+
+        function sendError(code, key, params) {
+            send('error', { code, key, params: params || {} });
+        }
+
+        function getPlayerList() {
+            return names.map((name, position) => ({
+                name,
+                team: getTeamForSeat(position),
+                position,
+                connected: true,
+                isBot: position !== PLAYER_SEAT,
+                isHost: position === PLAYER_SEAT,
+                autoPlay: false,
+                ready: true,
+                rating: null
+            }));
+        }
+
+        function deal(reason) {
+            const deck = shuffle(createDeck());
+            state = applyAction(state, { type: 'deal', deck }).state;
+            currentHand = {
+                handNumber: state.round,
+                dealer: state.dealer,
+                trumpCaller: state.trumpCaller,
+                deck,
+                seed: null,
+                commitment: null,
+                players: names.slice(),
+                trump: null,
+                hands: null,
+                plays: [],
+                tricks: [],
+                result: null,
+                scoresAfter: null
+            };
+            promptTrumpSelection(reason);
+        }
+
+        function promptTrumpSelection(reason) {
+            const caller = state.trumpCaller;
+            const roles = { dealer: state.dealer, trumpCaller: caller };
+
+            if (caller === PLAYER_SEAT) {
+                send('canSelectTrump', Object.assign({
+                    hand: state.hands[PLAYER_SEAT],
+                    key: reason === 'newGame' ? 'trump.selectNewGame' : 'trump.select',
+                    params: {}
+                }, roles));
+                return;
+            }
+
+            send('waitingForTrump', Object.assign({
+                key: reason === 'newGame' ? 'trump.waitingNewGame' : 'trump.waiting',
+                params: { player: names[caller] },
+                trumpSelector: names[caller]
+            }, roles));
+            later(() => selectTrump(caller, chooseBotTrump(state.hands[caller])), botDelay);
+        }
+
+        function selectTrump(seat, suit) {
+            state = applyAction(state, { type: 'selectTrump', seat, suit }).state;
+            currentHand.trump = suit;
+            currentHand.hands = state.hands.map(hand => hand.map(card => Object.assign({}, card)));
+
+            send('trumpSelected', { by: names[seat], trump: suit, key: 'trump.selected', params: { player: names[seat], suit } });
+            send('fullHand', { hand: state.hands[PLAYER_SEAT], position: PLAYER_SEAT, isYourTurn: false, trump: suit });
+            promptCurrentPlayer('turn.leadFirst');
+        }
+
+        function promptCurrentPlayer(messageKey) {
+            const seat = state.currentPlayer;
+            if (seat === PLAYER_SEAT) {
+                send('yourTurn', {
+                    key: messageKey,
+                    params: {},
+                    playableCards: getPlayableCards(state.hands[seat], state.currentTrick, state.trump)
+                });
+                return;
+            }
+
+            send('turnUpdate', { currentPlayer: names[seat], currentPlayerIndex: seat });
+            later(() => playCard(seat, chooseBotCard(state.hands[seat], state.currentTrick, state.trump, seat)), botDelay);
+        }
+
+        function playCard(seat, cardIndex) {
+            const scoresBefore = state.scores;
+            const result = applyAction(state, { type: 'playCard', seat, cardIndex });
+            if (!result.success) {
+                sendError('INVALID_CARD', 'error.invalidCard');
+                return;
+            }
+            state = result.state;
+
+            let nextStep = () => promptCurrentPlayer('turn.yours');
+            result.events.forEach(event => {
+                if (event.type === 'cardPlayed') {
+                    currentHand.plays.push({ trick: currentHand.tricks.length + 1, playerIndex: seat, playerName: names[seat], card: event.card });
+                    send('cardPlayed', {
+                        player: names[seat],
+                        playerIndex: seat,
+                        card: event.card,
+                        trickProgress: `${state.currentTrick.length || 4}/4 cards played`
+                    });
+                } else if (event.type === 'trickComplete') {
+                    const cards = event.cards.map(entry => ({ playerIndex: entry.playerIndex, playerName: names[entry.playerIndex], card: entry.card }));
+                    currentHand.tricks.push({ number: currentHand.tricks.length + 1, cards, winnerIndex: event.winner, winnerName: names[event.winner] });
+
+                    // The last trick goes out indexed by seat, as the server sends it
+                    const lastTrick = [null, null, null, null];
+                    cards.forEach(entry => {
+                        lastTrick[entry.playerIndex] = entry;
+                    });
+                    send('trickComplete', {
+                        winner: names[event.winner],
+                        winnerIndex: event.winner,
+                        trickCards: [],
+                        scores: scoresBefore,
+                        tricksWon: state.tricksWon,
+                        lastTrick
+                    });
+                    nextStep = () => later(() => promptCurrentPlayer('turn.lead'), trickPause);
+                } else if (event.type === 'handComplete') {
+                    currentHand.result = Object.assign({}, event.result);
+                    currentHand.scoresAfter = Object.assign({}, event.scores);
+                    history.push(currentHand);
+                    currentHand = null;
+                    if (state.phase === 'completed') return; // gameOver follows instead
+
+                    send('roundComplete', Object.assign({
+                        roundResult: event.result,
+                        newScores: event.scores,
+                        carriedPoints: state.carriedPoints,
+                        nextDealer: state.dealer,
+                        nextTrumpCaller: state.trumpCaller
+                    }, getRoundMessage(event.result)));
+                    nextStep = () => later(() => deal('newGame'), trickPause);
+                } else if (event.type === 'matchComplete') {
+                    send('gameOver', {
+                        winner: `Team ${event.winningTeam}`,
+                        finalScores: event.scores,
+                        roundResult: history[history.length - 1].result,
+                        ratingChanges: [],
+                        key: 'game.over',
+                        params: { team: event.winningTeam, points: Math.max(event.scores.teamA, event.scores.teamB) }
+                    });
+                    nextStep = () => {};
+                }
+            });
+            nextStep();
+        }
+
+        // What the page sends: the player's own moves, a rematch and the hand history.
+        // Anything else (chat, ready checks, seat changes) has no meaning at a solo table.
+        const requests = {
+            selectTrump({ trump }) {
+                if (state.phase !== 'trump_selection') return sendError('WRONG_STATE', 'error.cannotSelectTrump');
+                if (state.trumpCaller !== PLAYER_SEAT) return sendError('NOT_YOUR_TURN', 'error.notYourTrumpTurn');
+                if (SUITS.indexOf(trump) === -1) {
+                    return sendError('INVALID_PAYLOAD', 'error.invalidPayload', { field: 'trump', reason: `must be one of ${SUITS.join(', ')}` });
+                }
+                selectTrump(PLAYER_SEAT, trump);
+            },
+
+            playCard({ cardIndex }) {
+                if (state.phase !== 'playing') return sendError('WRONG_STATE', 'error.notPlaying');
+                if (state.currentPlayer !== PLAYER_SEAT) return sendError('NOT_YOUR_TURN', 'error.notYourTurn');
+                if (!state.hands[PLAYER_SEAT][cardIndex]) return sendError('INVALID_CARD', 'error.cardNotFound');
+                if (getPlayableCards(state.hands[PLAYER_SEAT], state.currentTrick, state.trump).indexOf(cardIndex) === -1) {
+                    return sendError('MUST_FOLLOW_SUIT', 'error.mustFollowSuit', { suit: state.currentTrick[0].card.suit });
+                }
+                playCard(PLAYER_SEAT, cardIndex);
+            },
+
+            startRematch() {
+                if (state.phase !== 'completed') return sendError('WRONG_STATE', 'error.rematchAfterGame');
+                state = createGame({ rules: state.rules, dealer: 3 });
+                history = [];
+                send('rematchStarted', { players: getPlayerList(), scores: state.scores, key: 'game.soloRematch', params: {} });
+                later(() => deal('newGame'), trickPause);
+            },
+
+            getHandHistory() {
+                send('handHistory', { hands: history });
+            }
+        };
+
+        const socket = {
+            connected: true,
+            io: { opts: { query: {} } },
+
+            on(event, handler) {
+                (handlers[event] = handlers[event] || []).push(handler);
+                return socket;
+            },
+
+            emit(event, data) {
+                if (!closed && Object.prototype.hasOwnProperty.call(requests, event)) requests[event](data || {});
+                return socket;
+            },
+
+            // Leaving the table stops the bots
+            disconnect() {
+                closed = true;
+                socket.connected = false;
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+                return socket;
+            }
+        };
+
+        // Seat everyone and deal once the page has had a chance to attach its handlers
+        send('playerJoined', {
+            name: names[PLAYER_SEAT],
+            playerCount: 4,
+            players: getPlayerList(),
+            rules: state.rules,
+            turnTimeLimit: 0,
+            spectatorCount: 0
+        });
+        later(() => deal(''), botDelay);
+
+        return socket;
+    }
+
+    const api = { createSoloGame };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        root.OmiSolo = api;
+    }
+})(this);
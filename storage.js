@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends for rooms, accounts and the like. Each store holds one kind of record,
+// keyed by the record's `id`, and every store has the same shape:
+//   loadAll()    -> Promise<record[]>  every saved record
+//   load(id)     -> Promise<record|null>
+//   save(record) -> Promise            snapshot taken synchronously, written in the background
+//   remove(id)   -> Promise
+//   flush()      -> Promise            wait for outstanding writes (shutdown)
+
+// One JSON file per record. Writes go to a temp file first and are renamed into place,
+// so a crash mid-write never leaves a half-written record behind.
+// `logger` (see logger.js) hears about files that can't be read back.
+function createFileStore(dir, logger) {
+    const writeQueues = new Map(); // id -> promise of the last queued write
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = id => path.join(dir, `${encodeURIComponent(id)}.json`);
+
+    // Keep writes for the same record in order
+    function enqueue(id, task) {
+        const previous = writeQueues.get(id) || Promise.resolve();
+        const next = previous.then(task, task);
+        writeQueues.set(id, next);
+        next.then(() => {
+            if (writeQueues.get(id) === next) writeQueues.delete(id);
+        }, () => {
+            if (writeQueues.get(id) === next) writeQueues.delete(id);
+        });
+        return next;
+    }
+
+    return {
+        type: 'file',
+
+        loadAll() {
+            return fs.promises.readdir(dir).then(files => Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(file => fs.promises.readFile(path.join(dir, file), 'utf8')
+                    .then(contents => JSON.parse(contents))
+                    .catch(err => {
+                        if (logger) logger.warn('Skipping unreadable file', { dir, file, err });
+                        return null;
+                    }))
+            )).then(loaded => loaded.filter(Boolean));
+        },
+
+        load(id) {
+            return fs.promises.readFile(fileFor(id), 'utf8').then(contents => JSON.parse(contents)).catch(err => {
+                if (err.code !== 'ENOENT' && logger) logger.warn('Skipping unreadable file', { dir, id, err });
+                return null;
+            });
+        },
+
+        save(record) {
+            const contents = JSON.stringify(record); // Snapshot now - the record keeps changing
+            const file = fileFor(record.id);
+            const tempFile = `${file}.tmp`;
+            return enqueue(record.id, () => fs.promises.writeFile(tempFile, contents)
+                .then(() => fs.promises.rename(tempFile, file)));
+        },
+
+        remove(id) {
+            return enqueue(id, () => fs.promises.unlink(fileFor(id)).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            }));
+        },
+
+        flush() {
+            return Promise.all(Array.from(writeQueues.values()).map(write => write.catch(() => {})));
+        }
+    };
+}
+
+// Nothing survives a restart; useful for local testing
+function createMemoryStore() {
+    const saved = new Map();
+
+    return {
+        type: 'memory',
+        loadAll: () => Promise.resolve(Array.from(saved.values()).map(contents => JSON.parse(contents))),
+        load: id => Promise.resolve(saved.has(id) ? JSON.parse(saved.get(id)) : null),
+        save: record => {
+            saved.set(record.id, JSON.stringify(record));
+            return Promise.resolve();
+        },
+        remove: id => {
+            saved.delete(id);
+            return Promise.resolve();
+        },
+        flush: () => Promise.resolve()
+    };
+}
+
+// Pick a backend by name (STORAGE env var)
+function createStore(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(options.dir, options.logger);
+        default:
+            throw new Error(`Unknown storage type "${type}" (expected "file" or "memory")`);
+    }
+}
+
+module.exports = { createStore, createFileStore, createMemoryStore };
@@ -0,0 +1,54 @@
+// Service worker for the installable app: keeps the page and its scripts so solo play works offline.
+//
+// App files come from the network whenever it answers (so a new release shows up on the next load)
+// and from the cache when it doesn't. Anything else - Socket.IO traffic, /api/ routes, the admin
+// pages - goes straight to the server and is never cached.
+
+const CACHE_NAME = 'omi-v1';
+const APP_FILES = [
+    '/',
+    '/index.html',
+    '/i18n.js',
+    '/engine.js',
+    '/solo.js',
+    '/socket.io/socket.io.js',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/icon-192.png',
+    '/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older releases
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || !APP_FILES.includes(url.pathname)) return;
+
+    // Cached by path, so links such as /?room=ABC123 still open offline
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(url.pathname))
+    );
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const { createAccounts, serveClusterAccounts, TOKEN_TTL } = require('../accounts');
+const { createMemoryStore } = require('../storage');
+
+function setup(options = {}) {
+    return createAccounts({
+        accountStore: createMemoryStore(),
+        partnershipStore: createMemoryStore(),
+        secret: 'test-secret',
+        ...options
+    });
+}
+
+// An IPC link between the primary and one worker: each end's send() arrives at the other end
+// a tick later as a copied 'message', as it would between processes
+function createLink() {
+    const workerEnd = new EventEmitter();
+    const primaryEnd = new EventEmitter();
+    const deliver = (to, message) => setImmediate(() => to.emit('message', structuredClone(message)));
+    workerEnd.send = message => deliver(primaryEnd, message);
+    primaryEnd.send = message => deliver(workerEnd, message);
+    primaryEnd.isConnected = () => true;
+    return { workerEnd, primaryEnd };
+}
+
+// A primary holding the records and `count` workers connected to it
+async function setupCluster(count) {
+    const links = [];
+    const primary = setup({
+        onChange: (kind, record) => links.forEach(link => link.primaryEnd.send({ type: 'omi:accounts:changed', kind, record }))
+    });
+    await primary.load();
+
+    const workers = [];
+    for (let i = 0; i < count; i++) {
+        const link = createLink();
+        links.push(link);
+        serveClusterAccounts(primary, link.primaryEnd);
+        const worker = createAccounts({ primary: link.workerEnd, secret: 'test-secret' });
+        await worker.load();
+        workers.push(worker);
+    }
+    return { primary, workers };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test.describe('accounts', () => {
+    test('auth tokens stop working once they expire', async t => {
+        const accounts = setup();
+        const { authToken } = await accounts.register('alice', 'password1');
+        assert.deepEqual(accounts.verifyToken(authToken), { id: 'alice', username: 'alice' });
+
+        const now = Date.now();
+        t.mock.method(Date, 'now', () => now + TOKEN_TTL + 1);
+        assert.equal(accounts.verifyToken(authToken), null);
+    });
+
+    test('tokens with a bad signature or from another secret are refused', async () => {
+        const accounts = setup();
+        const { authToken } = await accounts.register('alice', 'password1');
+        const [payload, signature] = authToken.split('.');
+        assert.equal(accounts.verifyToken(`${payload}.${signature.slice(1)}x`), null);
+
+        const other = setup({ secret: 'other' });
+        await other.register('alice', 'password1');
+        assert.equal(other.verifyToken(authToken), null);
+    });
+
+    test('failed saves are logged instead of left unhandled', async () => {
+        const errors = [];
+        const failing = { ...createMemoryStore(), save: () => Promise.reject(new Error('disk full')) };
+        const accounts = setup({ accountStore: failing, logger: { error: (msg, fields) => errors.push({ msg, ...fields }) } });
+
+        assert.equal((await accounts.register('alice', 'password1')).success, true);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].id, 'alice');
+        assert.equal(errors[0].err.message, 'disk full');
+    });
+
+    test('cluster workers cannot both register the same username', async () => {
+        const { primary, workers } = await setupCluster(2);
+        const results = await Promise.all(workers.map((worker, i) => worker.register('alice', `password${i}`)));
+
+        assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+        const winner = results.findIndex(result => result.success);
+        assert.equal(primary.login('alice', `password${winner}`).success, true);
+        assert.equal(primary.login('alice', `password${1 - winner}`).success, false);
+    });
+
+    test('cluster workers see each other\'s registrations and match results', async () => {
+        const { workers } = await setupCluster(2);
+        const [first, second] = workers;
+        const { authToken } = await first.register('alice', 'password1');
+        await first.register('bob', 'password1');
+        await settle();
+
+        assert.equal(second.isRegistered('alice'), true);
+        assert.equal(second.verifyToken(authToken).username, 'alice');
+
+        const seats = [{ accountId: 'alice' }, { accountId: 'bob' }, { accountId: null }, { accountId: null }];
+        const hands = [{ trumpCaller: 0, result: { winningTeam: 'A' } }];
+        await first.recordMatch(seats, hands, 'A');
+        await second.recordMatch(seats, hands, 'A');
+        await settle();
+
+        // Both matches count, wherever they finished and whoever asks
+        workers.forEach(worker => {
+            assert.equal(worker.getProfile('alice').stats.wins, 2);
+            assert.equal(worker.getProfile('bob').stats.matches, 2);
+        });
+    });
+});
@@ -0,0 +1,338 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    RULE_PRESETS,
+    resolveRules,
+    createDeck,
+    getCardValue,
+    getDealingOrder,
+    isValidPlay,
+    getPlayableCards,
+    getTrickWinner,
+    scoreHand,
+    chooseBotTrump,
+    chooseBotCard,
+    createGame,
+    applyAction
+} = require('../engine');
+const { shuffleDeck } = require('../shuffle');
+
+// "A♠"-style shorthand for cards
+const SUIT_LETTERS = { H: 'Hearts', D: 'Diamonds', C: 'Clubs', S: 'Spades' };
+function card(text) {
+    return { rank: text.slice(0, -1), suit: SUIT_LETTERS[text.slice(-1)] };
+}
+function trick(...texts) {
+    return texts.map((text, playerIndex) => ({ playerIndex, card: card(text) }));
+}
+
+const standard = { preset: 'standard', ...RULE_PRESETS.standard };
+
+// Play the first legal card for whoever's turn it is until the phase changes
+function playOutHand(state) {
+    let current = state;
+    const events = [];
+    while (current.phase === 'playing') {
+        const seat = current.currentPlayer;
+        const [cardIndex] = getPlayableCards(current.hands[seat], current.currentTrick, current.trump);
+        const result = applyAction(current, { type: 'playCard', seat, cardIndex });
+        assert.ok(result.success, result.message);
+        current = result.state;
+        events.push(...result.events);
+    }
+    return { state: current, events };
+}
+
+function dealAndCall(state, seed, suit = 'Spades') {
+    const dealt = applyAction(state, { type: 'deal', deck: shuffleDeck(createDeck(), seed) });
+    assert.ok(dealt.success, dealt.message);
+    const called = applyAction(dealt.state, { type: 'selectTrump', seat: dealt.state.trumpCaller, suit });
+    assert.ok(called.success, called.message);
+    return called.state;
+}
+
+test('createDeck has all 32 cards once', () => {
+    const deck = createDeck();
+    assert.equal(deck.length, 32);
+    assert.equal(new Set(deck.map(c => c.rank + c.suit)).size, 32);
+});
+
+test('cards rank 7 to A, with trumps above every other suit', () => {
+    assert.ok(getCardValue(card('AH'), 'Spades') > getCardValue(card('KH'), 'Spades'));
+    assert.ok(getCardValue(card('10H'), 'Spades') > getCardValue(card('9H'), 'Spades'));
+    assert.ok(getCardValue(card('7S'), 'Spades') > getCardValue(card('AH'), 'Spades'));
+});
+
+test('dealing starts on the dealer\'s right and ends with the dealer', () => {
+    assert.deepEqual(getDealingOrder(3), [0, 1, 2, 3]);
+    assert.deepEqual(getDealingOrder(0), [1, 2, 3, 0]);
+});
+
+test.describe('following suit', () => {
+    const hand = [card('AH'), card('7H'), card('KS'), card('9C')];
+
+    test('any card may lead', () => {
+        assert.deepEqual(getPlayableCards(hand, [], 'Spades'), [0, 1, 2, 3]);
+    });
+
+    test('a player holding the lead suit must follow it', () => {
+        const led = trick('QH');
+        assert.equal(isValidPlay(card('AH'), hand, led, 'Spades'), true);
+        assert.equal(isValidPlay(card('KS'), hand, led, 'Spades'), false);
+        assert.equal(isValidPlay(card('9C'), hand, led, 'Spades'), false);
+        assert.deepEqual(getPlayableCards(hand, led, 'Spades'), [0, 1]);
+    });
+
+    test('a player void in the lead suit may trump or discard', () => {
+        const led = trick('QD');
+        assert.equal(isValidPlay(card('KS'), hand, led, 'Spades'), true);
+        assert.equal(isValidPlay(card('9C'), hand, led, 'Spades'), true);
+        assert.deepEqual(getPlayableCards(hand, led, 'Spades'), [0, 1, 2, 3]);
+    });
+
+    test('played cards (null) are skipped', () => {
+        const partlyPlayed = [null, card('7H'), null, card('9C')];
+        assert.deepEqual(getPlayableCards(partlyPlayed, trick('QH'), 'Spades'), [1]);
+        assert.deepEqual(getPlayableCards(partlyPlayed, [], 'Spades'), [1, 3]);
+    });
+});
+
+test.describe('trick winner', () => {
+    test('highest card of the lead suit wins without trumps', () => {
+        assert.equal(getTrickWinner(trick('9H', 'KH', 'AD', '7H'), 'Spades').playerIndex, 1);
+    });
+
+    test('off-suit discards never win, however high', () => {
+        assert.equal(getTrickWinner(trick('7H', 'AC', 'AD', '8H'), 'Spades').playerIndex, 3);
+    });
+
+    test('a trump beats the lead suit', () => {
+        assert.equal(getTrickWinner(trick('AH', 'KH', '7S', 'QH'), 'Spades').playerIndex, 2);
+    });
+
+    test('the highest trump wins when several are played', () => {
+        assert.equal(getTrickWinner(trick('AH', '8S', 'JS', '7S'), 'Spades').playerIndex, 2);
+    });
+
+    test('trump led and followed', () => {
+        assert.equal(getTrickWinner(trick('9S', 'AS', 'AH', '10S'), 'Spades').playerIndex, 1);
+    });
+});
+
+test.describe('bots', () => {
+    test('call the longest suit, ties going to the stronger cards', () => {
+        assert.equal(chooseBotTrump(['7H', '9S', 'JS', 'AD'].map(card)), 'Spades');
+        assert.equal(chooseBotTrump(['KH', '8H', 'AC', '9C'].map(card)), 'Clubs');
+    });
+
+    test('hold back when partner is already winning', () => {
+        const hand = ['AH', '8H', 'KD'].map(card);
+        assert.equal(chooseBotCard(hand, trick('7H', 'JH', '10H'), 'Spades', 3), 1);
+    });
+
+    test('take the trick with the cheapest winning card, cutting with a low trump when void', () => {
+        assert.equal(chooseBotCard(['AH', 'QH', '8H'].map(card), trick('JH'), 'Spades', 1), 1);
+        assert.equal(chooseBotCard(['9S', '7S', 'KD'].map(card), trick('AH'), 'Spades', 1), 1);
+    });
+
+    test('only ever choose a legal card', () => {
+        const hand = ['AS', '7H', 'KD', null].map(text => text && card(text));
+        assert.equal(chooseBotCard(hand, trick('9H'), 'Spades', 1), 1);
+    });
+});
+
+test.describe('rules', () => {
+    test('preset names resolve to their rules, unknown names to standard', () => {
+        assert.deepEqual(resolveRules('kapothi'), { preset: 'kapothi', ...RULE_PRESETS.kapothi });
+        assert.deepEqual(resolveRules('nope'), standard);
+        assert.deepEqual(resolveRules(undefined), standard);
+    });
+
+    test('custom values are clamped, and missing or invalid ones come from their preset', () => {
+        const rules = resolveRules({ preset: 'quick', targetScore: '7', winPoints: NaN, sweepPoints: 40, sweepScoring: 'all' });
+        assert.equal(rules.preset, 'custom');
+        assert.equal(rules.targetScore, 7);
+        assert.equal(rules.winPoints, RULE_PRESETS.quick.winPoints);
+        assert.equal(rules.sweepPoints, 10);
+        assert.equal(rules.sweepScoring, RULE_PRESETS.quick.sweepScoring);
+        assert.equal(createGame({ rules }).rules.targetScore, 7);
+    });
+});
+
+test.describe('hand scoring', () => {
+    const base = { trumpCaller: 0, dealer: 3, scores: { teamA: 0, teamB: 0 }, carriedPoints: 0, rules: standard };
+
+    test('trump callers taking the majority score winPoints', () => {
+        const outcome = scoreHand({ ...base, tricksWon: [3, 1, 2, 2] });
+        assert.equal(outcome.result.winningTeam, 'A');
+        assert.equal(outcome.result.pointsAwarded, 1);
+        assert.deepEqual(outcome.scores, { teamA: 1, teamB: 0 });
+        assert.equal(outcome.nextDealer, 0);
+    });
+
+    test('defenders taking the majority score callerLossPoints', () => {
+        const rules = { ...standard, callerLossPoints: 2 };
+        const outcome = scoreHand({ ...base, rules, tricksWon: [1, 3, 1, 3] });
+        assert.equal(outcome.result.winningTeam, 'B');
+        assert.equal(outcome.result.defendingTeam, 'B');
+        assert.equal(outcome.result.pointsAwarded, 2);
+    });
+
+    test('a defenders\' sweep (kapothi) scores sweepPoints', () => {
+        const outcome = scoreHand({ ...base, tricksWon: [0, 5, 0, 3] });
+        assert.equal(outcome.result.isSweep, true);
+        assert.equal(outcome.result.pointsAwarded, 2);
+        assert.deepEqual(outcome.scores, { teamA: 0, teamB: 2 });
+    });
+
+    test('a callers\' sweep only earns the bonus when any team may score it', () => {
+        const defendersOnly = scoreHand({ ...base, tricksWon: [4, 0, 4, 0] });
+        assert.equal(defendersOnly.result.isSweep, true);
+        assert.equal(defendersOnly.result.pointsAwarded, 1);
+
+        const anyTeam = scoreHand({ ...base, rules: { ...standard, sweepScoring: 'any', sweepPoints: 3 }, tricksWon: [4, 0, 4, 0] });
+        assert.equal(anyTeam.result.pointsAwarded, 3);
+    });
+
+    test('a 4-4 draw scores nothing and carries a point', () => {
+        const outcome = scoreHand({ ...base, tricksWon: [2, 2, 2, 2] });
+        assert.equal(outcome.result.isDraw, true);
+        assert.equal(outcome.result.winningTeam, null);
+        assert.deepEqual(outcome.scores, { teamA: 0, teamB: 0 });
+        assert.equal(outcome.carriedPoints, 1);
+        assert.equal(outcome.nextDealer, 0);
+    });
+
+    test('carried points go to the next hand\'s winner', () => {
+        const outcome = scoreHand({ ...base, carriedPoints: 2, tricksWon: [1, 3, 1, 3] });
+        assert.equal(outcome.result.carriedPointsWon, 2);
+        assert.equal(outcome.result.pointsAwarded, 3);
+        assert.deepEqual(outcome.scores, { teamA: 0, teamB: 3 });
+        assert.equal(outcome.carriedPoints, 0);
+    });
+
+    test('draws carry nothing when the house rule is off', () => {
+        const outcome = scoreHand({ ...base, rules: { ...standard, carryDrawPoints: false }, tricksWon: [2, 2, 2, 2] });
+        assert.equal(outcome.carriedPoints, 0);
+    });
+
+    test('the same dealer deals again after a draw under drawTrumpCaller "same"', () => {
+        const outcome = scoreHand({ ...base, rules: { ...standard, drawTrumpCaller: 'same' }, tricksWon: [2, 2, 2, 2] });
+        assert.equal(outcome.nextDealer, 3);
+    });
+
+    test('reaching the target score completes the match', () => {
+        const outcome = scoreHand({ ...base, scores: { teamA: 9, teamB: 4 }, tricksWon: [3, 1, 2, 2] });
+        assert.equal(outcome.matchComplete, true);
+        assert.equal(scoreHand({ ...base, tricksWon: [3, 1, 2, 2] }).matchComplete, false);
+    });
+});
+
+test.describe('state machine', () => {
+    test('a new game waits for the first deal', () => {
+        const state = createGame();
+        assert.equal(state.phase, 'waiting');
+        assert.equal(state.trumpCaller, 0);
+        assert.throws(() => createGame({ rules: 'nonsense' }));
+    });
+
+    test('dealing gives the trump caller 4 cards to choose from', () => {
+        const { success, state, events } = applyAction(createGame(), { type: 'deal', deck: shuffleDeck(createDeck(), 'deal') });
+        assert.ok(success);
+        assert.equal(state.phase, 'trump_selection');
+        assert.equal(state.round, 1);
+        state.hands.forEach(hand => assert.equal(hand.length, 4));
+        assert.equal(state.deck.length, 16);
+        assert.deepEqual(events, [{ type: 'handDealt', round: 1, dealer: 3, trumpCaller: 0 }]);
+    });
+
+    test('only complete decks can be dealt', () => {
+        const short = createDeck().slice(1);
+        assert.equal(applyAction(createGame(), { type: 'deal', deck: short }).success, false);
+        const duplicated = createDeck();
+        duplicated[0] = duplicated[1];
+        assert.equal(applyAction(createGame(), { type: 'deal', deck: duplicated }).success, false);
+    });
+
+    test('only the trump caller may pick trump, then everyone has 8 cards', () => {
+        const dealt = applyAction(createGame(), { type: 'deal', deck: shuffleDeck(createDeck(), 'trump') }).state;
+        assert.equal(applyAction(dealt, { type: 'selectTrump', seat: 1, suit: 'Hearts' }).success, false);
+        assert.equal(applyAction(dealt, { type: 'selectTrump', seat: 0, suit: 'Stars' }).success, false);
+
+        const { state, events } = applyAction(dealt, { type: 'selectTrump', seat: 0, suit: 'Hearts' });
+        assert.equal(state.phase, 'playing');
+        assert.equal(state.trump, 'Hearts');
+        assert.equal(state.currentPlayer, 0);
+        state.hands.forEach(hand => assert.equal(hand.length, 8));
+        assert.deepEqual(events, [{ type: 'trumpSelected', seat: 0, suit: 'Hearts' }]);
+    });
+
+    test('actions never change the state passed in', () => {
+        const dealt = applyAction(createGame(), { type: 'deal', deck: shuffleDeck(createDeck(), 'pure') }).state;
+        const before = JSON.stringify(dealt);
+        applyAction(dealt, { type: 'selectTrump', seat: 0, suit: 'Clubs' });
+        assert.equal(JSON.stringify(dealt), before);
+    });
+
+    test('out-of-turn, wrong-phase and suit-breaking plays are rejected', () => {
+        const state = dealAndCall(createGame(), 'reject');
+        assert.equal(applyAction(state, { type: 'playCard', seat: 1, cardIndex: 0 }).message, 'It is not your turn');
+        assert.equal(applyAction(createGame(), { type: 'playCard', seat: 0, cardIndex: 0 }).success, false);
+        assert.equal(applyAction(state, { type: 'deal', deck: createDeck() }).success, false);
+        assert.equal(applyAction(state, { type: 'shuffle' }).success, false);
+
+        // Seat 1 holds a heart, so it may not trump the heart lead
+        const midTrick = {
+            ...state,
+            trump: 'Spades',
+            currentPlayer: 1,
+            currentTrick: trick('QH'),
+            hands: [[null], [card('AH'), card('KS')], [card('7C')], [card('8C')]]
+        };
+        assert.equal(applyAction(midTrick, { type: 'playCard', seat: 1, cardIndex: 1 }).message, 'You must follow suit');
+        assert.equal(applyAction(midTrick, { type: 'playCard', seat: 1, cardIndex: 0 }).success, true);
+        assert.equal(applyAction(midTrick, { type: 'playCard', seat: 0, cardIndex: 0 }).success, false);
+    });
+
+    test('a played-out hand is scored and the deal passes on', () => {
+        const { state, events } = playOutHand(dealAndCall(createGame(), 'hand'));
+        const tricks = events.filter(e => e.type === 'trickComplete');
+        const [handComplete] = events.filter(e => e.type === 'handComplete');
+
+        assert.equal(tricks.length, 8);
+        assert.equal(events.filter(e => e.type === 'cardPlayed').length, 32);
+        assert.equal(state.phase, 'hand_complete');
+        assert.equal(state.tricksWon.reduce((a, b) => a + b, 0), 8);
+        assert.deepEqual(handComplete.scores, state.scores);
+        assert.equal(state.hands.every(hand => hand.every(c => c === null)), true);
+        assert.equal(state.dealer, handComplete.result.isDraw && state.rules.drawTrumpCaller === 'same' ? 3 : 0);
+        assert.equal(state.currentPlayer, state.trumpCaller);
+    });
+
+    test('the same seed replays the same hand exactly', () => {
+        const first = playOutHand(dealAndCall(createGame(), 'replay'));
+        const second = playOutHand(dealAndCall(createGame(), 'replay'));
+        assert.deepEqual(second.events, first.events);
+        assert.deepEqual(second.state, first.state);
+    });
+
+    test('a match runs to the target score and then completes', () => {
+        let state = createGame({ rules: 'quick' });
+        let hands = 0;
+        let events = [];
+        while (state.phase !== 'completed') {
+            const played = playOutHand(dealAndCall(state, `match-${hands}`));
+            state = played.state;
+            events = played.events;
+            hands++;
+            assert.ok(hands < 100, 'match should finish');
+        }
+
+        const matchComplete = events.find(e => e.type === 'matchComplete');
+        assert.ok(matchComplete);
+        assert.ok(Math.max(state.scores.teamA, state.scores.teamB) >= 5);
+        assert.equal(matchComplete.winningTeam, state.scores.teamA > state.scores.teamB ? 'A' : 'B');
+        assert.equal(applyAction(state, { type: 'deal', deck: createDeck() }).success, false);
+    });
+});
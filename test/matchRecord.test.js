@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RULE_PRESETS, createDeck, createGame, applyAction, getPlayableCards } = require('../engine');
+const { commitSeed, shuffleDeck } = require('../shuffle');
+const { buildMatchRecord, formatMatchNotation, parseMatchRecord, recordToHandHistory } = require('../matchRecord');
+
+// A room with one hand played out by the engine, shaped as index.js keeps it
+function playedRoom(seed = 'a1b2c3') {
+    const rules = { preset: 'standard', ...RULE_PRESETS.standard };
+    const deck = shuffleDeck(createDeck(), seed);
+    let state = applyAction(createGame({ rules }), { type: 'deal', deck }).state;
+    state = applyAction(state, { type: 'selectTrump', seat: state.trumpCaller, suit: 'Hearts' }).state;
+
+    const hand = {
+        handNumber: 1,
+        dealer: state.dealer,
+        trumpCaller: state.trumpCaller,
+        trump: 'Hearts',
+        deck,
+        seed,
+        commitment: commitSeed(seed),
+        hands: state.hands.map(cards => cards.map(card => ({ ...card }))),
+        tricks: [],
+        result: null,
+        scoresAfter: null
+    };
+    while (state.phase === 'playing') {
+        const seat = state.currentPlayer;
+        const [cardIndex] = getPlayableCards(state.hands[seat], state.currentTrick, state.trump);
+        const result = applyAction(state, { type: 'playCard', seat, cardIndex });
+        state = result.state;
+        result.events.forEach(event => {
+            if (event.type === 'trickComplete') {
+                hand.tricks.push({ number: hand.tricks.length + 1, cards: event.cards, winnerIndex: event.winner });
+            } else if (event.type === 'handComplete') {
+                hand.result = event.result;
+                hand.scoresAfter = event.scores;
+            }
+        });
+    }
+
+    return {
+        id: 'room1',
+        matchId: 'room1-1700000000000',
+        rules,
+        players: ['Alice', '🤖 Bot 2', 'Carol', 'Dan'].map((name, seat) => ({ name, team: seat % 2 ? 'B' : 'A', isBot: seat === 1 })),
+        matchHistory: [hand],
+        scores: state.scores
+    };
+}
+
+function exported() {
+    return JSON.parse(JSON.stringify(buildMatchRecord(playedRoom())));
+}
+
+// parseMatchRecord on a copy of a good record after `change`, as the import route sees it
+function parseChanged(change) {
+    const record = exported();
+    change(record);
+    return () => parseMatchRecord(JSON.stringify(record));
+}
+
+test.describe('parseMatchRecord', () => {
+    test('reads back an exported record as JSON and as text notation', () => {
+        const record = exported();
+        const fromJson = parseMatchRecord(JSON.stringify(record));
+        assert.deepEqual(fromJson.hands, record.hands);
+        assert.deepEqual(fromJson.players, record.players);
+        assert.deepEqual(fromJson.finalScores, record.finalScores);
+
+        const fromText = parseMatchRecord(formatMatchNotation(record));
+        assert.deepEqual(fromText.hands.map(hand => hand.deck), record.hands.map(hand => hand.deck));
+        assert.deepEqual(fromText.hands.map(hand => hand.tricks), record.hands.map(hand => hand.tricks));
+        assert.equal(recordToHandHistory(fromText)[0].plays.length, 32);
+    });
+
+    test('rejects cards that are not in the pack', () => {
+        assert.throws(parseChanged(record => {
+            record.hands[0].tricks[0].plays[0].card = { suit: 'constructor', rank: 'A' };
+        }), /trick 1 has an invalid card/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].tricks[0].plays[0].card.rank = '<img src=x onerror=alert(1)>';
+        }), /invalid card/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].deck[5] = { suit: 'toString', rank: '7' };
+        }), /deck has an invalid card/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].hands[2][0] = { suit: 'Hearts', rank: '__proto__' };
+        }), /seat 2 hand has an invalid card/);
+    });
+
+    test('rejects a deck or dealt hand with a card twice or the wrong count', () => {
+        assert.throws(parseChanged(record => {
+            delete record.hands[0].seed;
+            record.hands[0].deck[1] = record.hands[0].deck[0];
+        }), /deck has the same card twice/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].hands[0].pop();
+        }), /must have 8 cards/);
+    });
+
+    test('rejects seats outside 0-3', () => {
+        assert.throws(parseChanged(record => {
+            record.hands[0].dealer = 7;
+        }), /dealer must be a seat/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].trumpCaller = -1;
+        }), /trump caller must be a seat/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].tricks[3].winner = 4;
+        }), /winner must be a seat/);
+        assert.throws(parseChanged(record => {
+            record.hands[0].tricks[0].plays[0].seat = '0';
+        }), /seat must be a seat/);
+    });
+
+    test('rejects player names that are too long or not text', () => {
+        assert.throws(parseChanged(record => {
+            record.players[0].name = 'x'.repeat(500);
+        }), /Seat 0 name/);
+        assert.throws(parseChanged(record => {
+            record.players[2].name = { toString: 'Carol' };
+        }), /Seat 2 name/);
+    });
+
+    test('keeps only the known fields', () => {
+        const parsed = parseChanged(record => {
+            record.rules.onJoin = 'alert(1)';
+            record.hands[0].extra = 'x'.repeat(1000);
+            record.hands[0].tricks[0].plays[0].card.note = 'hi';
+        })();
+        assert.equal('onJoin' in parsed.rules, false);
+        assert.equal('label' in parsed.rules, false);
+        assert.equal('extra' in parsed.hands[0], false);
+        assert.deepEqual(Object.keys(parsed.hands[0].tricks[0].plays[0].card), ['suit', 'rank']);
+    });
+
+    test('rejects a deck that does not match its seed', () => {
+        assert.throws(parseChanged(record => {
+            record.hands[0].seed = 'ffff';
+        }), /does not match its shuffle seed/);
+    });
+});
@@ -0,0 +1,542 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const ioClient = require('socket.io-client');
+
+const { createDeck, createGame, applyAction } = require('../engine');
+const { shuffleDeck } = require('../shuffle');
+
+// Runs index.js in a child process with in-memory storage and a free port
+function startServer(env = {}) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: { ...process.env, STORAGE: 'memory', PORT: '0', LOG_LEVEL: 'info', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const logs = [];
+
+    const ready = new Promise((resolve, reject) => {
+        let buffered = '';
+        child.stdout.on('data', chunk => {
+            buffered += chunk;
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(line => {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    return;
+                }
+                logs.push(entry);
+                if (entry.msg === 'Omi Card Game Server running') resolve(`http://localhost:${entry.port}`);
+            });
+        });
+        child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+
+    return {
+        child,
+        logs,
+        ready,
+        stop() {
+            if (child.exitCode === null) child.kill('SIGINT');
+            return new Promise(resolve => (child.exitCode === null ? child.once('exit', resolve) : resolve()));
+        }
+    };
+}
+
+// Resolves with the next `event` the socket receives (that passes `filter`)
+function nextEvent(socket, event, filter = () => true, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, handler);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        function handler(data) {
+            if (!filter(data)) return;
+            clearTimeout(timer);
+            socket.off(event, handler);
+            resolve(data);
+        }
+        socket.on(event, handler);
+    });
+}
+
+function connect(url) {
+    const socket = ioClient(url, { reconnection: false, transports: ['websocket'] });
+    return nextEvent(socket, 'connect').then(() => socket);
+}
+
+// Creates a room for `socket`, fills the other seats with bots and starts the game
+async function startBotGame(socket, options = {}) {
+    const created = nextEvent(socket, 'roomCreated');
+    const joined = nextEvent(socket, 'playerJoined');
+    socket.emit('createRoom', { name: options.name || 'Alice', team: 'A', ...options.room });
+    const { room } = await created;
+    await joined;
+    for (const team of ['B', 'A', 'B']) {
+        const botJoined = nextEvent(socket, 'playerJoined');
+        socket.emit('addBot', { room, team, delay: options.botDelay || 300 });
+        await botJoined;
+    }
+    socket.emit('setReady', { room, ready: true });
+    return room;
+}
+
+test.describe('turn clock', () => {
+    test('plays for a player who runs out of time and keeps the server up', { timeout: 40000 }, async () => {
+        const server = startServer();
+        let socket;
+        try {
+            socket = await connect(await server.ready);
+            const timedOut = nextEvent(socket, 'turnTimeout', () => true, 30000);
+            await startBotGame(socket, { room: { turnTime: 10 } });
+
+            // Alice never moves, so the clock runs out on her first turn (trump call or card)
+            const moveMade = new Promise(resolve => socket.onAny((event, data) => {
+                if ((event === 'trumpSelected' && data.by === 'Alice') || (event === 'cardPlayed' && data.playerIndex === 0)) resolve();
+            }));
+            const timeout = await timedOut;
+            assert.equal(timeout.playerIndex, 0);
+            assert.equal(timeout.key, 'turn.timedOut');
+
+            // The game carries on with the move made for her
+            await moveMade;
+            assert.equal(server.child.exitCode, null);
+            const entry = server.logs.find(log => /ran out of time/.test(log.msg));
+            assert.equal(entry.seat, 0);
+        } finally {
+            if (socket) socket.disconnect();
+            await server.stop();
+        }
+    });
+});
+
+test.describe('static files', () => {
+    test('serves the client but not server code or the data store', async () => {
+        const server = startServer();
+        try {
+            const url = await server.ready;
+            for (const file of ['/', '/index.html', '/engine.js', '/sw.js', '/manifest.webmanifest']) {
+                assert.equal((await fetch(url + file)).status, 200, file);
+            }
+            for (const file of ['/index.js', '/accounts.js', '/package.json', '/.data/rooms/ABC123.json', '/%2Edata/accounts/alice.json']) {
+                assert.equal((await fetch(url + file)).status, 404, file);
+            }
+        } finally {
+            await server.stop();
+        }
+    });
+});
+
+test.describe('socket events', () => {
+    test('a room created with the code left blank gets one from the server', async () => {
+        const server = startServer();
+        const sockets = [];
+        try {
+            const url = await server.ready;
+            for (const room of ['', undefined]) {
+                const socket = await connect(url);
+                sockets.push(socket);
+                const created = nextEvent(socket, 'roomCreated');
+                socket.emit('createRoom', { room, name: 'Alice', team: 'A' });
+                assert.match((await created).room, /^[A-Z2-9]{6}$/);
+            }
+        } finally {
+            sockets.forEach(socket => socket.disconnect());
+            await server.stop();
+        }
+    });
+
+    test('a malformed payload is refused with INVALID_PAYLOAD and the field at fault', async () => {
+        const server = startServer();
+        let socket;
+        try {
+            socket = await connect(await server.ready);
+            const refusals = [
+                ['joinRoom', { room: 'no spaces!', name: 'Alice' }, 'room'],
+                ['createRoom', { team: 'A' }, 'name'],
+                ['playCard', { room: 'ABC123', cardIndex: '3' }, 'cardIndex'],
+                ['selectTrump', { room: 'ABC123', trump: 'Stars' }, 'trump'],
+                ['setReady', 'yes', 'payload']
+            ];
+            for (const [event, payload, field] of refusals) {
+                const refused = nextEvent(socket, 'error');
+                socket.emit(event, payload);
+                const error = await refused;
+                assert.equal(error.code, 'INVALID_PAYLOAD', event);
+                assert.equal(error.field, field, event);
+            }
+        } finally {
+            if (socket) socket.disconnect();
+            await server.stop();
+        }
+    });
+
+    test('a socket sending a flood of events is rate limited', async () => {
+        const server = startServer();
+        let socket;
+        try {
+            socket = await connect(await server.ready);
+            const lists = [];
+            const errors = [];
+            socket.on('roomList', data => lists.push(data));
+            socket.on('error', error => errors.push(error.code));
+            const limited = nextEvent(socket, 'error', error => error.code === 'RATE_LIMITED');
+            for (let i = 0; i < 50; i++) socket.emit('listRooms');
+
+            await limited;
+            await new Promise(resolve => setTimeout(resolve, 200));
+            assert.equal(lists.length, 40); // 40 events per socket in any 10 seconds
+            assert.deepEqual(errors, Array(10).fill('RATE_LIMITED'));
+        } finally {
+            if (socket) socket.disconnect();
+            await server.stop();
+        }
+    });
+});
+
+test.describe('accounts', () => {
+    test('limits login and registration attempts per address', async () => {
+        const server = startServer();
+        try {
+            const url = await server.ready;
+            const login = () => fetch(url + '/api/accounts/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: 'nobody', password: 'wrong-password' })
+            });
+            const statuses = [];
+            for (let i = 0; i < 11; i++) statuses.push((await login()).status);
+            assert.deepEqual(statuses, [...Array(10).fill(401), 429]);
+
+            const register = await fetch(url + '/api/accounts', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: 'alice', password: 'password1' })
+            });
+            assert.equal(register.status, 429);
+        } finally {
+            await server.stop();
+        }
+    });
+});
+
+test.describe('admin', () => {
+    test('kicking checks the seat is a whole number from 0 to 3', async () => {
+        const server = startServer({ ADMIN_SECRET: 'admin-secret' });
+        let socket;
+        try {
+            const url = await server.ready;
+            socket = await connect(url);
+            const created = nextEvent(socket, 'roomCreated');
+            socket.emit('createRoom', { name: 'Alice', team: 'A' });
+            const { room } = await created;
+
+            const kick = position => fetch(`${url}/api/admin/rooms/${room}/kick`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer admin-secret' },
+                body: JSON.stringify({ position })
+            });
+            for (const position of ['0', 'length', 4, -1, 1.5, null]) {
+                const response = await kick(position);
+                assert.equal(response.status, 400, JSON.stringify(position));
+                assert.match((await response.json()).error, /^position /);
+            }
+            assert.equal((await kick(1)).status, 400); // Nobody there
+            assert.equal((await kick(0)).status, 200);
+        } finally {
+            if (socket) socket.disconnect();
+            await server.stop();
+        }
+    });
+});
+
+test.describe('reconnecting', () => {
+    test('a player who takes their seat back from a stand-in on their turn is prompted and clocked', { timeout: 30000 }, async () => {
+        const server = startServer({ DISCONNECT_GRACE_PERIOD: '200', BOT_MOVE_DELAY: '4000' });
+        const sockets = [];
+        try {
+            const url = await server.ready;
+            const alice = await connect(url);
+            const bob = await connect(url);
+            sockets.push(alice, bob);
+
+            // Bob plays along at once; Alice's first turn (trump call or card) is where she drops out
+            bob.on('canSelectTrump', data => bob.emit('selectTrump', { room, trump: data.hand[0].suit }));
+            bob.on('yourTurn', data => bob.emit('playCard', { room, cardIndex: data.playableCards[0] }));
+            const aliceTurn = new Promise(resolve => alice.onAny(event => {
+                if (event === 'canSelectTrump' || event === 'yourTurn') resolve(event);
+            }));
+            const token = nextEvent(alice, 'sessionToken');
+
+            const created = nextEvent(alice, 'roomCreated');
+            alice.emit('createRoom', { name: 'Alice', team: 'A', turnTime: 10 });
+            const { room } = await created;
+            const { token: sessionToken } = await token;
+            const bobJoined = nextEvent(bob, 'sessionToken');
+            bob.emit('joinRoom', { room, name: 'Bob', team: 'B' });
+            await bobJoined;
+            for (const [team, seated] of [['A', 3], ['B', 4]]) {
+                const botJoined = nextEvent(alice, 'playerJoined', data => data.players.filter(Boolean).length === seated);
+                alice.emit('addBot', { room, team, delay: 300 });
+                await botJoined;
+            }
+            alice.emit('setReady', { room, ready: true });
+            bob.emit('setReady', { room, ready: true });
+
+            const turn = await aliceTurn;
+            const replaced = nextEvent(bob, 'playerReplaced');
+            alice.disconnect();
+            await replaced;
+
+            // The stand-in takes 4 seconds over its move, so the seat is reclaimed on the same turn
+            const back = await connect(url);
+            sockets.push(back);
+            const prompted = nextEvent(back, turn);
+            const clock = nextEvent(back, 'turnTimer', data => data.playerIndex === 0);
+            back.emit('joinRoom', { room, name: 'Alice', team: 'A', isReconnect: true, sessionToken });
+            await prompted;
+            assert.equal((await clock).duration, 10000);
+        } finally {
+            sockets.forEach(socket => socket.disconnect());
+            await server.stop();
+        }
+    });
+});
+
+test.describe('reconnecting between hands', () => {
+    test('a player back within the pause after a hand gets one fresh deal', { timeout: 60000 }, async () => {
+        const server = startServer({ TRICK_PAUSE: '1500' });
+        const sockets = [];
+        try {
+            const url = await server.ready;
+            const alice = await connect(url);
+            const bob = await connect(url);
+            sockets.push(alice, bob);
+            const soon = move => setTimeout(move, 100);
+            const playAlong = socket => {
+                socket.on('canSelectTrump', data => soon(() => socket.emit('selectTrump', { room, trump: data.hand[0].suit })));
+                socket.on('yourTurn', data => soon(() => socket.emit('playCard', { room, cardIndex: data.playableCards[0] })));
+            };
+            playAlong(alice);
+            playAlong(bob);
+            const deals = [];
+            bob.on('shuffleCommitted', data => deals.push(data.handNumber));
+            const handOver = nextEvent(alice, 'roundComplete', () => true, 30000);
+            const token = nextEvent(alice, 'sessionToken');
+
+            const created = nextEvent(alice, 'roomCreated');
+            alice.emit('createRoom', { name: 'Alice', team: 'A' });
+            const { room } = await created;
+            const { token: sessionToken } = await token;
+            const bobJoined = nextEvent(bob, 'sessionToken');
+            bob.emit('joinRoom', { room, name: 'Bob', team: 'B' });
+            await bobJoined;
+            for (const [team, seated] of [['A', 3], ['B', 4]]) {
+                const botJoined = nextEvent(alice, 'playerJoined', data => data.players.filter(Boolean).length === seated);
+                alice.emit('addBot', { room, team, delay: 50 });
+                await botJoined;
+            }
+            alice.emit('setReady', { room, ready: true });
+            bob.emit('setReady', { room, ready: true });
+
+            // Alice drops out as the first hand ends and is back before the next deal was due
+            await handOver;
+            const paused = nextEvent(bob, 'gameInterrupted');
+            alice.disconnect();
+            await paused;
+            const back = await connect(url);
+            sockets.push(back);
+            playAlong(back);
+            const dealt = nextEvent(back, 'fullHand', () => true, 10000);
+            back.emit('joinRoom', { room, name: 'Alice', team: 'A', isReconnect: true, sessionToken });
+
+            const { hand } = await dealt;
+            assert.ok(hand.every(Boolean));
+            await new Promise(resolve => setTimeout(resolve, 2000)); // Past the pause
+            assert.deepEqual(deals, [1, 2]);
+        } finally {
+            sockets.forEach(socket => socket.disconnect());
+            await server.stop();
+        }
+    });
+});
+
+test.describe('restarting', () => {
+    test('a room saved between hands deals the next hand when play resumes', { timeout: 60000 }, async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'omi-test-'));
+        const env = { STORAGE: 'file', DATA_DIR: dataDir, SESSION_SECRET: 'test-secret', TRICK_PAUSE: '1000' };
+        let server = startServer(env);
+        const sockets = [];
+        try {
+            const alice = await connect(await server.ready);
+            sockets.push(alice);
+            const soon = move => setTimeout(move, 100);
+            alice.on('canSelectTrump', data => soon(() => alice.emit('selectTrump', { room, trump: data.hand[0].suit })));
+            alice.on('yourTurn', data => soon(() => alice.emit('playCard', { room, cardIndex: data.playableCards[0] })));
+            const token = nextEvent(alice, 'sessionToken');
+            const handOver = nextEvent(alice, 'roundComplete', () => true, 30000);
+            const room = await startBotGame(alice, { botDelay: 50 });
+            const { token: sessionToken } = await token;
+
+            // Stop in the pause after the first hand, before the next deal goes out
+            await handOver;
+            await server.stop();
+
+            server = startServer(env);
+            const back = await connect(await server.ready);
+            sockets.push(back);
+            back.on('canSelectTrump', data => back.emit('selectTrump', { room, trump: data.hand[0].suit }));
+            const dealt = nextEvent(back, 'fullHand', () => true, 10000);
+            back.emit('joinRoom', { room, name: 'Alice', team: 'A', isReconnect: true, sessionToken });
+
+            const { hand } = await dealt;
+            assert.equal(hand.length, 8);
+            assert.ok(hand.every(Boolean));
+        } finally {
+            sockets.forEach(socket => socket.disconnect());
+            await server.stop();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
+
+test.describe('hand history', () => {
+    test('only seated players get a live room\'s hands over HTTP', async () => {
+        const server = startServer();
+        let socket;
+        try {
+            const url = await server.ready;
+            socket = await connect(url);
+            const created = nextEvent(socket, 'roomCreated');
+            const token = nextEvent(socket, 'sessionToken');
+            socket.emit('createRoom', { name: 'Alice', team: 'A', visibility: 'private', password: 'secret' });
+            const { room } = await created;
+            const { token: sessionToken } = await token;
+
+            const get = (path, auth) => fetch(`${url}/api/rooms/${room}/${path}`, auth ? { headers: { Authorization: `Bearer ${auth}` } } : {});
+            assert.equal((await get('history')).status, 403);
+            assert.equal((await get('export')).status, 403);
+            assert.equal((await get('history', 'not-a-token')).status, 403);
+
+            const history = await get('history', sessionToken);
+            assert.equal(history.status, 200);
+            assert.deepEqual((await history.json()).hands, []);
+            assert.equal((await get('export', sessionToken)).status, 404); // Nothing finished yet
+        } finally {
+            if (socket) socket.disconnect();
+            await server.stop();
+        }
+    });
+});
+
+// Four players at one table who move quickly (but within the per-socket and per-address event
+// limits), picking at random among what's allowed. Resolves with every event seat 0 saw, in order, once the match is over.
+async function playMatch(url, rules) {
+    const sockets = [];
+    for (let seat = 0; seat < 4; seat++) sockets.push(await connect(url));
+    const events = [];
+    sockets[0].onAny((event, data) => events.push({ event, data }));
+    const gameOver = nextEvent(sockets[0], 'gameOver', () => true, 60000);
+
+    const created = nextEvent(sockets[0], 'roomCreated');
+    sockets[0].emit('createRoom', { name: 'P0', team: 'A', turnTime: 0, rules });
+    const { room } = await created;
+    for (let seat = 1; seat < 4; seat++) {
+        const joined = nextEvent(sockets[seat], 'sessionToken');
+        sockets[seat].emit('joinRoom', { room, name: `P${seat}`, team: seat % 2 ? 'B' : 'A' });
+        await joined;
+    }
+
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+    const soon = move => setTimeout(move, 100);
+    sockets.forEach(socket => {
+        socket.on('canSelectTrump', data => soon(() => socket.emit('selectTrump', { room, trump: pick(data.hand).suit })));
+        socket.on('yourTurn', data => soon(() => socket.emit('playCard', { room, cardIndex: pick(data.playableCards) })));
+        socket.emit('setReady', { room, ready: true });
+    });
+
+    try {
+        await gameOver;
+        return events;
+    } finally {
+        sockets.forEach(socket => socket.disconnect());
+    }
+}
+
+// Play the server's hands again through engine.applyAction and check both agree at every step
+function replayThroughEngine(events) {
+    const joined = events.find(entry => entry.event === 'playerJoined').data;
+    let state = createGame({ rules: joined.rules });
+    let hand = null;
+    let hands = 0;
+
+    events.forEach(({ event, data }) => {
+        if (event === 'canSelectTrump' || event === 'waitingForTrump') {
+            hand = { dealer: data.dealer, trumpCaller: data.trumpCaller, trump: null, plays: [], winners: [], seed: null };
+        } else if (event === 'trumpSelected') {
+            hand.trump = data.trump;
+        } else if (event === 'cardPlayed') {
+            hand.plays.push({ seat: data.playerIndex, card: data.card });
+        } else if (event === 'trickComplete') {
+            hand.winners.push(data.winnerIndex);
+        } else if (event === 'shuffleRevealed') {
+            hand.seed = data.seed;
+        } else if (event === 'roundComplete' || event === 'gameOver') {
+            hands++;
+            assert.equal(state.dealer, hand.dealer, `hand ${hands} dealer`);
+            state = applyAction(state, { type: 'deal', deck: shuffleDeck(createDeck(), hand.seed) }).state;
+            assert.equal(state.trumpCaller, hand.trumpCaller, `hand ${hands} trump caller`);
+            state = applyAction(state, { type: 'selectTrump', seat: state.trumpCaller, suit: hand.trump }).state;
+
+            const engineEvents = [];
+            hand.plays.forEach(({ seat, card }, index) => {
+                assert.equal(state.currentPlayer, seat, `hand ${hands} play ${index + 1} seat`);
+                const cardIndex = state.hands[seat].findIndex(held => held && held.suit === card.suit && held.rank === card.rank);
+                const result = applyAction(state, { type: 'playCard', seat, cardIndex });
+                assert.ok(result.success, `hand ${hands} play ${index + 1}: ${result.message}`);
+                state = result.state;
+                engineEvents.push(...result.events);
+            });
+
+            assert.deepEqual(engineEvents.filter(e => e.type === 'trickComplete').map(e => e.winner), hand.winners);
+            const handComplete = engineEvents.find(e => e.type === 'handComplete');
+            assert.deepEqual(handComplete.result, data.roundResult);
+            if (event === 'roundComplete') {
+                assert.deepEqual(handComplete.scores, data.newScores);
+                assert.equal(state.carriedPoints, data.carriedPoints);
+                assert.equal(state.dealer, data.nextDealer);
+                assert.equal(state.trumpCaller, data.nextTrumpCaller);
+                assert.equal(state.phase, 'hand_complete');
+            } else {
+                assert.deepEqual(handComplete.scores, data.finalScores);
+                assert.equal(state.phase, 'completed');
+                assert.ok(engineEvents.some(e => e.type === 'matchComplete'));
+            }
+        }
+    });
+    return hands;
+}
+
+test.describe('server play matches the engine', () => {
+    const rulesToTry = [
+        { targetScore: 3 },
+        { targetScore: 3, sweepScoring: 'any', carryDrawPoints: false, drawTrumpCaller: 'same' }
+    ];
+
+    rulesToTry.forEach(rules => {
+        test(`deals, tricks, scores and dealer rotation agree (${JSON.stringify(rules)})`, { timeout: 60000 }, async () => {
+            const server = startServer({ TRICK_PAUSE: '0' });
+            try {
+                const events = await playMatch(await server.ready, rules);
+                assert.ok(replayThroughEngine(events) >= 2);
+            } finally {
+                await server.stop();
+            }
+        });
+    });
+});
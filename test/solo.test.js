@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSoloGame } = require('../solo');
+
+// Resolves with the next `event` from the solo table
+function nextEvent(socket, event, timeout = 20000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+        socket.on(event, data => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+// A solo table whose player always makes the first allowed move, with errors collected
+function startTable(options) {
+    const socket = createSoloGame({ botDelay: 1, trickPause: 0, ...options });
+    const errors = [];
+    socket.on('error', error => errors.push(error));
+    socket.on('canSelectTrump', data => socket.emit('selectTrump', { trump: data.hand[0].suit }));
+    socket.on('yourTurn', data => socket.emit('playCard', { cardIndex: data.playableCards[0] }));
+    return { socket, errors };
+}
+
+test.describe('solo play', () => {
+    test('plays a match against the bots through to game over', async () => {
+        const { socket, errors } = startTable({ rules: 'quick' });
+        try {
+            const gameOver = await nextEvent(socket, 'gameOver');
+            assert.ok(Math.max(gameOver.finalScores.teamA, gameOver.finalScores.teamB) >= 5);
+            assert.equal(gameOver.key, 'game.over');
+
+            const history = nextEvent(socket, 'handHistory');
+            socket.emit('getHandHistory');
+            const { hands } = await history;
+            assert.ok(hands.length > 0);
+            hands.forEach(hand => assert.equal(hand.tricks.length, 8));
+            assert.deepEqual(errors, []);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('starts a rematch from zero once the match is over', async () => {
+        const { socket, errors } = startTable({ rules: { targetScore: 2 } });
+        try {
+            await nextEvent(socket, 'gameOver');
+            const rematch = nextEvent(socket, 'rematchStarted');
+            const secondGameOver = rematch.then(() => nextEvent(socket, 'gameOver'));
+            socket.emit('startRematch');
+
+            assert.deepEqual((await rematch).scores, { teamA: 0, teamB: 0 });
+            const gameOver = await secondGameOver;
+            assert.ok(Math.max(gameOver.finalScores.teamA, gameOver.finalScores.teamB) >= 2);
+            assert.deepEqual(errors, []);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('custom rules from the form are checked before the table starts', async () => {
+        const { socket } = startTable({ // As getSelectedRules() reads a half-filled form
+            rules: { targetScore: NaN, winPoints: '', callerLossPoints: 99, sweepPoints: -3, sweepScoring: 'nobody', drawTrumpCaller: undefined }
+        });
+        try {
+            const { rules } = await nextEvent(socket, 'playerJoined');
+            assert.equal(rules.preset, 'custom');
+            assert.equal(rules.targetScore, 10);
+            assert.equal(rules.winPoints, 1);
+            assert.equal(rules.callerLossPoints, 10);
+            assert.equal(rules.sweepPoints, 1);
+            assert.equal(rules.sweepScoring, 'defenders');
+            assert.equal(rules.drawTrumpCaller, 'next');
+            await new Promise(resolve => {
+                socket.on('canSelectTrump', resolve);
+                socket.on('waitingForTrump', resolve);
+            });
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
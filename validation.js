@@ -0,0 +1,141 @@
+// Payload checks for incoming socket events, and the error codes sent with every 'error' emit.
+//
+// A schema maps field names to rules built with the helpers below, e.g.
+//   { room: string(20, { pattern: ROOM_ID_PATTERN }), position: integer(0, 3), team: optional(oneOf('A', 'B')) }
+// validatePayload(schema, payload) returns { valid: true, value } with strings trimmed, optional fields
+// that were left out (or null) dropped and unknown fields removed - or { valid: false, field, message }.
+
+// Every 'error' emit is { code, message, ...flags }; clients should branch on the code, not the text
+const ERROR_CODES = [
+    'INVALID_PAYLOAD', // Event data failed its schema
+    'UNKNOWN_EVENT', // No such event
+    'RATE_LIMITED', // Too many events from this socket or address
+    'ROOM_LIMIT', // This client already has too many rooms
+    'SERVER_FULL', // MAX_ROOMS reached
+    'ROOM_NOT_FOUND',
+    'ROOM_EXISTS',
+    'ROOM_FULL',
+    'ROOM_LOCKED',
+    'READ_ONLY', // Imported match review rooms
+    'WRONG_PASSWORD',
+    'NAME_TAKEN',
+    'NAME_RESERVED', // Belongs to a registered account
+    'LOGIN_EXPIRED',
+    'ALREADY_IN_ROOM',
+    'SEAT_TAKEN',
+    'NOT_SEATED',
+    'NOT_HOST',
+    'NO_SUCH_PLAYER', // Nobody (or the wrong kind of player) in that seat
+    'WRONG_STATE', // Not allowed at this point in the game
+    'NOT_YOUR_TURN',
+    'INVALID_CARD',
+    'MUST_FOLLOW_SUIT',
+    'FORBIDDEN', // Admin events without the admin secret
+    'WRONG_NODE', // The room is served by another server process - reconnect with ?room= so it routes there
+    'SERVER_ERROR'
+];
+
+const ROOM_ID_PATTERN = /^[\w-]+$/;
+const NO_CONTROL_CHARS = /^[^\u0000-\u001f\u007f]*$/;
+
+function string(max, { min = 1, pattern = NO_CONTROL_CHARS, trim = true } = {}) {
+    return { type: 'string', min, max, pattern, trim };
+}
+
+function integer(min, max) {
+    return { type: 'integer', min, max };
+}
+
+function boolean() {
+    return { type: 'boolean' };
+}
+
+function oneOf(...values) {
+    return { type: 'oneOf', values };
+}
+
+// The first rule that accepts the value wins
+function anyOf(...rules) {
+    return { type: 'anyOf', rules };
+}
+
+function object(shape) {
+    return { type: 'object', shape };
+}
+
+function optional(rule) {
+    return { ...rule, optional: true };
+}
+
+// { value } or { message }
+function checkRule(rule, value) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { message: 'must be text' };
+            const text = rule.trim ? value.trim() : value;
+            if (text.length < rule.min || text.length > rule.max) {
+                return { message: rule.min > 0 ? `must be ${rule.min}-${rule.max} characters` : `must be at most ${rule.max} characters` };
+            }
+            if (rule.pattern && !rule.pattern.test(text)) return { message: 'contains characters that are not allowed' };
+            return { value: text };
+        }
+        case 'integer':
+            if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+                return { message: `must be a whole number from ${rule.min} to ${rule.max}` };
+            }
+            return { value };
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { message: 'must be true or false' };
+        case 'oneOf':
+            return rule.values.includes(value) ? { value } : { message: `must be one of ${rule.values.join(', ')}` };
+        case 'anyOf': {
+            let result;
+            for (const option of rule.rules) {
+                result = checkRule(option, value);
+                if (!result.message) return result;
+            }
+            return result;
+        }
+        case 'object': {
+            const result = validatePayload(rule.shape, value);
+            return result.valid ? { value: result.value } : { message: `${result.field} ${result.message}` };
+        }
+        default:
+            return { message: 'has an unknown rule' };
+    }
+}
+
+function validatePayload(schema, payload) {
+    if (payload === undefined || payload === null) payload = {};
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+        return { valid: false, field: 'payload', message: 'must be an object' };
+    }
+
+    const value = {};
+    for (const field of Object.keys(schema)) {
+        const rule = schema[field];
+        const given = payload[field];
+        if (given === undefined || given === null) {
+            if (rule.optional) continue;
+            return { valid: false, field, message: 'is required' };
+        }
+
+        const result = checkRule(rule, given);
+        if (result.message) return { valid: false, field, message: result.message };
+        value[field] = result.value;
+    }
+    return { valid: true, value };
+}
+
+module.exports = {
+    ERROR_CODES,
+    ROOM_ID_PATTERN,
+    string,
+    integer,
+    boolean,
+    oneOf,
+    anyOf,
+    object,
+    optional,
+    validatePayload
+};